@@ -1,11 +1,24 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+    webpack(config) {
+        // jSquash 在未传入 WASM 模块时会通过 new URL('*.wasm', import.meta.url) 加载，AVIF 多线程编码器还会创建 Worker，
+        // webpack 为此生成的代码依赖 document，在边缘运行时中启动即报错；src/lib/transform.js 始终手动传入 WebAssembly.Module
+        config.module.rules.push({
+            test: /[\\/]node_modules[\\/]@jsquash[\\/]/,
+            parser: { url: false, worker: false },
+        });
+        return config;
+    },
     async rewrites() {
         return [
             {
                 source: '/file/:name*',
                 destination: '/api/file/:name*', 
             },
+            {
+                source: '/i/:name*',
+                destination: '/api/i/:name*',
+            },
         ]
     },
 };
@@ -0,0 +1,173 @@
+'use client'
+import { signOut } from "next-auth/react"
+import { useState, useEffect, useCallback } from 'react';
+import { ToastContainer, toast } from "react-toastify";
+import Link from 'next/link'
+
+// 封禁时长 (秒)，0 表示永久
+const DURATIONS = [
+  { label: '1 小时', value: 60 * 60 },
+  { label: '1 天', value: 24 * 60 * 60 },
+  { label: '7 天', value: 7 * 24 * 60 * 60 },
+  { label: '30 天', value: 30 * 24 * 60 * 60 },
+  { label: '永久', value: 0 },
+];
+
+
+// IP 封禁管理：支持单个 IP 和 CIDR 网段，被封禁的 IP 不能上传和访问文件
+export default function IpBans() {
+  const [bans, setBans] = useState([])
+  const [cidr, setCidr] = useState('')
+  const [duration, setDuration] = useState(DURATIONS[1].value)
+  const [note, setNote] = useState('')
+
+  const getBans = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/admin/ipban`)
+      const res_data = await res.json()
+      if (!res_data?.success) {
+        toast.error(res_data.message)
+      } else {
+        setBans(res_data.data)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    getBans()
+  }, [getBans]);
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    if (!cidr.trim()) {
+      toast.error('请输入 IP 或网段');
+      return;
+    }
+    try {
+      const res = await fetch(`/api/admin/ipban`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ cidr: cidr.trim(), note: note.trim(), expires_in: Number(duration) || undefined }),
+      })
+      const res_data = await res.json()
+      if (res_data.success) {
+        toast.success(`已封禁 ${res_data.cidr}`)
+        setCidr('')
+        setNote('')
+        getBans()
+      } else {
+        toast.error(res_data.message)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('你确定要解除这条封禁吗？')) {
+      return;
+    }
+    try {
+      const res = await fetch(`/api/admin/ipban`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ id }),
+      })
+      const res_data = await res.json()
+      if (res_data.success) {
+        toast.success('已解除封禁!')
+        setBans(prevBans => prevBans.filter(ban => ban.id !== id))
+      } else {
+        toast.error(res_data.message)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  };
+
+  return (
+    <>
+      <div className="overflow-auto h-full flex w-full min-h-screen flex-col items-center">
+        <header className="fixed top-0 h-[50px]  left-0 w-full border-b bg-white flex z-50 justify-center items-center">
+          <div className="flex justify-between items-center w-full max-w-4xl px-4">
+            <span className="font-semibold text-gray-700">IP 封禁</span>
+          </div>
+          <Link href="/admin" className="hidden sm:flex"> <button className="px-4 py-2 mx-2 w-28  sm:w-28 md:w-20 lg:w-16 xl:w-16  2xl:w-20 bg-blue-500 text-white rounded ">后台</button></Link>
+          <button onClick={() => signOut({ callbackUrl: "/" })} className="px-4 py-2 mx-2 w-28  sm:w-28 md:w-20 lg:w-16 xl:w-16  2xl:w-20 bg-blue-500 text-white rounded ">登出</button>
+        </header>
+
+        <main className="my-[60px] w-9/10  sm:w-9/10 md:w-9/10 lg:w-9/10 xl:w-3/5 2xl:w-3/5">
+          <form onSubmit={handleAdd} className="flex flex-row flex-wrap items-center mt-4">
+            <input
+              type="text"
+              value={cidr}
+              onChange={(e) => setCidr(e.target.value)}
+              className="border rounded p-2 flex-1 mr-2"
+              placeholder="IP 或网段，如 1.2.3.4、1.2.3.0/24、2001:db8::/32"
+            />
+            <select value={duration} onChange={(e) => setDuration(e.target.value)} className="border rounded p-2 mr-2">
+              {DURATIONS.map((item) => (
+                <option key={item.value} value={item.value}>{item.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              className="border rounded p-2 w-40 mr-2"
+              placeholder="备注 (可选)"
+            />
+            <button type="submit" className="text-white px-4 py-2 transition ease-in-out delay-150 bg-blue-500 hover:scale-110 hover:bg-indigo-500 duration-300 rounded">
+              封禁
+            </button>
+          </form>
+          <p className="text-sm text-gray-500 my-2">
+            被封禁的 IP 不能上传文件，也不能访问图片。也可以在数据页和日志页中点击 IP 直接封禁。
+          </p>
+
+          <table className="min-w-full bg-white items-center justify-between">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">IP / 网段</th>
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">备注</th>
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">封禁时间</th>
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">到期时间</th>
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">操作</th>
+              </tr>
+            </thead>
+            <tbody>
+              {bans.map((ban) => {
+                const expired = ban.expires && ban.expires <= Date.now();
+                return (
+                  <tr key={ban.id} className={expired ? 'text-gray-400' : ''}>
+                    <td className="text-center py-2 px-4 border-b border-gray-200 text-sm break-all">{ban.cidr}</td>
+                    <td className="text-center py-2 px-4 border-b border-gray-200 text-sm break-all">{ban.note}</td>
+                    <td className="text-center py-2 px-4 border-b border-gray-200 text-sm">{new Date(ban.time).toLocaleString()}</td>
+                    <td className="text-center py-2 px-4 border-b border-gray-200 text-sm">
+                      {ban.expires ? `${new Date(ban.expires).toLocaleString()}${expired ? ' (已过期)' : ''}` : '永久'}
+                    </td>
+                    <td className="text-center py-2 px-4 border-b border-gray-200 text-sm">
+                      <button
+                        onClick={() => handleDelete(ban.id)}
+                        className="px-3 py-1 text-sm font-medium text-white bg-red-600 rounded hover:bg-red-700 focus:outline-none"
+                      >
+                        解除
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </main>
+        <ToastContainer />
+      </div>
+    </>
+  )
+}
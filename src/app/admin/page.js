@@ -14,14 +14,33 @@ export default function Admin() {
   const [currentPage, setCurrentPage] = useState(1);
   const [searchTotal, setSearchTotal] = useState(0); // 初始化为0，因为初始时还没有搜索结果
   const [inputPage, setInputPage] = useState(1);
-  const [view, setView] = useState('list'); // 'list' 或 'log'，默认为 'list'
+  const [view, setView] = useState('list'); // 'list'、'log' 或 'trash' (回收站)，默认为 'list'
   const [searchQuery, setSearchQuery] = useState('');
+  const [sort, setSort] = useState('time'); // 数据页的排序方式：'time' 或 'size'
+  const [fromDate, setFromDate] = useState(''); // 按日期筛选，格式为 YYYY-MM-DD，按浏览器所在时区计算
+  const [toDate, setToDate] = useState('');
+  const [schema, setSchema] = useState(null); // 数据库结构版本，有待执行的迁移时提示升级
 
 
 
+  // 日期转换为毫秒时间戳，结束日期包含当天
+  const getTimeRange = () => {
+    const range = {};
+    if (fromDate) {
+      range.from = new Date(`${fromDate}T00:00:00`).getTime();
+    }
+    if (toDate) {
+      const end = new Date(`${toDate}T00:00:00`);
+      end.setDate(end.getDate() + 1);
+      range.to = end.getTime();
+    }
+    return range;
+  };
+
   const getListdata = useCallback(async (page) => {
     try {
-      const res = await fetch(`/api/admin/${view}`, {
+      // 回收站使用数据页的接口
+      const res = await fetch(`/api/admin/${view === 'trash' ? 'list' : view}`, {
         method: "POST",
         headers: {
           'Content-Type': 'application/json',
@@ -30,6 +49,9 @@ export default function Admin() {
         body: JSON.stringify({
           page: (page - 1),
           query: searchQuery, // 传递搜索查询
+          sort,
+          trash: view === 'trash',
+          ...getTimeRange(),
         })
       })
       const res_data = await res.json()
@@ -50,7 +72,37 @@ export default function Admin() {
 
   useEffect(() => {
     getListdata(currentPage)
-  }, [currentPage, view]);
+  }, [currentPage, view, sort, fromDate, toDate]);
+
+  useEffect(() => {
+    fetch(`/api/admin/migrate`)
+      .then((res) => res.json())
+      .then((res_data) => {
+        if (res_data?.success) {
+          setSchema(res_data.data)
+        }
+      })
+      .catch(() => { })
+  }, []);
+
+  const handleMigrate = async () => {
+    if (!window.confirm(`将执行 ${schema.pending.length} 个数据库迁移，不会删除数据。继续吗？`)) {
+      return;
+    }
+    try {
+      const res = await fetch(`/api/admin/migrate`, { method: 'POST' })
+      const res_data = await res.json()
+      if (res_data.success) {
+        toast.success(`数据库已升级到版本 ${res_data.data.version}`)
+        setSchema(res_data.data)
+        getListdata(currentPage)
+      } else {
+        toast.error(res_data.message)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  };
 
   // 分页控制按钮
   const handleNextPage = () => {
@@ -93,6 +145,25 @@ export default function Admin() {
   };
 
 
+  const handleTrashToggle = () => {
+    setView(view === 'trash' ? 'list' : 'trash');
+    setCurrentPage(1);
+    setInputPage(1);
+  };
+
+
+  const handleDateChange = (setter) => (event) => {
+    setter(event.target.value);
+    setCurrentPage(1);
+    setInputPage(1);
+  };
+
+  const handleSortChange = (event) => {
+    setSort(event.target.value);
+    setCurrentPage(1);
+    setInputPage(1);
+  };
+
   const handleSearch = (event) => {
     event.preventDefault();
     setCurrentPage(1);
@@ -120,15 +191,35 @@ export default function Admin() {
               <button type="submit" className="text-white px-4 py-2 transition ease-in-out delay-150 bg-blue-500 hover:scale-110 hover:bg-indigo-500 duration-300 rounded">
                 搜索
               </button>
+              <input type="date" value={fromDate} onChange={handleDateChange(setFromDate)} className="border rounded p-2 ml-2" title="开始日期" />
+              <span className="mx-1 text-gray-500">-</span>
+              <input type="date" value={toDate} onChange={handleDateChange(setToDate)} className="border rounded p-2" title="结束日期" />
+              {view !== 'log' && (
+                <select value={sort} onChange={handleSortChange} className="border rounded p-2 ml-2">
+                  <option value="time">最新上传</option>
+                  <option value="size">文件最大</option>
+                </select>
+              )}
             </form>
           </div>
+          <button onClick={handleTrashToggle} className="hidden sm:flex px-4 py-2 mx-2 whitespace-nowrap bg-blue-500 text-white rounded ">{view === 'trash' ? '数据页' : '回收站'}</button>
+          <Link href="/admin/ipban" className="hidden sm:flex"> <button className="px-4 py-2 mx-2 w-28  sm:w-28 md:w-20 lg:w-16 xl:w-16  2xl:w-20 bg-blue-500 text-white rounded ">封禁</button></Link>
+          <Link href="/admin/referer" className="hidden sm:flex"> <button className="px-4 py-2 mx-2 w-28  sm:w-28 md:w-20 lg:w-16 xl:w-16  2xl:w-20 bg-blue-500 text-white rounded ">防盗链</button></Link>
           <Link href="/"  className="hidden sm:flex"> <button className="px-4 py-2 mx-2 w-28  sm:w-28 md:w-20 lg:w-16 xl:w-16  2xl:w-20 bg-blue-500 text-white rounded ">主页</button></Link>
           <button onClick={() => signOut({ callbackUrl: "/" })} className="px-4 py-2 mx-2 w-28  sm:w-28 md:w-20 lg:w-16 xl:w-16  2xl:w-20 bg-blue-500 text-white rounded ">登出</button>
         </header>
 
         <main className="my-[60px] w-9/10  sm:w-9/10 md:w-9/10 lg:w-9/10 xl:w-3/5 2xl:w-full">
+          {schema?.pending.length > 0 && (
+            <div className="flex items-center justify-between my-2 p-3 rounded border border-yellow-300 bg-yellow-50 text-sm text-yellow-800">
+              <span>数据库结构需要升级 (当前版本 {schema.version}，最新版本 {schema.latest})，部分功能在升级前可能无法使用。</span>
+              <button onClick={handleMigrate} className="ml-2 px-3 py-1 text-white bg-yellow-600 rounded hover:bg-yellow-700">
+                升级数据库
+              </button>
+            </div>
+          )}
 
-          <Table data={listData} />
+          <Table data={listData} trash={view === 'trash'} />
 
         </main>
         <div className="fixed inset-x-0 bottom-0 h-[50px]  w-full  flex  z-50 justify-center items-center bg-white ">
@@ -0,0 +1,164 @@
+'use client'
+import { signOut } from "next-auth/react"
+import { useState, useEffect, useCallback } from 'react';
+import { ToastContainer, toast } from "react-toastify";
+import Link from 'next/link'
+
+
+// 防盗链规则管理：黑名单优先，存在白名单时只允许白名单中的外部域名
+export default function RefererRules() {
+  const [rules, setRules] = useState([])
+  const [pattern, setPattern] = useState('')
+  const [action, setAction] = useState('deny')
+  const [note, setNote] = useState('')
+
+  const getRules = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/admin/referer`)
+      const res_data = await res.json()
+      if (!res_data?.success) {
+        toast.error(res_data.message)
+      } else {
+        setRules(res_data.data)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    getRules()
+  }, [getRules]);
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    if (!pattern.trim()) {
+      toast.error('请输入域名');
+      return;
+    }
+    try {
+      const res = await fetch(`/api/admin/referer`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ pattern: pattern.trim(), action, note: note.trim() }),
+      })
+      const res_data = await res.json()
+      if (res_data.success) {
+        toast.success('添加成功!')
+        setPattern('')
+        setNote('')
+        getRules()
+      } else {
+        toast.error(res_data.message)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('你确定要删除这条规则吗？')) {
+      return;
+    }
+    try {
+      const res = await fetch(`/api/admin/referer`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ id }),
+      })
+      const res_data = await res.json()
+      if (res_data.success) {
+        toast.success('删除成功!')
+        setRules(prevRules => prevRules.filter(rule => rule.id !== id))
+      } else {
+        toast.error(res_data.message)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  };
+
+  const hasAllowRules = rules.some(rule => rule.action === 'allow');
+
+  return (
+    <>
+      <div className="overflow-auto h-full flex w-full min-h-screen flex-col items-center">
+        <header className="fixed top-0 h-[50px]  left-0 w-full border-b bg-white flex z-50 justify-center items-center">
+          <div className="flex justify-between items-center w-full max-w-4xl px-4">
+            <span className="font-semibold text-gray-700">防盗链规则</span>
+          </div>
+          <Link href="/admin" className="hidden sm:flex"> <button className="px-4 py-2 mx-2 w-28  sm:w-28 md:w-20 lg:w-16 xl:w-16  2xl:w-20 bg-blue-500 text-white rounded ">后台</button></Link>
+          <button onClick={() => signOut({ callbackUrl: "/" })} className="px-4 py-2 mx-2 w-28  sm:w-28 md:w-20 lg:w-16 xl:w-16  2xl:w-20 bg-blue-500 text-white rounded ">登出</button>
+        </header>
+
+        <main className="my-[60px] w-9/10  sm:w-9/10 md:w-9/10 lg:w-9/10 xl:w-3/5 2xl:w-3/5">
+          <form onSubmit={handleAdd} className="flex flex-row flex-wrap items-center mt-4">
+            <input
+              type="text"
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+              className="border rounded p-2 flex-1 mr-2"
+              placeholder="域名，如 example.com、*.example.com"
+            />
+            <select value={action} onChange={(e) => setAction(e.target.value)} className="border rounded p-2 mr-2">
+              <option value="deny">黑名单</option>
+              <option value="allow">白名单</option>
+            </select>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              className="border rounded p-2 w-40 mr-2"
+              placeholder="备注 (可选)"
+            />
+            <button type="submit" className="text-white px-4 py-2 transition ease-in-out delay-150 bg-blue-500 hover:scale-110 hover:bg-indigo-500 duration-300 rounded">
+              添加
+            </button>
+          </form>
+          <p className="text-sm text-gray-500 my-2">
+            黑名单优先于白名单；{hasAllowRules ? '已启用白名单，不在白名单中的外部网站将无法引用图片' : '未添加白名单时，除黑名单外的网站都可以引用图片'}。没有 Referer 的直接访问和本站页面不受限制。
+          </p>
+
+          <table className="min-w-full bg-white items-center justify-between">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">域名</th>
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">类型</th>
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">备注</th>
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">添加时间</th>
+                <th className="py-2 px-4 border-b border-gray-200 text-center text-sm font-semibold text-gray-600">操作</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule) => (
+                <tr key={rule.id}>
+                  <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700 break-all">{rule.pattern}</td>
+                  <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700">
+                    <span className={`px-2 py-1 text-xs text-white rounded ${rule.action === 'allow' ? 'bg-green-600' : 'bg-red-600'}`}>
+                      {rule.action === 'allow' ? '白名单' : '黑名单'}
+                    </span>
+                  </td>
+                  <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700 break-all">{rule.note}</td>
+                  <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700">{new Date(rule.time).toLocaleString()}</td>
+                  <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700">
+                    <button
+                      onClick={() => handleDelete(rule.id)}
+                      className="px-3 py-1 text-sm font-medium text-white bg-red-600 rounded hover:bg-red-700 focus:outline-none"
+                    >
+                      删除
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </main>
+        <ToastContainer />
+      </div>
+    </>
+  )
+}
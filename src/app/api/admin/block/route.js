@@ -1,5 +1,6 @@
 
 import { getRequestContext } from '@cloudflare/next-on-pages';
+import { purgeCache } from '@/lib/cache';
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -18,7 +19,9 @@ export async function PUT(request) {
 
 
   try {
-    const setData = await env.IMG.prepare(`UPDATE imginfo SET rating = ${rating} WHERE url='${name}'`).run()
+    const setData = await env.IMG.prepare(`UPDATE imginfo SET rating = ? WHERE url = ?`).bind(rating, name).run()
+    // 清除边缘缓存，使屏蔽立即生效
+    ctx.waitUntil(purgeCache(env, [new URL(request.url).origin, env.CUSTOM_DOMAIN], name))
     return Response.json({
       "code": 200,
       "success": true,
@@ -1,5 +1,7 @@
 
 import { getRequestContext } from '@cloudflare/next-on-pages';
+import { deleteFile, trashFile } from '@/lib/delete';
+import { ensureSchema } from '@/lib/migrations';
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -15,15 +17,29 @@ export const runtime = 'edge';
 
 
 
+// 默认移到回收站，permanent 为 true 时彻底删除
 export async function DELETE(request) {
-  let { name } = await request.json()
+  let { name, permanent } = await request.json()
   const { env, cf, ctx } = getRequestContext();
+  const origins = [new URL(request.url).origin, env.CUSTOM_DOMAIN]
   try {
-    const setData = await env.IMG.prepare(`DELETE FROM imginfo WHERE url='${name}'`).run()
+    // 回收站和 deletedfile 表由迁移创建
+    await ensureSchema(env.IMG)
+    if (!permanent) {
+      const trashed = await trashFile(env, ctx, name, origins)
+      return Response.json({
+        "code": trashed ? 200 : 404,
+        "success": trashed,
+        "message": trashed ? true : "文件不存在或已在回收站中",
+      }, { status: trashed ? 200 : 404, headers: corsHeaders });
+    }
+    // 同时删除 Telegram 频道中的消息或 R2 中的对象
+    const { backend } = await deleteFile(env, ctx, name, origins)
     return Response.json({
       "code": 200,
       "success": true,
-      "message": setData.success,
+      "message": true,
+      "backend": backend,
     });
 
   } catch (error) {
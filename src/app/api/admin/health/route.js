@@ -0,0 +1,20 @@
+export const runtime = 'edge';
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { getEnabledProviders } from '@/lib/storage';
+import { jsonResponse } from '@/lib/http';
+
+// 检查所有已启用存储后端的可用性
+export async function GET() {
+    const { env } = getRequestContext();
+    const providers = getEnabledProviders(env);
+    const results = await Promise.all(providers.map(async (provider) => ({
+        name: provider.name,
+        ...(await provider.health(env)),
+    })));
+
+    return jsonResponse({
+        code: 200,
+        success: true,
+        data: results,
+    });
+}
@@ -0,0 +1,74 @@
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { StorageError } from '@/lib/storage/error';
+import { addIpBan, clearIpBansCache, deleteIpBan, listIpBans } from '@/lib/ipban';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Max-Age': '86400', // 24 hours
+  'Content-Type': 'application/json'
+};
+
+export const runtime = 'edge';
+
+function errorResponse(error) {
+  const status = error instanceof StorageError ? error.status : 500
+  return Response.json({
+    "code": status,
+    "success": false,
+    "message": error.message,
+  }, {
+    status,
+    headers: corsHeaders,
+  })
+}
+
+// IP 封禁列表 (包括已过期的)
+export async function GET() {
+  const { env } = getRequestContext();
+  try {
+    clearIpBansCache()
+    const rules = await listIpBans(env.IMG)
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "data": rules,
+    });
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+// 封禁 IP 或网段 { cidr, note, expires_in }，expires_in 为封禁时长 (秒)，为空表示永久
+export async function POST(request) {
+  const { env } = getRequestContext();
+  try {
+    const { cidr, note, expires_in } = await request.json()
+    const expires = expires_in ? Date.now() + Number(expires_in) * 1000 : null
+    const normalized = await addIpBan(env.IMG, { cidr, note, expires })
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "message": "success",
+      "cidr": normalized,
+    });
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+// 解除封禁 { id }
+export async function DELETE(request) {
+  const { env } = getRequestContext();
+  try {
+    const { id } = await request.json()
+    await deleteIpBan(env.IMG, id)
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "message": "success",
+    });
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
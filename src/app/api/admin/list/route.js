@@ -1,5 +1,11 @@
 
 import { getRequestContext } from '@cloudflare/next-on-pages';
+import { createSignedQuery, isSigningEnabled } from '@/lib/signing';
+import { parseTimestamp } from '@/lib/db';
+import { purgeTrash } from '@/lib/delete';
+import { getRetentionDays } from '@/lib/retention';
+import { ensureSchema } from '@/lib/migrations';
+import { StorageError } from '@/lib/storage/error';
 
 // ...
 
@@ -11,49 +17,72 @@ const corsHeaders = {
 };
 
 export const runtime = 'edge';
+
+// 后台预览私有文件同样需要签名，为每条私有记录附上 1 小时有效的签名参数
+async function withPreviewSignatures(env, results) {
+  if (!isSigningEnabled(env)) {
+    return results
+  }
+  return Promise.all(results.map(async (item) => Number(item.private)
+    ? { ...item, signed_query: (await createSignedQuery(env, item.url, 60 * 60)).query }
+    : item))
+}
 export async function POST(request) {
   // 获取客户端的IP地址
   const { env, cf, ctx } = getRequestContext();
   // console.log(dd);
   try {
-    let { page, query } = await request.json()
+    let { page, query, sort, from, to, trash } = await request.json()
+    // 查询用到回收站等新增的列，部署后尚未升级的数据库先自动升级
+    await ensureSchema(env.IMG)
+    // 按文件大小排序便于找出大文件，未记录大小的旧数据排在最后；回收站按移入时间排序
+    const order = sort === 'size' ? 'size IS NULL, size DESC, id DESC' : trash ? 'deleted DESC' : 'id DESC'
+
+    // trash 为 true 时列出回收站中的文件，并在后台清理超过保留天数的文件
+    if (trash) {
+      ctx.waitUntil(purgeTrash(env, ctx, [new URL(request.url).origin, env.CUSTOM_DOMAIN], { retentionDays: getRetentionDays(env, 'TRASH_RETENTION_DAYS') })
+        .catch((error) => console.error("清理回收站失败:", error)))
+    }
 
+    // from / to 为上传时间的范围 (包含 from，不包含 to)
+    const conditions = [trash ? `deleted IS NOT NULL` : `deleted IS NULL`]
+    const params = []
     if (query) {
-      const ps = env.IMG.prepare(`SELECT * FROM imginfo WHERE url LIKE '%${query}%' LIMIT 10 OFFSET ${page} * 10`);
-      const { results } = await ps.all()
-      const total = await env.IMG.prepare(`SELECT COUNT(*) as total FROM imginfo WHERE url LIKE '%${query}%'`).first()
-      return Response.json({
-        "code": 200,
-        "success": true,
-        "message": "success",
-        "data": results,
-        "page": page,
-        "total": total.total
-      });
-    } else {
-      const ps = env.IMG.prepare(`SELECT * FROM imginfo ORDER BY id DESC LIMIT 10 OFFSET ${page} * 10`);
-      const { results } = await ps.all()
-      const total = await env.IMG.prepare(`SELECT COUNT(*) as total FROM imginfo`).first()
-      return Response.json({
-        "code": 200,
-        "success": true,
-        "message": "success",
-        "data": results,
-        "page": page,
-        "total": total.total
-      });
+      conditions.push(`(url LIKE ? OR name LIKE ?)`)
+      params.push(`%${query}%`, `%${query}%`)
     }
+    const start = parseTimestamp(from)
+    if (start !== null) {
+      conditions.push(`time >= ?`)
+      params.push(start)
+    }
+    const end = parseTimestamp(to)
+    if (end !== null) {
+      conditions.push(`time < ?`)
+      params.push(end)
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`
 
+    const { results } = await env.IMG.prepare(`SELECT * FROM imginfo ${where} ORDER BY ${order} LIMIT 10 OFFSET ?`)
+      .bind(...params, (Number(page) || 0) * 10).all()
+    const total = await env.IMG.prepare(`SELECT COUNT(*) as total FROM imginfo ${where}`).bind(...params).first()
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "message": "success",
+      "data": await withPreviewSignatures(env, results),
+      "page": page,
+      "total": total.total
+    });
 
   } catch (error) {
-
+    const status = error instanceof StorageError ? error.status : 500
     return Response.json({
-      "code": 500,
+      "code": status,
       "success": false,
       "message": error.message,
-      "data": page,
     }, {
-      status: 500,
+      status,
       headers: corsHeaders,
     })
   }
@@ -1,6 +1,9 @@
 import { NextResponse } from "next/server";
 import { headers } from 'next/headers'
 import { getRequestContext } from '@cloudflare/next-on-pages';
+import { parseTimestamp } from '@/lib/db';
+import { StorageError } from '@/lib/storage/error';
+import { ensureSchema } from '@/lib/migrations';
 
 // ...
 
@@ -17,42 +20,48 @@ export async function POST(request) {
   const { env, cf, ctx } = getRequestContext();
   // console.log(dd);
   try {
-    let { page, query } = await request.json()
+    let { page, query, from, to } = await request.json()
+    // 按时间筛选依赖迁移后的毫秒时间戳，部署后尚未升级的数据库先自动升级
+    await ensureSchema(env.IMG)
 
+    // from / to 为访问时间的范围 (包含 from，不包含 to)
+    const conditions = []
+    const params = []
     if (query) {
-      const ps = env.IMG.prepare(`SELECT tgimglog.*, imginfo.rating,imginfo.total FROM tgimglog JOIN imginfo ON tgimglog.url = imginfo.url WHERE tgimglog.url LIKE '%${query}%' ORDER BY tgimglog.id DESC LIMIT 10 OFFSET ${page} * 10`);
-      const { results } = await ps.all()
-      const total = await env.IMG.prepare(`SELECT COUNT(*) as total FROM tgimglog WHERE url LIKE '%${query}%'`).first()
-      return Response.json({
-        "code": 200,
-        "success": true,
-        "message": "success",
-        "data": results,
-        "page": page,
-        "total": total.total
-      });
-    } else {
-      const ps = env.IMG.prepare(`SELECT tgimglog.*, imginfo.rating,imginfo.total FROM tgimglog JOIN imginfo ON tgimglog.url = imginfo.url ORDER BY tgimglog.id DESC LIMIT 10 OFFSET  ${page} * 10`);
-      const { results } = await ps.all()
-      const total = await env.IMG.prepare(`SELECT COUNT(*) as total FROM tgimglog`).first()
-      return Response.json({
-        "code": 200,
-        "success": true,
-        "message": "success",
-        "data": results,
-        "page": page,
-        "total": total.total
-      });
+      conditions.push(`tgimglog.url LIKE ?`)
+      params.push(`%${query}%`)
     }
-  } catch (error) {
+    const start = parseTimestamp(from)
+    if (start !== null) {
+      conditions.push(`tgimglog.time >= ?`)
+      params.push(start)
+    }
+    const end = parseTimestamp(to)
+    if (end !== null) {
+      conditions.push(`tgimglog.time < ?`)
+      params.push(end)
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
 
+    const { results } = await env.IMG.prepare(`SELECT tgimglog.*, imginfo.rating,imginfo.total FROM tgimglog JOIN imginfo ON tgimglog.url = imginfo.url ${where} ORDER BY tgimglog.id DESC LIMIT 10 OFFSET ?`)
+      .bind(...params, (Number(page) || 0) * 10).all()
+    const total = await env.IMG.prepare(`SELECT COUNT(*) as total FROM tgimglog ${where}`).bind(...params).first()
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "message": "success",
+      "data": results,
+      "page": page,
+      "total": total.total
+    });
+  } catch (error) {
+    const status = error instanceof StorageError ? error.status : 500
     return Response.json({
-      "code": 500,
+      "code": status,
       "success": false,
       "message": error.message,
-      "data": page,
     }, {
-      status: 500,
+      status,
       headers: corsHeaders,
     })
   }
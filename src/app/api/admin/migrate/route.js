@@ -0,0 +1,59 @@
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { applyMigrations, getSchemaStatus } from '@/lib/migrations';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Max-Age': '86400', // 24 hours
+  'Content-Type': 'application/json'
+};
+
+export const runtime = 'edge';
+
+function errorResponse(error, status = 500) {
+  return Response.json({
+    "code": status,
+    "success": false,
+    "message": error.message,
+  }, {
+    status,
+    headers: corsHeaders,
+  })
+}
+
+// 数据库结构的当前版本和待执行的迁移
+export async function GET() {
+  const { env } = getRequestContext();
+  if (!env.IMG) {
+    return errorResponse(new Error('未绑定 D1 数据库 (IMG)'), 400)
+  }
+  try {
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "data": await getSchemaStatus(env.IMG),
+    });
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+// 执行所有待执行的迁移，不会删除已有数据
+export async function POST() {
+  const { env } = getRequestContext();
+  if (!env.IMG) {
+    return errorResponse(new Error('未绑定 D1 数据库 (IMG)'), 400)
+  }
+  try {
+    const applied = await applyMigrations(env.IMG)
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "message": "success",
+      "applied": applied,
+      "data": await getSchemaStatus(env.IMG),
+    });
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
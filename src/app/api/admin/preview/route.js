@@ -0,0 +1,42 @@
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { findProviderBySrc } from '@/lib/storage';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Max-Age': '86400', // 24 hours
+  'Content-Type': 'application/json'
+};
+
+export const runtime = 'edge';
+
+// 后台预览回收站中的文件：公开地址对回收站中的文件返回 404，这里直接从存储后端读取，不写入缓存
+export async function GET(request) {
+  const { env } = getRequestContext();
+  const src = new URL(request.url).searchParams.get('src') || ''
+  const target = findProviderBySrc(src)
+  if (!target) {
+    if (/^https?:\/\//.test(src)) {
+      return Response.redirect(src, 302) // 文件直接保存在外部
+    }
+    return Response.json({ "code": 400, "success": false, "message": "Invalid src." }, { status: 400, headers: corsHeaders })
+  }
+  try {
+    const resolved = await target.provider.resolve(env, target.key)
+    if (!resolved || !resolved.response.ok) {
+      return Response.json({ "code": 404, "success": false, "message": "文件不存在或已失效" }, { status: 404, headers: corsHeaders })
+    }
+    const headers = new Headers(resolved.response.headers)
+    headers.set('Cache-Control', 'private, no-store')
+    return new Response(resolved.response.body, { status: 200, headers })
+  } catch (error) {
+    return Response.json({
+      "code": 500,
+      "success": false,
+      "message": error.message,
+    }, {
+      status: 500,
+      headers: corsHeaders,
+    })
+  }
+}
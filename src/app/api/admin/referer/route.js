@@ -0,0 +1,72 @@
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { StorageError } from '@/lib/storage/error';
+import { addRefererRule, clearRefererRulesCache, deleteRefererRule, listRefererRules } from '@/lib/referer';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Max-Age': '86400', // 24 hours
+  'Content-Type': 'application/json'
+};
+
+export const runtime = 'edge';
+
+function errorResponse(error) {
+  const status = error instanceof StorageError ? error.status : 500
+  return Response.json({
+    "code": status,
+    "success": false,
+    "message": error.message,
+  }, {
+    status,
+    headers: corsHeaders,
+  })
+}
+
+// 防盗链规则列表
+export async function GET() {
+  const { env } = getRequestContext();
+  try {
+    clearRefererRulesCache()
+    const rules = await listRefererRules(env.IMG)
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "data": rules,
+    });
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+// 添加规则 { pattern, action: 'allow' | 'deny', note }
+export async function POST(request) {
+  const { env } = getRequestContext();
+  try {
+    const { pattern, action, note } = await request.json()
+    await addRefererRule(env.IMG, { pattern, action, note })
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "message": "success",
+    });
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+// 删除规则 { id }
+export async function DELETE(request) {
+  const { env } = getRequestContext();
+  try {
+    const { id } = await request.json()
+    await deleteRefererRule(env.IMG, id)
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "message": "success",
+    });
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,36 @@
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { restoreFile } from '@/lib/delete';
+import { ensureSchema } from '@/lib/migrations';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Max-Age': '86400', // 24 hours
+  'Content-Type': 'application/json'
+};
+
+export const runtime = 'edge';
+
+// 从回收站恢复文件，原地址和短链接恢复访问
+export async function POST(request) {
+  const { env } = getRequestContext();
+  try {
+    let { name } = await request.json()
+    await ensureSchema(env.IMG)
+    const restored = await restoreFile(env.IMG, name)
+    return Response.json({
+      "code": restored ? 200 : 404,
+      "success": restored,
+      "message": restored ? "success" : "文件不在回收站中",
+    }, { status: restored ? 200 : 404, headers: corsHeaders });
+  } catch (error) {
+    return Response.json({
+      "code": 500,
+      "success": false,
+      "message": error.message,
+    }, {
+      status: 500,
+      headers: corsHeaders,
+    })
+  }
+}
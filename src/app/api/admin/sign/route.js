@@ -0,0 +1,56 @@
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { getPublicUrl } from '@/lib/storage';
+import { findShortLink, getShortUrl } from '@/lib/shortlink';
+import { DEFAULT_SIGNED_URL_TTL, isSigningEnabled, MAX_SIGNED_URL_TTL, signUrl } from '@/lib/signing';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Max-Age': '86400', // 24 hours
+  'Content-Type': 'application/json'
+};
+
+export const runtime = 'edge';
+
+// 为文件生成带有效期的签名链接，私有文件只能通过这种链接访问
+export async function POST(request) {
+  const { env } = getRequestContext();
+  try {
+    let { name, expires_in } = await request.json()
+    if (!isSigningEnabled(env)) {
+      return Response.json({
+        "code": 400,
+        "success": false,
+        "message": "SIGNING_SECRET is not configured.",
+      }, { status: 400, headers: corsHeaders })
+    }
+    if (typeof name !== 'string' || !name.startsWith('/')) {
+      return Response.json({
+        "code": 400,
+        "success": false,
+        "message": "Only files served by this site can be signed.",
+      }, { status: 400, headers: corsHeaders })
+    }
+
+    const ttl = Math.min(Math.max(Math.floor(Number(expires_in)) || DEFAULT_SIGNED_URL_TTL, 1), MAX_SIGNED_URL_TTL)
+    const origin = new URL(request.url).origin
+    const signed = await signUrl(env, getPublicUrl(name, origin), name, ttl)
+    const slug = await findShortLink(env.IMG, name)
+    return Response.json({
+      "code": 200,
+      "success": true,
+      "url": signed.url,
+      "short_url": slug ? (await signUrl(env, getShortUrl(origin, slug, name), name, ttl)).url : undefined,
+      "expires": signed.expires,
+    });
+  } catch (error) {
+    return Response.json({
+      "code": 500,
+      "success": false,
+      "message": error.message,
+    }, {
+      status: 500,
+      headers: corsHeaders,
+    })
+  }
+}
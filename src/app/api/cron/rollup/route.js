@@ -0,0 +1,31 @@
+export const runtime = 'edge';
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { jsonResponse } from '@/lib/http';
+import { isCronAuthorized, rollupViews } from '@/lib/rollup';
+import { purgeTrash } from '@/lib/delete';
+import { getRetentionDays } from '@/lib/retention';
+
+// 汇总访问日志并清理过期的原始记录，同时清理回收站，由外部定时任务调用 (Pages 不支持 Cron Triggers)
+// 请求需要带上 Authorization: Bearer <CRON_SECRET>
+async function handleRollup(request) {
+    const { env, ctx } = getRequestContext();
+    if (!isCronAuthorized(env, request)) {
+        return jsonResponse({ code: 401, success: false, message: 'Invalid or missing CRON_SECRET.' }, 401);
+    }
+    if (!env.IMG) {
+        return jsonResponse({ code: 400, success: false, message: 'The D1 database (IMG) binding is required.' }, 400);
+    }
+    try {
+        const result = await rollupViews(env.IMG, { retentionDays: getRetentionDays(env, 'LOG_RETENTION_DAYS') });
+        const purged = await purgeTrash(env, ctx, [new URL(request.url).origin, env.CUSTOM_DOMAIN], {
+            retentionDays: getRetentionDays(env, 'TRASH_RETENTION_DAYS'),
+        });
+        return jsonResponse({ code: 200, success: true, ...result, purged });
+    } catch (error) {
+        console.error("汇总访问日志失败:", error);
+        return jsonResponse({ code: 500, success: false, message: error.message }, 500);
+    }
+}
+
+export const GET = handleRollup;
+export const POST = handleRollup;
@@ -0,0 +1,35 @@
+export const runtime = 'edge';
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { getClientIp, handleOptions, jsonResponse } from '@/lib/http';
+import { consumeDeleteRate, retryAfterHeaders } from '@/lib/quota';
+import { findByDeleteToken, trashFile } from '@/lib/delete';
+import { StorageError } from '@/lib/storage/error';
+
+// 处理 CORS 预检请求 (OPTIONS)
+export const OPTIONS = handleOptions;
+
+// 通过上传时返回的删除链接删除文件，与后台删除相同，文件移到回收站
+// 删除链接本身是 /delete/:token 页面，确认后以 POST 或 DELETE 请求此接口，避免链接预览等 GET 请求误删
+async function handleDelete(request, { params }) {
+    const { env, ctx } = getRequestContext();
+    if (!env.IMG) {
+        return jsonResponse({ code: 400, success: false, message: 'The D1 database (IMG) binding is required.' }, 400);
+    }
+    try {
+        await consumeDeleteRate(env, getClientIp(request));
+        const src = await findByDeleteToken(env.IMG, params.token);
+        if (!src || !(await trashFile(env, ctx, src, [new URL(request.url).origin, env.CUSTOM_DOMAIN]))) {
+            return jsonResponse({ code: 404, success: false, message: 'The delete link is invalid or the file has already been deleted.' }, 404);
+        }
+        return jsonResponse({ code: 200, success: true, message: 'success' });
+    } catch (error) {
+        if (error instanceof StorageError) {
+            return jsonResponse({ code: error.status, success: false, message: error.message, ...error.details }, error.status, retryAfterHeaders(error));
+        }
+        console.error("通过删除链接删除文件失败:", error);
+        return jsonResponse({ code: 500, success: false, message: error.message }, 500);
+    }
+}
+
+export const DELETE = handleDelete;
+export const POST = handleDelete;
@@ -1,5 +1,11 @@
 export const runtime = 'edge';
 import { getRequestContext } from '@cloudflare/next-on-pages';
+import { cacheResponse, matchCache } from '@/lib/cache';
+import { checkReferer, refererDeniedResponse } from '@/lib/referer';
+import { findIpBan } from '@/lib/ipban';
+import { getClientIp } from '@/lib/http';
+import { insertViewLog } from '@/lib/db';
+import { findDeletedFile, getDeletedFileError } from '@/lib/delete';
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -14,8 +20,8 @@ export async function GET(request, { params }) {
 
 
 
-  const ip = request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') ||  request.socket.remoteAddress;
-  const clientIp = ip ? ip.split(',')[0].trim() : 'IP not found';
+  // 优先使用 CF-Connecting-IP，X-Forwarded-For 可以由客户端伪造
+  const clientIp = getClientIp(request);
   const Referer = request.headers.get('Referer') || "Referer";
 
   const req_url = new URL(request.url);
@@ -32,18 +38,42 @@ export async function GET(request, { params }) {
   }
 
   try {
-    const res = await fetch(`https://telegra.ph/file/${name}`, {
-      method: request.method,
-      headers: request.headers,
-      body: request.body,
-    })
+    // 被封禁的 IP 和防盗链规则拒绝的请求同样在后台记录日志 (未绑定 D1 时跳过)
+    const ban = await findIpBan(env, clientIp);
+    if (ban) {
+      ctx.waitUntil(insertViewLog(env.IMG, `/file/${name}`, Referer, clientIp, Date.now(), `ban:${ban}`));
+      return Response.json({ message: "你的 IP 已被封禁。", success: false }, { status: 403, headers: corsHeaders });
+    }
+    const refererCheck = await checkReferer(env, request);
+    if (!refererCheck.allowed) {
+      ctx.waitUntil(insertViewLog(env.IMG, `/file/${name}`, Referer, clientIp, Date.now(), refererCheck.decision));
+      return refererDeniedResponse(request);
+    }
+    // 回收站中和已删除的文件不再提供
+    const deleted = env.IMG ? await findDeletedFile(env.IMG, `/file/${name}`) : null;
+    if (deleted) {
+      const { status, message } = getDeletedFileError(deleted);
+      return Response.json({ message, success: false }, { status, headers: corsHeaders });
+    }
+
+    // 优先使用边缘缓存，未命中时从 telegra.ph 获取并在后台写入缓存；只在需要返回文件内容时才请求上游
+    // 不转发客户端的 Range 和条件请求头，否则上游返回的 206 / 304 无法作为完整文件缓存
+    const src = `/file/${name}`;
+    const serve = async () => {
+      const cached = await matchCache(req_url.origin, src);
+      if (cached) {
+        return cached;
+      }
+      const res = await fetch(`https://telegra.ph/file/${name}`);
+      return cacheResponse(ctx, req_url.origin, src, res);
+    };
     if (Referer == req_url.origin + "/admin" || Referer == req_url.origin + "/list" || Referer == req_url.origin + "/") {
-      return res
+      return serve()
     } else if (!env.IMG) {
-      return res
+      return serve()
     } else {
-      const nowTime = await get_nowTime()
-      await insertTgImgLog(env.IMG, `/file/${name}`, Referer, clientIp, nowTime);
+      const nowTime = Date.now()
+      ctx.waitUntil(insertViewLog(env.IMG, `/file/${name}`, Referer, clientIp, nowTime, refererCheck.decision));
       const rating = await getRating(env.IMG, `/file/${name}`);
       if (rating) {
         try {
@@ -56,14 +86,14 @@ export async function GET(request, { params }) {
         if (rating.rating == 3) {
           return Response.redirect(`${req_url.origin}/img/blocked.png`, 302);
         } else {
-          return res;
+          return serve();
         }
       } else {
         // if (1) {
         if (env.PROXYALLIMG) {
           try {
             const rating_index = await getModerateContentRating(env, `/file/${name}`)
-            const nowTime = await get_nowTime()
+            const nowTime = Date.now()
             // console.log( `/file/${name}`, Referer, clientIp, rating_index, nowTime);
             await insertImgInfo(env.IMG, `/file/${name}`, Referer, clientIp, rating_index, nowTime);
        
@@ -71,13 +101,13 @@ export async function GET(request, { params }) {
             if (rating_index == 3) {
               return Response.redirect(`${req_url.origin}/img/blocked.png`, 302);
             } else {
-              return res;
+              return serve();
             }
 
 
           } catch (error) {
             // console.log("error"+ error);
-            return res;
+            return serve();
           }
 
         } else {
@@ -113,12 +143,6 @@ export async function GET(request, { params }) {
 
 
 
-// 插入 tgimglog 记录
-async function insertTgImgLog(DB, url, referer, ip, time) {
-  const iImglog = await DB.prepare('INSERT INTO tgimglog (url, referer, ip, time) VALUES (?, ?, ?, ?)')
-    .bind(url, referer, ip, time)
-    .run();
-}
 // 插入 imginfo 记录
 async function insertImgInfo(DB, url, referer, ip, rating,  time) {
   try {
@@ -165,22 +189,3 @@ async function getModerateContentRating(env, url) {
     return -1
   }
 }
-
-
-async function get_nowTime() {
-  const options = {
-    timeZone: 'Asia/Shanghai',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-    hour12: false,
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit'
-  };
-  const timedata = new Date();
-  const formattedDate = new Intl.DateTimeFormat('zh-CN', options).format(timedata);
-
-  return formattedDate
-
-}
\ No newline at end of file
@@ -0,0 +1,25 @@
+export const runtime = 'edge';
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { findProviderBySrc } from '@/lib/storage';
+import { parseSlug, resolveShortLink } from '@/lib/shortlink';
+import { serveFile } from '@/lib/serve';
+import { handleOptions, jsonResponse } from '@/lib/http';
+
+// 处理 CORS 预检请求 (OPTIONS)
+export const OPTIONS = handleOptions;
+
+// 短链接 /i/:slug(.ext)，由 next.config.mjs 重写到此处
+// 与原地址共用评级、日志和缓存，原地址 (/api/cfile/... 等) 仍然可以访问
+export async function GET(request, { params }) {
+    const { env } = getRequestContext();
+    const src = env.IMG ? await resolveShortLink(env.IMG, parseSlug(params.name)) : null;
+    if (!src) {
+        return jsonResponse({ message: "短链接不存在。", success: false }, 404);
+    }
+
+    const target = findProviderBySrc(src);
+    if (!target) {
+        return Response.redirect(src, 302); // 文件直接保存在外部
+    }
+    return serveFile(request, target.provider, target.key, src);
+}
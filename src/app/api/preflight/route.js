@@ -0,0 +1,51 @@
+export const runtime = 'edge';
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { findImageByHash } from '@/lib/db';
+import { getProvider, getPublicUrl } from '@/lib/storage';
+import { handleOptions, jsonResponse } from '@/lib/http';
+import { findShortLink, getShortUrl } from '@/lib/shortlink';
+import { getOriginalMode } from '@/lib/upload';
+
+// 单次最多查询的哈希数量
+const MAX_HASHES = 100;
+
+// 处理 CORS 预检请求 (OPTIONS)
+export const OPTIONS = handleOptions;
+
+// 上传前按 SHA-256 查询文件是否已存在于将要上传的后端，已存在的文件客户端无需再次发送
+// 请求体: { "hashes": ["<sha256>", ...], "provider": "tgchannel", "original": true }，provider 为空时使用默认后端，
+// original 为上传时的原图模式 (未指定时使用 TG_ORIGINAL_QUALITY 的默认值)，只匹配以相同模式上传的文件
+// 返回 { data: { "<sha256>": { url, short_url, name } } }；只读接口，不会创建短链接，没有短链接时 short_url 为空
+export async function POST(request) {
+    const { env } = getRequestContext();
+    try {
+        const { hashes, provider: providerName, original } = await request.json();
+        if (!Array.isArray(hashes) || hashes.length > MAX_HASHES) {
+            return jsonResponse({ code: 400, success: false, message: `hashes must be an array of at most ${MAX_HASHES} items.` }, 400);
+        }
+
+        const data = {};
+        const provider = getProvider(env, providerName);
+        if (env.IMG && provider) {
+            const origin = env.CUSTOM_DOMAIN || new URL(request.url).origin;
+            const originalMode = getOriginalMode(env, provider, typeof original === 'boolean' ? original : undefined);
+            for (const hash of hashes) {
+                if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) continue;
+                const existing = await findImageByHash(env.IMG, hash, provider.name, originalMode);
+                if (existing) {
+                    const name = existing.url.split('/').pop();
+                    const slug = await findShortLink(env.IMG, existing.url);
+                    data[hash] = {
+                        url: getPublicUrl(existing.url, origin),
+                        short_url: slug ? getShortUrl(origin, slug, name) : undefined,
+                        name,
+                    };
+                }
+            }
+        }
+
+        return jsonResponse({ code: 200, success: true, data });
+    } catch (error) {
+        return jsonResponse({ code: 500, success: false, message: error.message }, 500);
+    }
+}
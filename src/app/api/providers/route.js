@@ -0,0 +1,25 @@
+export const runtime = 'edge';
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { getDefaultProvider, getEnabledProviders } from '@/lib/storage';
+import tgchannel from '@/lib/storage/tgchannel';
+import { jsonResponse } from '@/lib/http';
+import { isOriginalQuality } from '@/lib/telegram';
+import { isTusEnabled, TUS_MAX_SIZE } from '@/lib/tus';
+
+// 返回已启用的存储后端及默认的原图设置，供首页渲染上传接口下拉框
+// resumable 表示该后端支持断点续传 (/api/tus)，目前只有 Telegram 频道；resumable_max_size 为断点续传允许的最大文件大小
+export async function GET() {
+    const { env } = getRequestContext();
+    const defaultProvider = getDefaultProvider(env);
+
+    return jsonResponse({
+        code: 200,
+        success: true,
+        default: defaultProvider ? defaultProvider.name : null,
+        original_quality: isOriginalQuality(env),
+        data: getEnabledProviders(env).map(({ name, label }) => {
+            const resumable = name === tgchannel.name && isTusEnabled(env);
+            return { name, label, resumable, resumable_max_size: resumable ? TUS_MAX_SIZE : null };
+        }),
+    });
+}
@@ -0,0 +1,25 @@
+export const runtime = 'edge';
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { getClientIp, jsonResponse } from '@/lib/http';
+import { getDailyUsage, getQuotaConfig, isQuotaEnabled } from '@/lib/quota';
+
+// 返回当前 IP 今天的上传用量和剩余额度，供首页展示；未启用限额时 enabled 为 false
+export async function GET(request) {
+    const { env } = getRequestContext();
+    try {
+        if (!isQuotaEnabled(env)) {
+            return jsonResponse({ code: 200, success: true, enabled: false });
+        }
+        const { burst } = getQuotaConfig(env);
+        const usage = await getDailyUsage(env, getClientIp(request));
+        return jsonResponse({
+            code: 200,
+            success: true,
+            enabled: true,
+            rate_limit: burst,
+            ...usage,
+        });
+    } catch (error) {
+        return jsonResponse({ code: 500, success: false, message: error.message }, 500);
+    }
+}
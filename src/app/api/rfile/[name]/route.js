@@ -0,0 +1,13 @@
+export const runtime = 'edge';
+import r2 from '@/lib/storage/r2';
+import { serveFile } from '@/lib/serve';
+import { handleOptions } from '@/lib/http';
+
+// 处理 CORS 预检请求 (OPTIONS)
+export const OPTIONS = handleOptions;
+
+// 从 R2 / S3 兼容存储中读取文件
+export async function GET(request, { params }) {
+    const { name: key } = params;
+    return serveFile(request, r2, key, `/rfile/${key}`);
+}
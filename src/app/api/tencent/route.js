@@ -1,111 +1,10 @@
 export const runtime = 'edge';
-import { getRequestContext } from '@cloudflare/next-on-pages';
+import { handleUpload } from '@/lib/upload';
+import { handleOptions } from '@/lib/http';
 
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type',
-  'Access-Control-Max-Age': '86400', // 24 hours
-  'Content-Type': 'application/json'
-};
+// 处理 CORS 预检请求 (OPTIONS)
+export const OPTIONS = handleOptions;
 
 export async function POST(request) {
-  const { env, cf, ctx } = getRequestContext();
-  const ip = request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || request.socket.remoteAddress;
-  const clientIp = ip ? ip.split(',')[0].trim() : 'IP not found';
-  const Referer = request.headers.get('Referer') || "Referer";
-
-  const req_url = new URL(request.url);
-
-
-  if (request.method === 'OPTIONS') {
-    return new Response(null, {
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Max-Age': '86400', // 24小时
-      },
-    });
-  }
-
-  try {
-
-    const res = await fetch('https://openai.weixin.qq.com/weixinh5/webapp/h774yvzC2xlB4bIgGfX2stc4kvC85J/cos/upload', {
-      method: request.method,
-      headers: request.headers,
-      body: request.body
-    });
-    // console.log(res);
-    const resdata = await res.json()
-
-    const data = {
-      "url": resdata.url,
-      "code": 200,
-      "name": resdata.filekey
-    }
-
-    try {
-      if (env.IMG) {
-        const nowTime = await get_nowTime()
-        await insertImageData(env.IMG, resdata.url, Referer, clientIp, 7, nowTime);
-    }
-    } catch (error) {
-      
-    }
-
-
-    return Response.json(data, {
-      status: 200,
-      headers: corsHeaders,
-    }
-
-    )
-
-
-  } catch (error) {
-    return Response.json({
-      status: 500,
-      message: ` ${error.message}`,
-      success: false
-    }
-      , {
-        status: 500,
-        headers: corsHeaders,
-      })
-  }
-
-}
-
-
-
-
-async function insertImageData(env, src, referer, ip, rating, time) {
-  try {
-    const instdata = await env.prepare(
-      `INSERT INTO imginfo (url, referer, ip, rating, total, time)
-           VALUES ('${src}', '${referer}', '${ip}', ${rating}, 1, '${time}')`
-    ).run()
-  } catch (error) {
-
-  };
+    return handleUpload(request, 'tencent');
 }
-
-
-
-async function get_nowTime() {
-  const options = {
-    timeZone: 'Asia/Shanghai',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-    hour12: false,
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit'
-  };
-  const timedata = new Date();
-  const formattedDate = new Intl.DateTimeFormat('zh-CN', options).format(timedata);
-
-  return formattedDate
-
-}
\ No newline at end of file
@@ -0,0 +1,21 @@
+export const runtime = 'edge';
+import { handleTusDelete, handleTusHead, handleTusOptions, handleTusPatch, handleTusResult } from '@/lib/tus';
+
+// tus 断点续传：查询进度、追加数据、终止上传，以及获取最终的上传结果
+export const OPTIONS = handleTusOptions;
+
+export async function HEAD(request, { params }) {
+    return handleTusHead(request, params.id);
+}
+
+export async function PATCH(request, { params }) {
+    return handleTusPatch(request, params.id);
+}
+
+export async function GET(request, { params }) {
+    return handleTusResult(request, params.id);
+}
+
+export async function DELETE(request, { params }) {
+    return handleTusDelete(request, params.id);
+}
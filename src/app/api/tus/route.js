@@ -0,0 +1,9 @@
+export const runtime = 'edge';
+import { handleTusCreate, handleTusOptions } from '@/lib/tus';
+
+// tus 断点续传：能力发现与创建上传
+export const OPTIONS = handleTusOptions;
+
+export async function POST(request) {
+    return handleTusCreate(request);
+}
@@ -0,0 +1,12 @@
+export const runtime = 'edge';
+import { handleUpload } from '@/lib/upload';
+import { handleOptions } from '@/lib/http';
+
+// 处理 CORS 预检请求 (OPTIONS)
+export const OPTIONS = handleOptions;
+
+// 通用上传接口，通过 ?provider= 指定存储后端，为空时使用 DEFAULT_STORAGE
+export async function POST(request) {
+    const provider = new URL(request.url).searchParams.get('provider');
+    return handleUpload(request, provider || undefined);
+}
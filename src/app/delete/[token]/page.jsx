@@ -0,0 +1,7 @@
+import { DeleteFilePage } from "@/components/DeleteFile";
+export const runtime = 'edge';
+
+// 上传时返回的删除链接 /delete/:token
+export default function DeletePage({ params }) {
+    return <DeleteFilePage token={params.token} />
+}
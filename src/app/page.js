@@ -1,13 +1,21 @@
 "use client";
 import { useState, useRef, useCallback } from "react";
 import Image from "next/image";
-import { faImages, faTrashAlt, faUpload, faSearchPlus } from '@fortawesome/free-solid-svg-icons';
+import { faImages, faTrashAlt, faUpload, faSearchPlus, faLink } from '@fortawesome/free-solid-svg-icons';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { ToastContainer } from "react-toastify";
 import { toast } from "react-toastify";
 import { useEffect } from 'react';
 import Footer from '@/components/Footer'
 import Link from "next/link";
+import { tusUpload, TUS_CHUNK_SIZE } from '@/lib/tus-client';
+import { sha256Hex } from '@/lib/crypto';
+
+// 收到 429 时自动重试的次数和最长等待时间 (秒)
+const MAX_AUTO_RETRIES = 3;
+const MAX_AUTO_RETRY_WAIT = 60;
+// 浏览器中计算哈希需要把整个文件读入内存，更大的文件跳过预检，由服务器在上传时去重
+const PREFLIGHT_MAX_SIZE = 20 * 1024 * 1024;
 
 export default function Home() {
   const [selectedFiles, setSelectedFiles] = useState([]);
@@ -19,7 +27,14 @@ export default function Home() {
   const [uploadStatusNum, setUploadStatusNum] = useState(0);
   const [IP, setIP] = useState('');
   const [Total, setTotal] = useState('?');
-  const [selectedOption, setSelectedOption] = useState('tgchannel'); // 初始选择第一个选项
+  const [selectedOption, setSelectedOption] = useState(''); // 初始为后端返回的默认接口
+  const [providers, setProviders] = useState([]);
+  const [uploadProgress, setUploadProgress] = useState({}); // 断点续传的进度，按文件名记录
+  const [remoteUrl, setRemoteUrl] = useState('');
+  const [slug, setSlug] = useState(''); // 自定义短链接，仅用于单个文件
+  const [isPrivate, setIsPrivate] = useState(false); // 私有文件只能通过签名链接访问
+  const [original, setOriginal] = useState(false); // 原图模式，图片以文档发送到 Telegram，不会被压缩
+  const [quota, setQuota] = useState(null); // 当前 IP 今天的剩余上传额度，未启用限额时为 null
 
   const origin = typeof window !== 'undefined' ? window.location.origin : '';
 
@@ -39,6 +54,8 @@ export default function Home() {
   useEffect(() => {
     ip();
     getTotal();
+    getProviders();
+    getQuota();
 
 
   }, []);
@@ -77,6 +94,50 @@ export default function Home() {
 
 
 
+    } catch (error) {
+      console.error('请求出错:', error);
+    }
+  }
+
+  const getQuota = async () => {
+    try {
+      const res = await fetch(`/api/quota`);
+      const data = await res.json();
+      setQuota(data.enabled ? data : null);
+    } catch (error) {
+      console.error('请求出错:', error);
+    }
+  };
+
+  // 如 "今日剩余 20 个文件、300.00 MB"
+  const formatQuota = (data) => {
+    const parts = [];
+    if (data.remaining.count !== null) {
+      parts.push(`${data.remaining.count} 个文件`);
+    }
+    if (data.remaining.bytes !== null) {
+      parts.push(`${(data.remaining.bytes / (1024 * 1024)).toFixed(2)} MB`);
+    }
+    return parts.length ? `今日剩余 ${parts.join('、')}` : '';
+  };
+
+  const getProviders = async () => {
+    try {
+
+      const res = await fetch(`/api/providers`, {
+        method: "GET",
+        headers: {
+          'Content-Type': 'application/json'
+        }
+
+      });
+      const data = await res.json();
+      setProviders(data.data);
+      setSelectedOption(data.default || '');
+      setOriginal(Boolean(data.original_quality));
+
+
+
     } catch (error) {
       console.error('请求出错:', error);
     }
@@ -94,6 +155,39 @@ export default function Home() {
     setSelectedFiles([...selectedFiles, ...uniqueFiles]);
   };
 
+  // 由服务器下载远程图片并上传，不需要先保存到本地
+  const handleRemoteUpload = async () => {
+    if (!remoteUrl.trim()) {
+      toast.error('请输入图片链接');
+      return;
+    }
+    setUploading(true);
+    try {
+      const response = await fetch(`/api/upload?provider=${encodeURIComponent(selectedOption)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ url: remoteUrl.trim(), slug: slug.trim() || undefined, private: isPrivate, original })
+      });
+      const result = await response.json();
+      if (response.ok) {
+        setUploadedImages((prevImages) => [...prevImages, { name: result.name, url: result.short_url || result.url, deleteUrl: result.delete_url }]);
+        setUploadedFilesNum(uploadedFilesNum + 1);
+        setRemoteUrl('');
+        setSlug('');
+        toast.success('已成功上传 1 张图片');
+      } else {
+        toast.error(`链接上传失败: ${result.message}`);
+      }
+    } catch (error) {
+      toast.error(`链接上传失败: ${error.message}`);
+    } finally {
+      setUploading(false);
+      getQuota();
+    }
+  };
+
   const handleClear = () => {
     setSelectedFiles([]);
     // setUploadStatus('');
@@ -105,6 +199,73 @@ export default function Home() {
     return (totalSizeInBytes / (1024 * 1024)).toFixed(2); // 转换为MB并保留两位小数
   };
 
+  // 按 SHA-256 查询服务器是否已有相同文件，有则直接使用已有地址
+  const findExisting = async (file) => {
+    if (file.size > PREFLIGHT_MAX_SIZE) {
+      return null;
+    }
+    try {
+      const hash = await sha256Hex(await file.arrayBuffer());
+      const res = await fetch(`/api/preflight`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ hashes: [hash], provider: selectedOption, original })
+      });
+      const data = await res.json();
+      return data.data?.[hash] || null;
+    } catch (error) {
+      console.error('去重查询出错:', error);
+      return null;
+    }
+  };
+
+  // 支持断点续传的后端 (Telegram 频道) 上传较大的文件时走 tus，连接中断后再次点击上传会从断点继续
+  // 一个数据块就能发完的小文件不必暂存到 D1；超过 tus 上限的文件由普通上传接口分片发送；
+  // 其他后端没有暂存上传数据的地方，仍然整个文件一次发送
+  const uploadFile = async (file, customSlug, attempt = 0) => {
+    const provider = providers.find((item) => item.name === selectedOption);
+    if (provider?.resumable && file.size > TUS_CHUNK_SIZE && file.size <= provider.resumable_max_size) {
+      return tusUpload(file, {
+        slug: customSlug,
+        isPrivate,
+        original,
+        onProgress: (uploaded, total) => {
+          setUploadProgress((prev) => ({ ...prev, [file.name]: Math.floor(uploaded / total * 100) }));
+        },
+      });
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+    if (customSlug) {
+      formData.append('slug', customSlug);
+    }
+    if (isPrivate) {
+      formData.append('private', '1');
+    }
+    formData.append('original', original ? '1' : '0');
+
+    const response = await fetch(`/api/upload?provider=${encodeURIComponent(selectedOption)}`, {
+      method: 'POST',
+      body: formData,
+      headers: headers
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      // 服务器排队已满或触发 Telegram 限流时，等待片刻后自动重试；每日额度用完时直接报错
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      if (response.status === 429 && retryAfter > 0 && retryAfter <= MAX_AUTO_RETRY_WAIT && attempt < MAX_AUTO_RETRIES) {
+        toast.info(`上传过于频繁，${retryAfter} 秒后自动重试 ${file.name}`);
+        await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
+        return uploadFile(file, customSlug, attempt + 1);
+      }
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+    return response.json();
+  };
+
   const handleUpload = async (file = null) => {
     setUploading(true);
   
@@ -116,34 +277,31 @@ export default function Home() {
       return;
     }
   
-    const formFieldName = selectedOption === "tencent" ? "media" : "file";
+    const customSlug = slug.trim();
+    if (customSlug && filesToUpload.length > 1) {
+      toast.error('自定义短链接只能用于单个文件');
+      setUploading(false);
+      return;
+    }
+
     let successCount = 0;
   
     try {
       for (const file of filesToUpload) {
-        const formData = new FormData();
-        formData.append(formFieldName, file);
-  
         try {
-          const response = await fetch(`/api/${selectedOption}`, {
-            method: 'POST',
-            body: formData,
-            headers: headers
-          });
-  
-          if (response.ok) {
-            const result = await response.json();
-            file.url = result.url;
-  
-            // 更新 uploadedImages 和 selectedFiles
-            setUploadedImages((prevImages) => [...prevImages, file]);
-            setSelectedFiles((prevFiles) => prevFiles.filter(f => f !== file));
-            successCount++;
-          } else {
-            toast.error(`上传 ${file.name} 图片时出错`);
-          }
+          // 指定了短链接时交给服务器去重，以便为已有文件创建该短链接；私有文件不参与去重
+          const result = (!customSlug && !isPrivate && await findExisting(file)) || await uploadFile(file, customSlug);
+          file.url = result.short_url || result.url;
+          // 删除链接只在本次上传时返回，重复文件没有
+          file.deleteUrl = result.delete_url;
+          setSlug('');
+
+          // 更新 uploadedImages 和 selectedFiles
+          setUploadedImages((prevImages) => [...prevImages, file]);
+          setSelectedFiles((prevFiles) => prevFiles.filter(f => f !== file));
+          successCount++;
         } catch (error) {
-          toast.error(`上传 ${file.name} 图片时出错`);
+          toast.error(`上传 ${file.name} 图片时出错: ${error.message}`);
         }
       }
   
@@ -155,6 +313,7 @@ export default function Home() {
       toast.error('上传错误');
     } finally {
       setUploading(false);
+      getQuota();
     }
   };
       
@@ -271,6 +430,15 @@ export default function Home() {
                       className="px-3 my-1 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-800 focus:outline-none placeholder-gray-400"
                     />
                   ))}
+                  {data.deleteUrl && (
+                    <input
+                      readOnly
+                      value={data.deleteUrl}
+                      onClick={() => handleCopy(data.deleteUrl)}
+                      title="删除链接：持有该链接即可删除文件，请自行保存，不要公开"
+                      className="px-3 my-1 py-2 border border-red-300 rounded-lg bg-red-50 text-sm text-red-700 focus:outline-none"
+                    />
+                  )}
                 </div>
               </div>
 
@@ -339,6 +507,7 @@ export default function Home() {
             <div className="text-gray-800 text-lg">图片或视频上传</div>
             <div className="mb-4 text-sm text-gray-500">
               上传文件最大 5 MB;本站已托管 <span className="text-cyan-600">{Total}</span> 张图片; 你访问本站的IP是：<span className="text-cyan-600">{IP}</span>
+              {quota && formatQuota(quota) && <>; <span className="text-cyan-600">{formatQuota(quota)}</span></>}
             </div>
           </div>
           <div className="flex  flex-col sm:flex-col   md:w-auto lg:flex-row xl:flex-row  2xl:flex-row  mx-auto items-center  ">
@@ -347,10 +516,9 @@ export default function Home() {
               value={selectedOption} // 将选择框的值绑定到状态中的 selectedOption
               onChange={handleSelectChange} // 当选择框的值发生变化时触发 handleSelectChange 函数
               className="text-lg p-2 border  rounded text-center w-auto sm:w-auto md:w-auto lg:w-auto xl:w-auto  2xl:w-36">
-              {/* <option value="tg">TG</option> */}
-              <option value="tgchannel">TG_Channel</option>
-
-              <option value="tencent">tencent</option>
+              {providers.map((provider) => (
+                <option key={provider.name} value={provider.name}>{provider.label}</option>
+              ))}
             </select>
           </div>
 
@@ -374,6 +542,11 @@ export default function Home() {
                     fill={true}
 
                   />
+                  {uploadProgress[file.name] !== undefined && (
+                    <div className="absolute bottom-0 left-0 w-full bg-black bg-opacity-50 text-white text-xs text-center">
+                      {uploadProgress[file.name]}%
+                    </div>
+                  )}
                 </div>
                 <div className="flex flex-row items-center  justify-center w-full mt-3">
                   <button
@@ -452,6 +625,47 @@ export default function Home() {
             </div>
           </div>
         </div>
+        <div className="w-full rounded-md shadow-sm overflow-hidden mt-4 flex flex-row">
+          <input
+            type="url"
+            value={remoteUrl}
+            onChange={(e) => setRemoteUrl(e.target.value)}
+            placeholder="输入图片链接，由服务器下载后上传"
+            className="flex-1 h-10 px-4 border border-gray-300 focus:outline-none"
+          />
+          <input
+            type="text"
+            value={slug}
+            onChange={(e) => setSlug(e.target.value)}
+            placeholder="自定义短链接 (可选)"
+            className="w-40 h-10 px-4 border border-l-0 border-gray-300 focus:outline-none"
+          />
+          <label className="h-10 px-3 flex items-center border border-l-0 border-gray-300 text-sm text-gray-700 whitespace-nowrap cursor-pointer">
+            <input
+              type="checkbox"
+              checked={isPrivate}
+              onChange={(e) => setIsPrivate(e.target.checked)}
+              className="mr-1"
+            />
+            私有
+          </label>
+          <label className="h-10 px-3 flex items-center border border-l-0 border-gray-300 text-sm text-gray-700 whitespace-nowrap cursor-pointer" title="图片以文件形式发送到 Telegram，保留原始格式、分辨率和透明度">
+            <input
+              type="checkbox"
+              checked={original}
+              onChange={(e) => setOriginal(e.target.checked)}
+              className="mr-1"
+            />
+            原图
+          </label>
+          <div
+            className={`w-28 bg-blue-500 cursor-pointer h-10 flex items-center justify-center text-white ${uploading ? 'pointer-events-none opacity-50' : ''}`}
+            onClick={handleRemoteUpload}
+          >
+            <FontAwesomeIcon icon={faLink} style={{ width: '20px', height: '20px' }} className="mr-2" />
+            链接上传
+          </div>
+        </div>
 
 
         <ToastContainer />
@@ -0,0 +1,54 @@
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+
+// 删除链接的确认页：打开链接不会删除文件，点击按钮后才发送删除请求
+export function DeleteFilePage({ token }) {
+  const [status, setStatus] = useState('idle'); // 'idle'、'deleting'、'deleted' 或 'error'
+  const [message, setMessage] = useState('');
+
+  const handleDelete = async () => {
+    setStatus('deleting');
+    try {
+      const res = await fetch(`/api/delete/${encodeURIComponent(token)}`, { method: 'POST' });
+      const res_data = await res.json();
+      if (res_data.success) {
+        setStatus('deleted');
+      } else {
+        setStatus('error');
+        setMessage(res.status === 429 ? `请求过于频繁，请 ${res_data.retry_after} 秒后再试` : '删除链接无效，或文件已被删除');
+      }
+    } catch (error) {
+      setStatus('error');
+      setMessage(error.message);
+    }
+  };
+
+  return (
+    <div className="flex min-h-full flex-1 flex-col justify-center px-6 py-12 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-sm">
+        <h1 className="mt-10 text-center text-2xl font-bold leading-9 tracking-tight text-gray-900">
+          删除文件
+        </h1>
+        <div className="mt-10 space-y-6 text-center text-sm text-gray-700">
+          {status === 'deleted' ? (
+            <p>文件已删除，原链接和短链接都已失效。</p>
+          ) : (
+            <>
+              <p>删除后该文件的所有链接都将无法访问。</p>
+              <button
+                onClick={handleDelete}
+                disabled={status === 'deleting'}
+                className="flex w-full justify-center rounded-md bg-red-600 px-3 py-1.5 text-sm font-semibold leading-6 text-white shadow-sm hover:bg-red-500 disabled:opacity-50"
+              >
+                {status === 'deleting' ? '正在删除...' : '确认删除'}
+              </button>
+              {status === 'error' && <p className="text-red-600">{message}</p>}
+            </>
+          )}
+          <Link href="/" className="block text-blue-600 hover:underline">返回首页</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -29,7 +29,7 @@ const Switcher = ({ initialChecked, initName }) => {
   const [isChecked, setIsChecked] = useState(initialChecked === 3);
   // const isDisabled = initialChecked > 3;
   // console.log(initName);
-  const isDisabled = initName.startsWith('/file') || initName.startsWith('/cfile');
+  const isDisabled = initName.startsWith('/file') || initName.startsWith('/cfile') || initName.startsWith('/rfile');
 
   useEffect(() => {
     setIsChecked(initialChecked === 3);
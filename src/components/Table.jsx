@@ -5,7 +5,27 @@ import { ToastContainer, toast } from "react-toastify";
 import React, { useRef } from 'react';
 import TooltipItem from '@/components/Tooltip';
 
-export default function Table({ data: initialData = [] }) {
+// 文件大小，如 "1.25 MB"
+const formatSize = (bytes) => {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(2)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
+
+// 时间为 UTC 毫秒时间戳，按浏览器所在时区显示；尚未升级数据库时旧版本写入的时间字符串原样显示
+const formatTime = (time) => {
+    if (time === null || time === undefined || time === '') {
+        return '';
+    }
+    return /^\d+$/.test(String(time)) ? new Date(Number(time)).toLocaleString() : time;
+};
+
+// trash 为 true 时显示回收站中的文件，提供恢复和彻底删除
+export default function Table({ data: initialData = [], trash = false }) {
     const [data, setData] = useState(initialData); // 初始化状态
 
     const [selectedImage, setSelectedImage] = useState(null); // 添加状态用于跟踪选中的放大图片
@@ -38,7 +58,34 @@ export default function Table({ data: initialData = [] }) {
     };
 
     const getImgUrl = (url) => {
-        return url.startsWith("/file/") || url.startsWith("/cfile/") ? `${origin}/api${url}` : url;
+        return url.startsWith("/file/") || url.startsWith("/cfile/") || url.startsWith("/rfile/") ? `${origin}/api${url}` : url;
+    };
+
+    // 回收站中的文件不能通过公开地址访问，通过后台接口预览
+    const getPreviewUrl = (src) => `${origin}/api/admin/preview?src=${encodeURIComponent(src)}`;
+
+    // 私有文件需要带上列表接口返回的签名参数才能预览
+    const getItemUrl = (item) => {
+        if (trash) {
+            return getPreviewUrl(item.url);
+        }
+        const url = getImgUrl(item.url);
+        return item.signed_query ? `${url}?${item.signed_query}` : url;
+    };
+
+    // 列表预览优先使用上传时保存的缩略图，旧记录则请求服务端生成的小图，避免下载原图
+    const getThumbUrl = (item) => {
+        if (trash) {
+            return getPreviewUrl(item.thumb || item.url);
+        }
+        if (item.thumb) {
+            return getImgUrl(item.thumb);
+        }
+        if (item.url.startsWith("/cfile/") || item.url.startsWith("/rfile/")) {
+            const query = "w=160&h=160&fit=cover&format=webp";
+            return `${getImgUrl(item.url)}?${item.signed_query ? `${query}&${item.signed_query}` : query}`;
+        }
+        return getItemUrl(item);
     };
 
 
@@ -60,7 +107,64 @@ export default function Table({ data: initialData = [] }) {
     };
 
 
-    const deleteItem = async (initName) => {
+    // 生成 7 天有效的签名链接并复制，私有文件只能通过签名链接分享
+    const handleSign = async (name) => {
+        try {
+            const res = await fetch(`/api/admin/sign`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    name,
+                    expires_in: 7 * 24 * 60 * 60,
+                }),
+            });
+            const res_data = await res.json();
+            if (res_data.success) {
+                await navigator.clipboard.writeText(res_data.short_url || res_data.url);
+                toast.success(`签名链接已复制，有效期至 ${new Date(res_data.expires * 1000).toLocaleString()}`);
+            } else {
+                toast.error(res_data.message);
+            }
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+
+    // 从数据页或日志页直接封禁访问者的 IP，默认 1 天
+    const handleBanIp = async (ip) => {
+        const hours = window.prompt(`封禁 ${ip} 多少小时？留空表示永久`, '24');
+        if (hours === null) {
+            return;
+        }
+        try {
+            const res = await fetch(`/api/admin/ipban`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    cidr: ip,
+                    note: '从后台列表封禁',
+                    expires_in: hours.trim() ? Number(hours) * 60 * 60 : undefined,
+                }),
+            });
+            const res_data = await res.json();
+            if (res_data.success) {
+                toast.success(`已封禁 ${res_data.cidr}`);
+            } else {
+                toast.error(res_data.message);
+            }
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+
+    // permanent 为 false 时移到回收站，可以恢复
+    const deleteItem = async (initName, permanent = false) => {
         try {
             const res = await fetch(`/api/admin/delete`, {
                 method: 'DELETE',
@@ -69,11 +173,19 @@ export default function Table({ data: initialData = [] }) {
                 },
                 body: JSON.stringify({
                     name: initName,
+                    permanent,
                 }),
             });
             const res_data = await res.json();
             if (res_data.success) {
-                toast.success('删除成功!');
+                if (!permanent) {
+                    toast.success('已移到回收站');
+                } else if (res_data.backend) {
+                    toast.success('删除成功!');
+                } else {
+                    // 链接已失效，但文件仍保存在后端 (如早期上传的文件没有记录 Telegram 消息 ID)
+                    toast.info('已删除记录，存储后端中的文件未能删除');
+                }
                 setData(prevData => prevData.filter(item => item.url !== initName));
             } else {
                 toast.error(res_data.message);
@@ -85,9 +197,37 @@ export default function Table({ data: initialData = [] }) {
 
 
     const handleDelete = async (initName) => {
-        const confirmed = window.confirm('你确定要删除这个项目吗？');
-        if (confirmed) {
+        if (!trash) {
             await deleteItem(initName);
+            return;
+        }
+        const confirmed = window.confirm('彻底删除后无法恢复，存储后端中的文件也会被删除。确定吗？');
+        if (confirmed) {
+            await deleteItem(initName, true);
+        }
+    };
+
+
+    const handleRestore = async (initName) => {
+        try {
+            const res = await fetch(`/api/admin/restore`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    name: initName,
+                }),
+            });
+            const res_data = await res.json();
+            if (res_data.success) {
+                toast.success('已恢复');
+                setData(prevData => prevData.filter(item => item.url !== initName));
+            } else {
+                toast.error(res_data.message);
+            }
+        } catch (error) {
+            toast.error(error.message);
         }
     };
 
@@ -112,36 +252,51 @@ export default function Table({ data: initialData = [] }) {
                         <tr key={index}>
                             <td className="w-20 h-20 sticky left-0 z-10   py-2 px-4 border-b border-gray-500 bg-white text-sm text-gray-700">
                                 <img
-                                    src={getImgUrl(item.url)}
+                                    src={getThumbUrl(item)}
                                     alt="Selected"
+                                    loading="lazy"
                                     className="w-full h-full object-cover"
-                                    onClick={() => handleImageClick(getImgUrl(item.url))}
+                                    onClick={() => handleImageClick(getItemUrl(item))}
                                 />
                             </td>
                             <td onClick={() => handleNameClick(item)} className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700 truncate max-w-48">
                                 {item.url}
+                                {Number(item.private) === 1 && <span className="ml-1 px-1 text-xs text-white bg-gray-500 rounded">私有</span>}
                             </td>
                             <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700 max-w-48">
-                                {item.time}
+                                {formatTime(item.time)}
+                                {trash && item.deleted && <div className="text-xs text-gray-400">删除于 {formatTime(item.deleted)}</div>}
                             </td>
                             <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700 max-w-48 break-all">
-                                <TooltipItem tooltipsText={item.referer} position="bottom" >{item.referer}</TooltipItem>
+                                <TooltipItem tooltipsText={item.decision ? `${item.referer} (${item.decision})` : item.referer} position="bottom" >{item.referer}</TooltipItem>
+                                {item.decision?.startsWith('deny') && <span className="ml-1 px-1 text-xs text-white bg-red-600 rounded">已拦截</span>}
                             </td>
                             <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700 max-w-48 ">
-                                <TooltipItem tooltipsText={item.ip} position="bottom" >{item.ip}</TooltipItem>
+                                <TooltipItem tooltipsText={`${item.ip} (点击封禁)`} position="bottom" >
+                                    <span className="cursor-pointer hover:text-red-600" onClick={() => handleBanIp(item.ip)}>{item.ip}</span>
+                                </TooltipItem>
                             </td>
                             <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700 max-w-2 ">{item.total}</td>
                             <td className="text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700 max-w-2 ">{item.rating}</td>
                             <td className="sticky  right-0 z-10 bg-white text-center py-2 px-4 border-b border-gray-200 text-sm text-gray-700">
                                 <div className="flex flex-row justify-center">
-                                    <Switcher initialChecked={item.rating} initName={item.url} />
+                                    {trash ? (
+                                        <button
+                                            onClick={() => handleRestore(item.url)}
+                                            className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
+                                        >
+                                            恢复
+                                        </button>
+                                    ) : (
+                                        <Switcher initialChecked={item.rating} initName={item.url} />
+                                    )}
                                     <button
                                         onClick={()=>{
                                             handleDelete(item.url)
                                         }}
                                         className="ml-2 px-3 py-1 text-sm font-medium text-white bg-red-600 rounded hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50"
                                     >
-                                        删除
+                                        {trash ? '彻底删除' : '删除'}
                                     </button>
                                 </div>
                             </td>
@@ -172,7 +327,7 @@ export default function Table({ data: initialData = [] }) {
             {modalData && (
                 <div onClick={handleClickOutside} className="fixed z-50 inset-0 overflow-y-auto flex items-center justify-center m-5 ">
                     <div className="fixed inset-0 bg-black opacity-75"></div>
-                    <div ref={modalRef} className="bg-white rounded-lg flex-none flex flex-col h-1/2 relative w-9/10 sm:w-9/10 md:w-96 lg:w-120 xl:w-144 2xl:w-160">
+                    <div ref={modalRef} className="bg-white rounded-lg flex-none flex flex-col h-1/2 overflow-y-auto relative w-9/10 sm:w-9/10 md:w-96 lg:w-120 xl:w-144 2xl:w-160">
                         <button className="absolute top-2 right-2 ring-2 text-red-600 hover:text-red-800" onClick={handleCloseModal}>
                             <svg className="w-8 h-8" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
@@ -195,6 +350,32 @@ export default function Table({ data: initialData = [] }) {
 
 
                             ))}
+                            {modalData.url.startsWith("/") && (
+                                <button
+                                    onClick={() => handleSign(modalData.url)}
+                                    className="mx-2 my-1 px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 focus:outline-none"
+                                >
+                                    {Number(modalData.private) === 1 ? '生成签名链接 (私有文件需要签名访问)' : '生成签名链接'}
+                                </button>
+                            )}
+                            {/* 上传时记录的文件信息，旧数据没有这些字段 */}
+                            <dl className="mx-2 my-2 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm text-gray-700">
+                                {[
+                                    ['文件名', modalData.name],
+                                    ['类型', modalData.mime],
+                                    ['大小', modalData.size != null ? formatSize(modalData.size) : null],
+                                    ['尺寸', modalData.width && modalData.height ? `${modalData.width} × ${modalData.height}` : null],
+                                    ['存储', modalData.backend],
+                                    ['file_unique_id', modalData.file_unique_id],
+                                    ['消息 ID', modalData.message_id],
+                                    ['频道 ID', modalData.chat_id],
+                                ].filter(([, value]) => value != null && value !== '').map(([label, value]) => (
+                                    <React.Fragment key={label}>
+                                        <dt className="text-gray-500">{label}</dt>
+                                        <dd className="break-all">{value}</dd>
+                                    </React.Fragment>
+                                ))}
+                            </dl>
                         </div>
 
                     </div>
@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { BROWSER_CACHE_TTL, cacheResponse, getCacheKey, purgeCache, recordCacheVariant } from '../cache';
+import { setupD1 } from './helpers/d1';
+
+const ORIGIN = 'https://img.example.com';
+const SRC = '/cfile/abc';
+
+const d1 = setupD1({ migrate: true });
+
+let env;
+let cache;
+
+beforeEach(() => {
+    env = { IMG: d1.db };
+    // Cache API 的最小实现，只按完整的键读写
+    const entries = new Map();
+    cache = {
+        entries,
+        put: async (key, response) => { entries.set(key, response); },
+        match: async (key) => entries.get(key),
+        delete: vi.fn(async (key) => entries.delete(key)),
+    };
+    vi.stubGlobal('caches', { default: cache });
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('cacheResponse', () => {
+    const ctx = { waitUntil: (promise) => promise };
+
+    test('200 响应写入边缘缓存并设置浏览器缓存时间', async () => {
+        const response = cacheResponse(ctx, ORIGIN, SRC, new Response('x', { headers: { 'Content-Type': 'image/png' } }));
+        expect(response.headers.get('Cache-Control')).toBe(`public, max-age=${BROWSER_CACHE_TTL}`);
+        expect(await response.text()).toBe('x');
+        await vi.waitFor(() => expect(cache.entries.has(getCacheKey(ORIGIN, SRC))).toBe(true));
+    });
+
+    test.each([404, 502])('%i 响应不缓存，也不设置浏览器缓存时间', async (status) => {
+        const response = cacheResponse(ctx, ORIGIN, SRC, new Response('error', { status }));
+        expect(response.status).toBe(status);
+        expect(response.headers.get('Cache-Control')).toBeNull();
+        expect(cache.entries.size).toBe(0);
+    });
+});
+
+describe('purgeCache', () => {
+    test('同时清除原图和处理后图片的缓存，并删除记录', async () => {
+        const variants = ['w=200&fit=contain&q=80', 'fit=contain&q=80&format=webp'];
+        for (const key of [getCacheKey(ORIGIN, SRC), ...variants.map((variant) => getCacheKey(ORIGIN, `${SRC}?${variant}`))]) {
+            await cache.put(key, new Response('x'));
+        }
+        for (const variant of variants) {
+            await recordCacheVariant(env, SRC, variant);
+        }
+        // 同一参数重复记录时忽略
+        await recordCacheVariant(env, SRC, variants[0]);
+        await cache.put(getCacheKey(ORIGIN, '/cfile/other?w=200&fit=contain&q=80'), new Response('x'));
+
+        await purgeCache(env, [ORIGIN, undefined], SRC);
+
+        expect([...cache.entries.keys()]).toEqual([getCacheKey(ORIGIN, '/cfile/other?w=200&fit=contain&q=80')]);
+        const { results } = await env.IMG.prepare(`SELECT * FROM cachevariant`).all();
+        expect(results).toEqual([]);
+    });
+
+    test('调用清除 API 时包含所有域名下处理后图片的地址', async () => {
+        env.CF_ZONE_ID = 'zone';
+        env.CF_API_TOKEN = 'token';
+        const fetch = vi.fn(async () => Response.json({ success: true }));
+        vi.stubGlobal('fetch', fetch);
+        await recordCacheVariant(env, SRC, 'w=200&fit=contain&q=80');
+
+        await purgeCache(env, [ORIGIN, 'https://cdn.example.com'], SRC);
+
+        expect(fetch).toHaveBeenCalledOnce();
+        expect(JSON.parse(fetch.mock.calls[0][1].body).files).toEqual([
+            `${ORIGIN}/api${SRC}`,
+            `${ORIGIN}/api${SRC}?w=200&fit=contain&q=80`,
+            `https://cdn.example.com/api${SRC}`,
+            `https://cdn.example.com/api${SRC}?w=200&fit=contain&q=80`,
+        ]);
+    });
+
+    test('超过 30 个地址时分批调用清除 API', async () => {
+        env.CF_ZONE_ID = 'zone';
+        env.CF_API_TOKEN = 'token';
+        const fetch = vi.fn(async () => Response.json({ success: true }));
+        vi.stubGlobal('fetch', fetch);
+        for (let width = 1; width <= 30; width++) {
+            await recordCacheVariant(env, SRC, `w=${width}&fit=contain&q=80`);
+        }
+
+        await purgeCache(env, [ORIGIN], SRC);
+
+        expect(fetch.mock.calls.map(([, init]) => JSON.parse(init.body).files.length)).toEqual([30, 1]);
+    });
+
+    test('未绑定 D1 时只清除原图', async () => {
+        await purgeCache({}, [ORIGIN], SRC);
+        expect(cache.delete.mock.calls).toEqual([[getCacheKey(ORIGIN, SRC)]]);
+    });
+});
@@ -0,0 +1,101 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { CHUNK_SIZE, uploadChunks } from '../chunks';
+import { StorageError } from '../storage/error';
+import { setupD1 } from './helpers/d1';
+
+const d1 = setupD1({ migrate: true });
+
+let env;
+let requests;
+
+beforeEach(() => {
+    env = { IMG: d1.db, TG_BOT_TOKEN: 'token', TG_CHAT_ID: '-100123', TG_SEND_INTERVAL: '0' };
+    requests = [];
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+/**
+ * 模拟 Bot API：第 failAt 个分片 (从 1 开始) 发送失败，其余成功
+ * @param {number} [failAt]
+ */
+function stubTelegram(failAt) {
+    let sent = 0;
+    vi.stubGlobal('fetch', async (url, init) => {
+        const method = new URL(url).pathname.split('/').pop();
+        const body = init.body instanceof FormData ? Object.fromEntries(init.body) : JSON.parse(init.body);
+        requests.push({ method, body });
+        if (method === 'sendDocument') {
+            sent++;
+            if (sent === failAt) {
+                return Response.json({ ok: false, error_code: 400, description: 'Bad Request: file is too big' }, { status: 400 });
+            }
+            return Response.json({
+                ok: true,
+                result: { message_id: 100 + sent, chat: { id: -100123 }, document: { file_id: `file${sent}`, file_unique_id: `unique${sent}` } },
+            });
+        }
+        return Response.json({ ok: true, result: true });
+    });
+}
+
+// 只用于拆分的文件，不分配真实的大小
+function fakeFile(parts) {
+    return {
+        name: 'video.mp4',
+        type: 'video/mp4',
+        size: CHUNK_SIZE * (parts - 1) + 1,
+        slice: (start, end, type) => new Blob([`${start}-${end}`], { type }),
+    };
+}
+
+async function countManifests() {
+    const row = await env.IMG.prepare(`SELECT COUNT(*) AS count FROM chunkmanifest`).first();
+    return row.count;
+}
+
+describe('uploadChunks', () => {
+    test('全部分片发送成功后记录清单', async () => {
+        stubTelegram();
+        const { id, chat_id } = await uploadChunks(env, fakeFile(3));
+        expect(id).toMatch(/^chunked_/);
+        expect(chat_id).toBe('-100123');
+        expect(requests.map((request) => request.method)).toEqual(['sendDocument', 'sendDocument', 'sendDocument']);
+        expect(await countManifests()).toBe(1);
+    });
+
+    test('中途某个分片失败时删除已发送的分片消息，不记录清单', async () => {
+        stubTelegram(3);
+        let error;
+        try {
+            await uploadChunks(env, fakeFile(4));
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(StorageError);
+        expect(error.status).toBe(502);
+        expect(error.message).toBe('Failed to upload chunk 3/4 to Telegram.');
+
+        // 失败后不再发送后续分片
+        expect(requests.map((request) => request.method)).toEqual(['sendDocument', 'sendDocument', 'sendDocument', 'deleteMessages']);
+        expect(requests[3].body).toEqual({ chat_id: '-100123', message_ids: [101, 102] });
+        expect(await countManifests()).toBe(0);
+    });
+
+    test('第一个分片失败时没有需要删除的消息', async () => {
+        stubTelegram(1);
+        await expect(uploadChunks(env, fakeFile(2))).rejects.toThrow('Failed to upload chunk 1/2 to Telegram.');
+        expect(requests.map((request) => request.method)).toEqual(['sendDocument']);
+    });
+
+    test('记录清单失败时同样删除已发送的分片', async () => {
+        stubTelegram();
+        await env.IMG.prepare(`DROP TABLE chunkmanifest`).run();
+        await expect(uploadChunks(env, fakeFile(2))).rejects.toThrow(/chunkmanifest/);
+        expect(requests.at(-1)).toEqual({ method: 'deleteMessages', body: { chat_id: '-100123', message_ids: [101, 102] } });
+    });
+});
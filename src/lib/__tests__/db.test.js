@@ -0,0 +1,37 @@
+import { describe, expect, test } from 'vitest';
+import { parseTimestamp } from '../db';
+import { StorageError } from '../storage/error';
+
+describe('parseTimestamp', () => {
+    test.each([undefined, null, ''])('%s 表示未提供', (value) => {
+        expect(parseTimestamp(value)).toBeNull();
+    });
+
+    test('毫秒时间戳原样返回，数字和字符串均可', () => {
+        expect(parseTimestamp(1721451600000)).toBe(1721451600000);
+        expect(parseTimestamp('1721451600000')).toBe(1721451600000);
+        expect(parseTimestamp(0)).toBe(0);
+    });
+
+    test.each([
+        ['2024-07-20T05:00:00Z', Date.UTC(2024, 6, 20, 5)],
+        ['2024-07-20T13:00:00+08:00', Date.UTC(2024, 6, 20, 5)],
+        ['2024-07-20T05:00:00.123Z', Date.UTC(2024, 6, 20, 5, 0, 0, 123)],
+        // 只有日期时按 UTC 处理
+        ['2024-07-20', Date.UTC(2024, 6, 20)],
+    ])('ISO 8601 字符串 %s', (value, expected) => {
+        expect(parseTimestamp(value)).toBe(expected);
+    });
+
+    test.each(['yesterday', '2024年7月20日 13:05:01', 'abc123', {}])('%s 无法解析时抛出 StorageError (400)', (value) => {
+        let error;
+        try {
+            parseTimestamp(value);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(StorageError);
+        expect(error.status).toBe(400);
+        expect(error.message).toBe(`Invalid date: ${value}`);
+    });
+});
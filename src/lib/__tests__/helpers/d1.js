@@ -0,0 +1,110 @@
+// 测试用的 D1 数据库：由 Miniflare 在内存中运行 (与 wrangler 本地开发相同的 workerd 实现)
+// 启动 Miniflare 较慢，每个测试文件只启动一次，每个测试开始前清空数据库
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach } from 'vitest';
+import { Miniflare } from 'miniflare';
+import { applyMigrations } from '../../migrations';
+
+/**
+ * 在当前测试文件中共用一个内存 D1 数据库，每个测试开始前清空
+ * 每个测试拿到的是新的 D1Database 对象，ensureSchema 等按对象缓存的状态不会带到下一个测试
+ * @param {{migrate?: boolean}} [options] - migrate 为 true 时数据库为最新结构：迁移后的结构未被测试改动时只清空数据，不重新执行迁移
+ * @returns {{db: D1Database}} 在 beforeEach 中更新 db，测试中通过该对象读取
+ */
+export function setupD1({ migrate = false } = {}) {
+    const state = { db: null };
+    let mf;
+    let raw;
+    // 执行迁移后的结构
+    let migrated = null;
+
+    beforeAll(async () => {
+        mf = new Miniflare({
+            modules: true,
+            script: 'export default { fetch() { return new Response(null, { status: 404 }); } }',
+            d1Databases: ['IMG'],
+        });
+        raw = await mf.getD1Database('IMG');
+    });
+
+    afterAll(async () => {
+        await mf?.dispose();
+    });
+
+    beforeEach(async () => {
+        if (migrated && await describeD1(raw) === migrated) {
+            await clearD1(raw);
+        } else {
+            await resetD1(raw);
+            if (migrate) {
+                await applyMigrations(raw);
+                migrated = await describeD1(raw);
+            }
+        }
+        state.db = {
+            prepare: (sql) => raw.prepare(sql),
+            batch: (statements) => raw.batch(statements),
+            exec: (sql) => raw.exec(sql),
+        };
+    });
+
+    return state;
+}
+
+/**
+ * 删除所有表和视图 (索引随表删除)
+ * @param {D1Database} db
+ */
+export async function resetD1(db) {
+    const objects = await listObjects(db, ['table', 'view']);
+    if (objects.length) {
+        await db.batch(objects.map(({ type, name }) => db.prepare(`DROP ${type === 'view' ? 'VIEW' : 'TABLE'} IF EXISTS "${name}"`)));
+    }
+}
+
+/**
+ * 删除除迁移版本以外的所有数据，保留表结构
+ * @param {D1Database} db
+ */
+async function clearD1(db) {
+    const tables = (await listObjects(db, ['table'])).filter(({ name }) => name !== 'schemaversion');
+    if (tables.length) {
+        await db.batch(tables.map(({ name }) => db.prepare(`DELETE FROM "${name}"`)));
+    }
+}
+
+/**
+ * 表、视图和索引的定义，用于判断测试是否改动了结构
+ * @param {D1Database} db
+ * @returns {Promise<string>}
+ */
+async function describeD1(db) {
+    return JSON.stringify(await listObjects(db, ['table', 'view', 'index']));
+}
+
+/**
+ * @param {D1Database} db
+ * @param {string[]} types
+ * @returns {Promise<{type: string, name: string, sql: string|null}[]>}
+ */
+async function listObjects(db, types) {
+    const { results } = await db.prepare(
+        `SELECT type, name, sql FROM sqlite_master WHERE type IN (${types.map(() => '?').join(', ')}) AND name NOT LIKE 'sqlite_%' AND name NOT LIKE '\\_cf\\_%' ESCAPE '\\' ORDER BY name`
+    ).bind(...types).all();
+    return results;
+}
+
+/**
+ * 执行 SQL 文件，如仓库中的 tgimglog.sql
+ * D1 的 exec 按行拆分语句，不支持跨行的 CREATE TABLE，因此去掉注释后按分号拆分，在一个 batch 中执行
+ * @param {D1Database} db
+ * @param {string|URL} path
+ */
+export async function execFile(db, path) {
+    const statements = readFileSync(path, 'utf8')
+        .replace(/^\s*--.*$/gm, '')
+        .split(';')
+        .map((sql) => sql.trim())
+        .filter(Boolean);
+    await db.batch(statements.map((sql) => db.prepare(sql)));
+}
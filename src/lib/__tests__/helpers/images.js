@@ -0,0 +1,40 @@
+// 测试用的图片文件头，只包含读取尺寸所需的部分
+
+/**
+ * PNG 签名和 IHDR 块
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export function pngHeader(width, height) {
+    const bytes = new Uint8Array(33);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    view.setUint32(8, 13);
+    bytes.set(new TextEncoder().encode('IHDR'), 12);
+    view.setUint32(16, width);
+    view.setUint32(20, height);
+    return bytes;
+}
+
+/**
+ * AVIF 的 ftyp 盒子，以及每个尺寸对应的一个 ispe 属性
+ * @param {[number, number][]} sizes
+ * @returns {Uint8Array}
+ */
+export function avifHeader(sizes) {
+    const bytes = new Uint8Array(20 + 20 * sizes.length);
+    const view = new DataView(bytes.buffer);
+    const encoder = new TextEncoder();
+    view.setUint32(0, 20);
+    bytes.set(encoder.encode('ftypavif'), 4);
+    bytes.set(encoder.encode('mif1'), 16);
+    sizes.forEach(([width, height], index) => {
+        const offset = 20 + 20 * index;
+        view.setUint32(offset, 20);
+        bytes.set(encoder.encode('ispe'), offset + 4);
+        view.setUint32(offset + 12, width);
+        view.setUint32(offset + 16, height);
+    });
+    return bytes;
+}
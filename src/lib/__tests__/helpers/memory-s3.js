@@ -0,0 +1,104 @@
+// 测试用的内存 S3 服务：对象保存在 Map 中，按路径风格 ({endpoint}/{bucket}/{key}) 寻址，
+// 并像 S3 / MinIO 一样独立校验 SigV4 签名，签名不一致时返回 403 SignatureDoesNotMatch
+import { createHash, createHmac } from 'node:crypto';
+
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+const encodeRfc3986 = (str) => encodeURIComponent(str).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+function errorResponse(status, code) {
+    return new Response(`<Error><Code>${code}</Code></Error>`, { status, headers: { 'Content-Type': 'application/xml' } });
+}
+
+/**
+ * 按服务端的方式重新计算请求的签名
+ * @param {Request} request
+ * @param {URL} url
+ * @param {{secretAccessKey: string, region: string}} credentials
+ * @returns {{accessKeyId: string, expected: string, actual: string}|null} Authorization 头无法解析时返回 null
+ */
+function verify(request, url, { secretAccessKey, region }) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+        .exec(request.headers.get('authorization') || '');
+    if (!match) {
+        return null;
+    }
+    const [, accessKeyId, dateStamp, scopeRegion, signedHeaders, actual] = match;
+    const amzDate = request.headers.get('x-amz-date') || '';
+    const headerValue = (name) => (name === 'host' ? url.host : request.headers.get(name) ?? '').trim();
+
+    const canonicalRequest = [
+        request.method,
+        url.pathname,
+        [...url.searchParams.entries()].map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`).sort().join('&'),
+        signedHeaders.split(';').map((name) => `${name}:${headerValue(name)}\n`).join(''),
+        signedHeaders,
+        request.headers.get('x-amz-content-sha256'),
+    ].join('\n');
+    const scope = `${dateStamp}/${scopeRegion}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const kDate = hmac(`AWS4${secretAccessKey}`, dateStamp);
+    const kSigning = hmac(hmac(hmac(kDate, region), 's3'), 'aws4_request');
+    const expected = createHmac('sha256', kSigning).update(stringToSign).digest('hex');
+    const valid = scopeRegion === region && amzDate.startsWith(dateStamp) && signedHeaders.split(';').includes('host');
+    return { accessKeyId, expected: valid ? expected : '', actual };
+}
+
+/**
+ * 创建内存 S3 服务
+ * @param {{endpoint: string, bucket: string, accessKeyId: string, secretAccessKey: string, region: string}} config
+ * @returns {{objects: Map<string, {body: Uint8Array, contentType: string|null, etag: string}>, requests: Request[], fetch: typeof fetch}}
+ */
+export function createMemoryS3({ endpoint, bucket, accessKeyId, secretAccessKey, region }) {
+    const objects = new Map();
+    const requests = [];
+    const prefix = `${new URL(endpoint).pathname.replace(/\/+$/, '')}/${bucket}/`;
+
+    async function handle(input, init) {
+        const request = new Request(input, init);
+        const url = new URL(request.url);
+        requests.push(request);
+
+        const signature = verify(request, url, { secretAccessKey, region });
+        if (!signature || signature.accessKeyId !== accessKeyId) {
+            return errorResponse(403, 'InvalidAccessKeyId');
+        }
+        if (signature.expected !== signature.actual) {
+            return errorResponse(403, 'SignatureDoesNotMatch');
+        }
+        if (!url.pathname.startsWith(prefix)) {
+            return errorResponse(404, 'NoSuchBucket');
+        }
+
+        const key = url.pathname.slice(prefix.length).split('/').map(decodeURIComponent).join('/');
+        const object = objects.get(key);
+        switch (request.method) {
+            case 'PUT': {
+                const body = new Uint8Array(await request.arrayBuffer());
+                const etag = `"${createHash('md5').update(body).digest('hex')}"`;
+                objects.set(key, { body, contentType: request.headers.get('content-type'), etag });
+                return new Response(null, { status: 200, headers: { ETag: etag } });
+            }
+            case 'GET':
+            case 'HEAD': {
+                if (!object) {
+                    return errorResponse(404, 'NoSuchKey');
+                }
+                const headers = {
+                    'Content-Length': String(object.body.length),
+                    'Content-Type': object.contentType || 'binary/octet-stream',
+                    ETag: object.etag,
+                };
+                return new Response(request.method === 'GET' ? object.body : null, { status: 200, headers });
+            }
+            case 'DELETE':
+                objects.delete(key);
+                return new Response(null, { status: 204 });
+            default:
+                return errorResponse(405, 'MethodNotAllowed');
+        }
+    }
+
+    return { objects, requests, fetch: handle };
+}
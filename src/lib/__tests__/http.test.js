@@ -0,0 +1,34 @@
+import { describe, expect, test } from 'vitest';
+import { getContentDisposition, isInlineMediaType, restrictContentType } from '../http';
+
+describe('isInlineMediaType', () => {
+    test.each(['image/png', 'IMAGE/JPEG', 'video/mp4; codecs="avc1"', 'audio/mpeg'])('%s 可以直接显示', (type) => {
+        expect(isInlineMediaType(type)).toBe(true);
+    });
+
+    test.each(['text/html', 'image/svg+xml', 'application/xhtml+xml', 'text/xml', 'application/pdf', '', null, undefined])('%s 不能直接显示', (type) => {
+        expect(isInlineMediaType(type)).toBe(false);
+    });
+});
+
+describe('restrictContentType', () => {
+    test('媒体类型保持不变，并禁止浏览器猜测类型', () => {
+        const headers = restrictContentType(new Headers({ 'Content-Type': 'image/png', 'Content-Disposition': getContentDisposition('a.png') }));
+        expect(headers.get('Content-Type')).toBe('image/png');
+        expect(headers.get('Content-Disposition')).toMatch(/^inline;/);
+        expect(headers.get('X-Content-Type-Options')).toBe('nosniff');
+    });
+
+    test.each(['text/html; charset=utf-8', 'image/svg+xml'])('%s 改为附件下载', (type) => {
+        const headers = restrictContentType(new Headers({ 'Content-Type': type, 'Content-Disposition': getContentDisposition('页面.html') }));
+        expect(headers.get('Content-Type')).toBe('application/octet-stream');
+        expect(headers.get('Content-Disposition')).toBe(`attachment; filename="__.html"; filename*=UTF-8''%E9%A1%B5%E9%9D%A2.html`);
+        expect(headers.get('X-Content-Type-Options')).toBe('nosniff');
+    });
+
+    test('没有类型和 Content-Disposition 时按附件下载', () => {
+        const headers = restrictContentType(new Headers());
+        expect(headers.get('Content-Type')).toBe('application/octet-stream');
+        expect(headers.get('Content-Disposition')).toBe('attachment');
+    });
+});
@@ -0,0 +1,18 @@
+import { describe, expect, test } from 'vitest';
+import { getImageSize } from '../imagesize';
+import { avifHeader, pngHeader } from './helpers/images';
+
+describe('getImageSize', () => {
+    test('PNG', async () => {
+        expect(await getImageSize(new Blob([pngHeader(640, 480)]))).toEqual({ width: 640, height: 480 });
+    });
+
+    test('AVIF 取最大的 ispe，缩略图和网格分块更小', async () => {
+        expect(await getImageSize(new Blob([avifHeader([[512, 512], [8192, 4096], [160, 80]])]))).toEqual({ width: 8192, height: 4096 });
+    });
+
+    test('没有 ispe 的 AVIF 和不支持的格式返回 null', async () => {
+        expect(await getImageSize(new Blob([avifHeader([]), new Uint8Array(16)]))).toBeNull();
+        expect(await getImageSize(new Blob([new Uint8Array(64).fill(7)]))).toBeNull();
+    });
+});
@@ -0,0 +1,158 @@
+import { beforeEach, describe, expect, test } from 'vitest';
+import { applyMigrations, ensureSchema, getSchemaStatus, LATEST_SCHEMA_VERSION } from '../migrations';
+import { execFile, resetD1, setupD1 } from './helpers/d1';
+
+const SCHEMA_FILE = new URL('../../../tgimglog.sql', import.meta.url);
+
+const d1 = setupD1();
+
+let db;
+
+beforeEach(() => {
+    ({ db } = d1);
+});
+
+/**
+ * 数据库中的表、列和索引，用于比较两种建表方式的结果
+ * @param {D1Database} database
+ * @returns {Promise<{tables: object, indexes: string[]}>}
+ */
+async function describeSchema(database) {
+    const { results } = await database.prepare(
+        `SELECT type, name FROM sqlite_master WHERE type IN ('table', 'index') AND name NOT LIKE 'sqlite_%' AND name NOT LIKE '\\_cf\\_%' ESCAPE '\\' ORDER BY name`
+    ).all();
+    const tables = {};
+    for (const { name } of results.filter((row) => row.type === 'table')) {
+        const columns = await database.prepare(`PRAGMA table_info(${name})`).all();
+        tables[name] = columns.results.map((column) => column.name).sort();
+    }
+    return { tables, indexes: results.filter((row) => row.type === 'index').map((row) => row.name) };
+}
+
+async function getColumns(table) {
+    const { results } = await db.prepare(`PRAGMA table_info(${table})`).all();
+    return results.map((column) => column.name);
+}
+
+describe('applyMigrations', () => {
+    test('在空数据库上按顺序执行全部迁移', async () => {
+        const before = await getSchemaStatus(db);
+        expect(before.version).toBe(0);
+        expect(before.latest).toBe(LATEST_SCHEMA_VERSION);
+        expect(before.pending.map((migration) => migration.version))
+            .toEqual(Array.from({ length: LATEST_SCHEMA_VERSION }, (_, i) => i + 1));
+
+        const applied = await applyMigrations(db);
+        expect(applied).toEqual(before.pending);
+        expect(await getSchemaStatus(db)).toEqual({ version: LATEST_SCHEMA_VERSION, latest: LATEST_SCHEMA_VERSION, pending: [] });
+
+        const { tables } = await describeSchema(db);
+        expect(Object.keys(tables)).toEqual(expect.arrayContaining([
+            'imginfo', 'tgimglog', 'shortlink', 'tusupload', 'tuschunk', 'uploadusage', 'viewstat', 'deletedfile', 'cachevariant', 'schemaversion',
+        ]));
+        expect(tables.imginfo).toEqual(expect.arrayContaining(['hash', 'backend', 'deleted', 'delete_token', 'original']));
+    });
+
+    test('已是最新版本时不执行任何迁移', async () => {
+        await applyMigrations(db);
+        expect(await applyMigrations(db)).toEqual([]);
+    });
+
+    test('tgimglog.sql 与迁移得到的结构一致', async () => {
+        await execFile(db, SCHEMA_FILE);
+        // 执行 tgimglog.sql 后迁移只需记录版本，所有步骤都可以重复执行
+        await applyMigrations(db);
+        const fromFile = await describeSchema(db);
+
+        await resetD1(db);
+        await applyMigrations(db);
+        expect(await describeSchema(db)).toEqual(fromFile);
+    });
+
+    test('按旧文档手动建的表补充缺少的列，保留已有数据', async () => {
+        await db.batch([
+            db.prepare(`CREATE TABLE imginfo (id integer PRIMARY KEY NOT NULL, url text, referer text, ip varchar(255), rating text, total integer, time DATE)`),
+            db.prepare(`CREATE TABLE tgimglog (id integer PRIMARY KEY NOT NULL, url text, referer text, ip varchar(255), time DATE)`),
+            db.prepare(`INSERT INTO imginfo (url, rating, total, time) VALUES ('/cfile/a', '3', 5, '2024年7月20日 13:05:01')`),
+        ]);
+
+        await applyMigrations(db);
+
+        expect(await getColumns('imginfo')).toEqual(expect.arrayContaining(['hash', 'private', 'backend', 'deleted', 'delete_token']));
+        expect(await getColumns('tgimglog')).toContain('decision');
+        const row = await db.prepare(`SELECT url, rating, total, private FROM imginfo`).first();
+        expect(row).toEqual({ url: '/cfile/a', rating: '3', total: 5, private: 0 });
+    });
+
+    test('把旧版本的东八区时间字符串转换为 UTC 毫秒时间戳', async () => {
+        await db.batch([
+            db.prepare(`CREATE TABLE tgimglog (id integer PRIMARY KEY NOT NULL, url text, referer text, ip varchar(255), time DATE)`),
+            db.prepare(`INSERT INTO tgimglog (id, time) VALUES (1, '2024年7月20日 13:05:01'), (2, '2024年12月31日 02:00:00'), (3, 'not a date'), (4, 1721451901000)`),
+        ]);
+
+        await applyMigrations(db);
+
+        const { results } = await db.prepare(`SELECT id, time FROM tgimglog ORDER BY id`).all();
+        expect(results).toEqual([
+            { id: 1, time: Date.UTC(2024, 6, 20, 5, 5, 1) },
+            // 东八区凌晨对应 UTC 前一天
+            { id: 2, time: Date.UTC(2024, 11, 30, 18, 0, 0) },
+            { id: 3, time: 'not a date' },
+            { id: 4, time: 1721451901000 },
+        ]);
+    });
+
+    test('某个迁移失败时整体回滚，停止执行后续迁移', async () => {
+        // 第 5 个迁移为 imginfo 新增 deleted 列，imginfo 是视图时无法新增列
+        await applyMigrations(db);
+        await db.batch([
+            db.prepare(`DELETE FROM schemaversion WHERE version >= 5`),
+            db.prepare(`DROP TABLE imginfo`),
+            db.prepare(`CREATE VIEW imginfo AS SELECT 1 AS url, 2 AS thumb`),
+        ]);
+
+        await expect(applyMigrations(db)).rejects.toThrow(/view/);
+        const status = await getSchemaStatus(db);
+        expect(status.version).toBe(4);
+        expect(status.pending.map((migration) => migration.version)).toEqual([5, 6, 7, 8]);
+        // 同一迁移中的 imginfo_thumb 索引也已回滚
+        const index = await db.prepare(`SELECT name FROM sqlite_master WHERE name = 'imginfo_thumb'`).first();
+        expect(index).toBeNull();
+    });
+});
+
+describe('ensureSchema', () => {
+    test('同时调用时只执行一次迁移', async () => {
+        await Promise.all([ensureSchema(db), ensureSchema(db), ensureSchema(db)]);
+        const { results } = await db.prepare(`SELECT version FROM schemaversion ORDER BY version`).all();
+        expect(results.map((row) => row.version)).toEqual(Array.from({ length: LATEST_SCHEMA_VERSION }, (_, i) => i + 1));
+    });
+
+    test('其他实例同时完成了迁移时不报错', async () => {
+        // 本实例读取版本之后、执行第一个迁移之前，另一个实例完成了全部迁移，本实例的 batch 因版本号冲突回滚
+        let raced = false;
+        const racing = {
+            prepare: (sql) => db.prepare(sql),
+            batch: async (statements) => {
+                if (!raced) {
+                    raced = true;
+                    await applyMigrations(db);
+                }
+                return db.batch(statements);
+            },
+        };
+        await expect(ensureSchema(racing)).resolves.toBeUndefined();
+        expect(raced).toBe(true);
+        expect((await getSchemaStatus(db)).version).toBe(LATEST_SCHEMA_VERSION);
+    });
+
+    test('失败时抛出错误且不缓存，修复后再次调用会重新执行', async () => {
+        await db.prepare(`CREATE VIEW imginfo AS SELECT 1 AS url`).run();
+        await expect(ensureSchema(db)).rejects.toThrow(/view/);
+        expect((await getSchemaStatus(db)).version).toBe(0);
+
+        await db.prepare(`DROP VIEW imginfo`).run();
+        await ensureSchema(db);
+        expect((await getSchemaStatus(db)).version).toBe(LATEST_SCHEMA_VERSION);
+    });
+});
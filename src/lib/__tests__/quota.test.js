@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { getDailyUsage, releaseDailyQuota, reserveDailyQuota } from '../quota';
+import { StorageError } from '../storage/error';
+import { setupD1 } from './helpers/d1';
+
+const IP = '203.0.113.1';
+
+const d1 = setupD1({ migrate: true });
+
+let env;
+
+beforeEach(() => {
+    env = { IMG: d1.db, UPLOAD_DAILY_COUNT: '3', UPLOAD_DAILY_BYTES: '100' };
+});
+
+async function reserveError(size, ip = IP) {
+    try {
+        await reserveDailyQuota(env, ip, size);
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe('reserveDailyQuota', () => {
+    test('未配置每日额度或未绑定 D1 时不占用', async () => {
+        expect(await reserveDailyQuota({ IMG: env.IMG }, IP, 10)).toBeNull();
+        expect(await reserveDailyQuota({ UPLOAD_DAILY_COUNT: '3' }, IP, 10)).toBeNull();
+        expect((await getDailyUsage(env, IP)).count).toBe(0);
+    });
+
+    test('占用额度并返回归还所需的信息', async () => {
+        const reservation = await reserveDailyQuota(env, IP, 40);
+        expect(reservation).toMatchObject({ ip: IP, size: 40 });
+        expect(reservation.period).toMatch(/^day:\d{4}-\d{2}-\d{2}$/);
+        const usage = await getDailyUsage(env, IP);
+        expect(usage).toMatchObject({ count: 1, bytes: 40, remaining: { count: 2, bytes: 60 } });
+    });
+
+    test('文件数超出时抛出 429，不计入本次上传', async () => {
+        for (let i = 0; i < 3; i++) {
+            await reserveDailyQuota(env, IP, 1);
+        }
+        const error = await reserveError(1);
+        expect(error).toBeInstanceOf(StorageError);
+        expect(error.status).toBe(429);
+        expect(error.message).toBe('Daily upload limit of 3 files reached.');
+        expect(error.details.retry_after).toBeGreaterThan(0);
+        expect((await getDailyUsage(env, IP)).count).toBe(3);
+    });
+
+    test('总大小超出时抛出 429，新行和已有行都会检查', async () => {
+        expect((await reserveError(101)).status).toBe(429);
+        expect((await getDailyUsage(env, IP)).count).toBe(0);
+
+        await reserveDailyQuota(env, IP, 60);
+        const error = await reserveError(41);
+        expect(error.status).toBe(429);
+        expect(error.message).toBe('Daily upload limit of 100 bytes would be exceeded (40 bytes left).');
+        expect(await reserveDailyQuota(env, IP, 40)).not.toBeNull();
+        expect((await getDailyUsage(env, IP)).bytes).toBe(100);
+    });
+
+    test('同时进行的上传不会一起越过限额', async () => {
+        const results = await Promise.allSettled(Array.from({ length: 6 }, () => reserveDailyQuota(env, IP, 10)));
+        expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(3);
+        expect(results.filter((result) => result.status === 'rejected').map((result) => result.reason.status)).toEqual([429, 429, 429]);
+        expect(await getDailyUsage(env, IP)).toMatchObject({ count: 3, bytes: 30 });
+    });
+
+    test('不同 IP 分别计数', async () => {
+        for (let i = 0; i < 3; i++) {
+            await reserveDailyQuota(env, IP, 1);
+        }
+        expect(await reserveDailyQuota(env, '203.0.113.2', 1)).not.toBeNull();
+    });
+
+    test('超出额度后查询用量失败时仍返回 429', async () => {
+        for (let i = 0; i < 3; i++) {
+            await reserveDailyQuota(env, IP, 1);
+        }
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const db = env.IMG;
+        env.IMG = {
+            prepare(sql) {
+                if (sql.startsWith('SELECT count, bytes FROM uploadusage')) {
+                    throw new Error('D1_ERROR: network connection lost');
+                }
+                return db.prepare(sql);
+            },
+        };
+        try {
+            const error = await reserveError(1);
+            expect(error).toBeInstanceOf(StorageError);
+            expect(error.status).toBe(429);
+            expect(error.message).toBe('Daily upload limit reached.');
+            expect(error.details.retry_after).toBeGreaterThan(0);
+        } finally {
+            env.IMG = db;
+            vi.restoreAllMocks();
+        }
+    });
+
+    test('计数失败时不影响上传', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            await env.IMG.prepare(`DROP TABLE uploadusage`).run();
+            expect(await reserveDailyQuota(env, IP, 10)).toBeNull();
+            expect(console.error).toHaveBeenCalled();
+        } finally {
+            vi.restoreAllMocks();
+        }
+    });
+});
+
+describe('releaseDailyQuota', () => {
+    test('上传失败后归还占用的额度', async () => {
+        await reserveDailyQuota(env, IP, 30);
+        const reservation = await reserveDailyQuota(env, IP, 50);
+        await releaseDailyQuota(env, reservation);
+        expect(await getDailyUsage(env, IP)).toMatchObject({ count: 1, bytes: 30 });
+    });
+
+    test('归还后可以再次占用', async () => {
+        const reservations = [];
+        for (let i = 0; i < 3; i++) {
+            reservations.push(await reserveDailyQuota(env, IP, 10));
+        }
+        expect((await reserveError(10)).status).toBe(429);
+        await releaseDailyQuota(env, reservations[2]);
+        expect(await reserveDailyQuota(env, IP, 10)).not.toBeNull();
+    });
+
+    test('没有占用时不做任何事，计数不会小于 0', async () => {
+        await releaseDailyQuota(env, null);
+        const reservation = await reserveDailyQuota(env, IP, 10);
+        await releaseDailyQuota(env, reservation);
+        await releaseDailyQuota(env, reservation);
+        expect(await getDailyUsage(env, IP)).toMatchObject({ count: 0, bytes: 0 });
+    });
+});
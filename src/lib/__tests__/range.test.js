@@ -0,0 +1,160 @@
+import { describe, expect, test } from 'vitest';
+import { applyConditionalRequest, parseRange, sliceStream } from '../range';
+
+/**
+ * 把字节按 chunkSize 拆成多块的流，模拟上游分块返回
+ * @param {Uint8Array} bytes
+ * @param {number} chunkSize
+ * @returns {ReadableStream}
+ */
+function chunkedStream(bytes, chunkSize) {
+    let offset = 0;
+    return new ReadableStream({
+        pull(controller) {
+            if (offset >= bytes.length) {
+                controller.close();
+                return;
+            }
+            controller.enqueue(bytes.slice(offset, offset += chunkSize));
+        },
+    });
+}
+
+const bytes = Uint8Array.from({ length: 100 }, (_, i) => i);
+
+describe('parseRange', () => {
+    test.each([
+        ['bytes=0-499', 1000, { start: 0, end: 499 }],
+        ['bytes=500-', 1000, { start: 500, end: 999 }],
+        ['bytes=-500', 1000, { start: 500, end: 999 }],
+        ['bytes=-5000', 1000, { start: 0, end: 999 }],
+        ['bytes=900-5000', 1000, { start: 900, end: 999 }],
+        ['bytes=0-0', 1000, { start: 0, end: 0 }],
+        [' bytes=10-20 ', 1000, { start: 10, end: 20 }],
+    ])('%s (大小 %i) → %o', (header, size, expected) => {
+        expect(parseRange(header, size)).toEqual(expected);
+    });
+
+    test.each([
+        [null],
+        [''],
+        ['bytes=-'],
+        ['bytes=0-1,5-6'],
+        ['items=0-1'],
+        ['bytes=abc-'],
+        ['bytes=20-10'],
+    ])('%s 无法解析或包含多个范围时返回 null (返回完整文件)', (header) => {
+        expect(parseRange(header, 1000)).toBeNull();
+    });
+
+    test.each([
+        ['bytes=1000-', 1000],
+        ['bytes=1500-1600', 1000],
+        ['bytes=-0', 1000],
+    ])('%s (大小 %i) 无法满足时返回 false', (header, size) => {
+        expect(parseRange(header, size)).toBe(false);
+    });
+});
+
+describe('sliceStream', () => {
+    test.each([
+        [0, 99],
+        [0, 0],
+        [7, 7],
+        [5, 30],
+        [30, 99],
+        [95, 200],
+    ])('跨多个块截取 [%i, %i]', async (start, end) => {
+        const body = sliceStream(chunkedStream(bytes, 7), start, end);
+        const result = new Uint8Array(await new Response(body).arrayBuffer());
+        expect(Array.from(result)).toEqual(Array.from(bytes.slice(start, end + 1)));
+    });
+
+    test('读取到范围末尾后取消上游', async () => {
+        let cancelled = false;
+        const upstream = new ReadableStream({
+            pull(controller) {
+                controller.enqueue(new Uint8Array(10));
+            },
+            cancel() {
+                cancelled = true;
+            },
+        });
+        const result = await new Response(sliceStream(upstream, 0, 14)).arrayBuffer();
+        expect(result.byteLength).toBe(15);
+        expect(cancelled).toBe(true);
+    });
+});
+
+describe('applyConditionalRequest', () => {
+    const etag = '"abc"';
+    const lastModified = 'Sat, 20 Jul 2024 05:00:00 GMT';
+
+    function fileResponse() {
+        return new Response(bytes, {
+            headers: { 'Content-Length': String(bytes.length), ETag: etag, 'Last-Modified': lastModified, 'Cache-Control': 'public' },
+        });
+    }
+
+    function request(headers) {
+        return new Request('https://img.example.com/api/cfile/x', { headers });
+    }
+
+    test('ETag 匹配时返回 304，只保留缓存相关的头', async () => {
+        const response = applyConditionalRequest(request({ 'If-None-Match': `W/${etag}, "other"` }), fileResponse());
+        expect(response.status).toBe(304);
+        expect(response.headers.get('ETag')).toBe(etag);
+        expect(response.headers.get('Cache-Control')).toBe('public');
+        expect(response.headers.has('Content-Length')).toBe(false);
+    });
+
+    test('存在 If-None-Match 时忽略 If-Modified-Since', () => {
+        const response = applyConditionalRequest(
+            request({ 'If-None-Match': '"other"', 'If-Modified-Since': lastModified }),
+            fileResponse(),
+        );
+        expect(response.status).toBe(200);
+    });
+
+    test('未修改时按 If-Modified-Since 返回 304', () => {
+        expect(applyConditionalRequest(request({ 'If-Modified-Since': lastModified }), fileResponse()).status).toBe(304);
+        expect(applyConditionalRequest(request({ 'If-Modified-Since': 'Fri, 19 Jul 2024 00:00:00 GMT' }), fileResponse()).status).toBe(200);
+    });
+
+    test('Range 返回 206 和 Content-Range', async () => {
+        const response = applyConditionalRequest(request({ Range: 'bytes=10-19' }), fileResponse());
+        expect(response.status).toBe(206);
+        expect(response.headers.get('Content-Range')).toBe('bytes 10-19/100');
+        expect(response.headers.get('Content-Length')).toBe('10');
+        expect(response.headers.get('Accept-Ranges')).toBe('bytes');
+        expect(Array.from(new Uint8Array(await response.arrayBuffer()))).toEqual(Array.from(bytes.slice(10, 20)));
+    });
+
+    test('提供 openRange 时直接读取该范围', async () => {
+        const opened = [];
+        const response = applyConditionalRequest(request({ Range: 'bytes=-4' }), fileResponse(), (start, end) => {
+            opened.push([start, end]);
+            return new Response(bytes.slice(start, end + 1)).body;
+        });
+        expect(opened).toEqual([[96, 99]]);
+        expect(Array.from(new Uint8Array(await response.arrayBuffer()))).toEqual([96, 97, 98, 99]);
+    });
+
+    test('范围无法满足时返回 416', () => {
+        const response = applyConditionalRequest(request({ Range: 'bytes=100-' }), fileResponse());
+        expect(response.status).toBe(416);
+        expect(response.headers.get('Content-Range')).toBe('bytes */100');
+    });
+
+    test('If-Range 与 ETag 不一致时忽略 Range，返回完整文件', () => {
+        expect(applyConditionalRequest(request({ Range: 'bytes=0-9', 'If-Range': '"other"' }), fileResponse()).status).toBe(200);
+        expect(applyConditionalRequest(request({ Range: 'bytes=0-9', 'If-Range': etag }), fileResponse()).status).toBe(206);
+        expect(applyConditionalRequest(request({ Range: 'bytes=0-9', 'If-Range': `W/${etag}` }), fileResponse()).status).toBe(200);
+        expect(applyConditionalRequest(request({ Range: 'bytes=0-9', 'If-Range': lastModified }), fileResponse()).status).toBe(206);
+    });
+
+    test('大小未知时原样返回', () => {
+        const response = new Response('x', { headers: { ETag: etag } });
+        expect(applyConditionalRequest(request({ Range: 'bytes=0-0' }), response)).toBe(response);
+    });
+});
@@ -0,0 +1,38 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { createRuleCache } from '../rulecache';
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('createRuleCache', () => {
+    test('缓存时间内不重复读取，过期后重新读取', async () => {
+        vi.useFakeTimers();
+        const loader = vi.fn(async () => [{ id: 1 }]);
+        const cache = createRuleCache(loader, 1000);
+        const db = {};
+        expect(await cache.get(db)).toEqual([{ id: 1 }]);
+        await cache.get(db);
+        expect(loader).toHaveBeenCalledOnce();
+        expect(loader).toHaveBeenCalledWith(db);
+        vi.advanceTimersByTime(1000);
+        await cache.get(db);
+        expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    test('clear 后立即重新读取', async () => {
+        const loader = vi.fn(async () => []);
+        const cache = createRuleCache(loader);
+        await cache.get({});
+        cache.clear();
+        await cache.get({});
+        expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    test('读取失败时不缓存', async () => {
+        const loader = vi.fn().mockRejectedValueOnce(new Error('no such table')).mockResolvedValue([]);
+        const cache = createRuleCache(loader);
+        await expect(cache.get({})).rejects.toThrow('no such table');
+        expect(await cache.get({})).toEqual([]);
+    });
+});
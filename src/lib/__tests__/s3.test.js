@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { createS3Bucket } from '../s3';
+import r2 from '../storage/r2';
+import { createMemoryS3 } from './helpers/memory-s3';
+
+const config = {
+    endpoint: 'http://localhost:9000',
+    bucket: 'img',
+    accessKeyId: 'minioadmin',
+    secretAccessKey: 'minioadmin',
+    region: 'us-east-1',
+};
+
+let server;
+
+beforeEach(() => {
+    server = createMemoryS3(config);
+    vi.stubGlobal('fetch', server.fetch);
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('createS3Bucket', () => {
+    test('上传后可以读取、查询和删除对象', async () => {
+        const bucket = createS3Bucket(config);
+        const put = await bucket.put('a/b.png', new Blob(['hello']), { httpMetadata: { contentType: 'image/png' } });
+        expect(put.key).toBe('a/b.png');
+        expect(put.httpEtag).toMatch(/^"[0-9a-f]{32}"$/);
+
+        const object = await bucket.get('a/b.png');
+        expect(await new Response(object.body).text()).toBe('hello');
+        expect(object.size).toBe(5);
+        expect(object.httpEtag).toBe(put.httpEtag);
+        expect(object.httpMetadata.contentType).toBe('image/png');
+
+        const head = await bucket.head('a/b.png');
+        expect(head).toEqual({ key: 'a/b.png', size: 5, httpEtag: put.httpEtag, httpMetadata: { contentType: 'image/png' } });
+
+        await bucket.delete('a/b.png');
+        expect(await bucket.get('a/b.png')).toBeNull();
+        expect(server.objects.size).toBe(0);
+    });
+
+    test('不存在的对象返回 null，删除不存在的对象不报错', async () => {
+        const bucket = createS3Bucket(config);
+        expect(await bucket.get('missing')).toBeNull();
+        expect(await bucket.head('missing')).toBeNull();
+        await expect(bucket.delete('missing')).resolves.toBeUndefined();
+    });
+
+    test('键中的空格、中文和 RFC 3986 保留字符按 S3 的规则编码并通过签名校验', async () => {
+        const bucket = createS3Bucket(config);
+        const key = "dir/图 片(1)!'*.png";
+        await bucket.put(key, new Blob(['x']));
+        expect([...server.objects.keys()]).toEqual([key]);
+        expect(server.requests[0].url).toBe('http://localhost:9000/img/dir/%E5%9B%BE%20%E7%89%87%281%29%21%27%2A.png');
+        expect(await bucket.head(key)).not.toBeNull();
+    });
+
+    test('请求使用 SigV4 签名，不计算请求体的哈希', async () => {
+        await createS3Bucket(config).put('k', new Blob(['x']));
+        const { headers } = server.requests[0];
+        expect(headers.get('x-amz-content-sha256')).toBe('UNSIGNED-PAYLOAD');
+        expect(headers.get('x-amz-date')).toMatch(/^\d{8}T\d{6}Z$/);
+        expect(headers.get('authorization')).toMatch(
+            /^AWS4-HMAC-SHA256 Credential=minioadmin\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+        );
+    });
+
+    test('endpoint 末尾的斜杠不影响地址', async () => {
+        await createS3Bucket({ ...config, endpoint: 'http://localhost:9000//' }).put('k', new Blob(['x']));
+        expect(server.requests[0].url).toBe('http://localhost:9000/img/k');
+    });
+
+    test('密钥错误时服务端拒绝签名，抛出包含状态码的错误', async () => {
+        const bucket = createS3Bucket({ ...config, secretAccessKey: 'wrong' });
+        await expect(bucket.put('k', new Blob(['x']))).rejects.toThrow(/S3 PUT failed: HTTP 403 .*SignatureDoesNotMatch/);
+        await expect(bucket.get('k')).rejects.toThrow(/S3 GET failed: HTTP 403/);
+        expect(server.objects.size).toBe(0);
+    });
+
+    test('区域与服务端不一致时签名无效', async () => {
+        const bucket = createS3Bucket({ ...config, region: 'auto' });
+        await expect(bucket.head('k')).rejects.toThrow('S3 HEAD failed: HTTP 403');
+    });
+});
+
+describe('r2 存储后端 (S3_* 环境变量)', () => {
+    const env = {
+        S3_ENDPOINT: config.endpoint,
+        S3_BUCKET: config.bucket,
+        S3_ACCESS_KEY_ID: config.accessKeyId,
+        S3_SECRET_ACCESS_KEY: config.secretAccessKey,
+        S3_REGION: config.region,
+    };
+
+    test('未绑定 R2_BUCKET 时使用 S3 兼容服务上传、读取和删除文件', async () => {
+        expect(r2.isConfigured(env)).toBe(true);
+
+        const file = new File(['image data'], 'Photo.PNG', { type: 'image/png' });
+        const result = await r2.upload(env, file, { origin: 'https://img.example.com' });
+        expect(result.key).toMatch(/^[0-9a-f]{32}\.png$/);
+        expect(result.src).toBe(`/rfile/${result.key}`);
+        expect(result.url).toBe(`https://img.example.com/api/rfile/${result.key}`);
+        expect(result.name).toBe('Photo.PNG');
+
+        const { response } = await r2.resolve(env, result.key);
+        expect(response.headers.get('Content-Type')).toBe('image/png');
+        expect(response.headers.get('Content-Length')).toBe('10');
+        expect(await response.text()).toBe('image data');
+
+        expect(await r2.delete(env, result.key)).toBe(true);
+        expect(await r2.resolve(env, result.key)).toBeNull();
+    });
+
+    test.each(['text/html', 'image/svg+xml', ''])('客户端声明的类型 %s 保存为 application/octet-stream', async (type) => {
+        const file = new File(['<script>alert(1)</script>'], 'a.html', { type });
+        const result = await r2.upload(env, file, { origin: 'https://img.example.com' });
+        expect(server.objects.get(result.key).contentType).toBe('application/octet-stream');
+        const { response } = await r2.resolve(env, result.key);
+        expect(response.headers.get('Content-Type')).toBe('application/octet-stream');
+    });
+
+    test('上传失败时抛出 502', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const file = new File(['x'], 'a.png');
+        await expect(r2.upload({ ...env, S3_SECRET_ACCESS_KEY: 'wrong' }, file, { origin: 'https://img.example.com' }))
+            .rejects.toMatchObject({ name: 'StorageError', status: 502 });
+    });
+
+    test('健康检查访问不存在的键，bucket 可访问即视为正常', async () => {
+        expect(await r2.health(env)).toEqual({ ok: true, message: config.endpoint });
+        expect((await r2.health({ ...env, S3_SECRET_ACCESS_KEY: 'wrong' })).ok).toBe(false);
+    });
+});
@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { getCacheKey } from '../cache';
+import { serveFile } from '../serve';
+
+vi.mock('@cloudflare/next-on-pages', () => ({ getRequestContext: vi.fn() }));
+
+const ORIGIN = 'https://img.example.com';
+const SRC = '/cfile/abc';
+const CONTENT = '0123456789';
+
+let cache;
+
+beforeEach(() => {
+    getRequestContext.mockReturnValue({ env: {}, ctx: { waitUntil: () => {} } });
+    const entries = new Map();
+    cache = {
+        entries,
+        put: async (key, response) => { entries.set(key, response); },
+        match: vi.fn(async (key) => entries.get(key)?.clone()),
+        delete: async (key) => entries.delete(key),
+    };
+    vi.stubGlobal('caches', { default: cache });
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+/**
+ * 可以直接读取部分内容的后端 (如分片文件)
+ * @returns {import('../storage').StorageProvider}
+ */
+function rangeProvider() {
+    const openRange = vi.fn((start, end) => new Blob([CONTENT.slice(start, end + 1)]).stream());
+    return {
+        name: 'test',
+        openRange,
+        canOpenRange: () => true,
+        resolve: vi.fn(async () => ({
+            response: new Response(CONTENT, { headers: { 'Content-Type': 'video/mp4', 'Content-Length': String(CONTENT.length) } }),
+            fileName: 'video.mp4',
+            openRange,
+        })),
+    };
+}
+
+function request(headers = {}) {
+    return new Request(`${ORIGIN}/api${SRC}`, { headers });
+}
+
+describe('serveFile', () => {
+    test('可以直接读取部分内容时，Range 请求不使用缓存中的完整文件', async () => {
+        await cache.put(getCacheKey(ORIGIN, SRC), new Response(CONTENT, { headers: { 'Content-Type': 'video/mp4', 'Content-Length': String(CONTENT.length) } }));
+        const provider = rangeProvider();
+
+        const response = await serveFile(request({ Range: 'bytes=6-8' }), provider, 'abc', SRC);
+
+        expect(response.status).toBe(206);
+        expect(response.headers.get('Content-Range')).toBe('bytes 6-8/10');
+        expect(await response.text()).toBe('678');
+        expect(provider.openRange).toHaveBeenCalledWith(6, 8);
+        expect(cache.match).not.toHaveBeenCalled();
+    });
+
+    test('没有 Range 头时读取缓存', async () => {
+        await cache.put(getCacheKey(ORIGIN, SRC), new Response(CONTENT, { headers: { 'Content-Type': 'video/mp4', 'Content-Length': String(CONTENT.length) } }));
+        const provider = rangeProvider();
+
+        const response = await serveFile(request(), provider, 'abc', SRC);
+
+        expect(response.status).toBe(200);
+        expect(await response.text()).toBe(CONTENT);
+        expect(provider.resolve).not.toHaveBeenCalled();
+    });
+
+    test('不能直接读取部分内容的后端从缓存中截取', async () => {
+        await cache.put(getCacheKey(ORIGIN, SRC), new Response(CONTENT, { headers: { 'Content-Type': 'video/mp4', 'Content-Length': String(CONTENT.length) } }));
+        const provider = { ...rangeProvider(), canOpenRange: undefined };
+
+        const response = await serveFile(request({ Range: 'bytes=6-8' }), provider, 'abc', SRC);
+
+        expect(response.status).toBe(206);
+        expect(await response.text()).toBe('678');
+        expect(provider.resolve).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,94 @@
+import { createHmac } from 'node:crypto';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { createSignedQuery, DEFAULT_SIGNED_URL_TTL, isSigningEnabled, signUrl, verifySignature } from '../signing';
+
+const env = { SIGNING_SECRET: 'secret' };
+const now = Date.UTC(2024, 6, 20, 5, 0, 0);
+const nowSeconds = now / 1000;
+
+beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(now);
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('isSigningEnabled', () => {
+    test('配置 SIGNING_SECRET 后启用', () => {
+        expect(isSigningEnabled(env)).toBe(true);
+        expect(isSigningEnabled({})).toBe(false);
+        expect(isSigningEnabled({ SIGNING_SECRET: '' })).toBe(false);
+    });
+});
+
+describe('createSignedQuery', () => {
+    test('签名为 HMAC-SHA256(SIGNING_SECRET, "<src>:<expires>")', async () => {
+        const { query, expires } = await createSignedQuery(env, '/cfile/abc', 60);
+        expect(expires).toBe(nowSeconds + 60);
+        const sig = createHmac('sha256', 'secret').update(`/cfile/abc:${expires}`).digest('hex');
+        expect(query).toBe(`expires=${expires}&sig=${sig}`);
+    });
+
+    test('默认有效期为 24 小时', async () => {
+        const { expires } = await createSignedQuery(env, '/cfile/abc');
+        expect(expires).toBe(nowSeconds + DEFAULT_SIGNED_URL_TTL);
+    });
+});
+
+describe('signUrl', () => {
+    test('保留已有的查询参数，覆盖旧的签名', async () => {
+        const { url, expires } = await signUrl(env, 'https://img.example.com/api/cfile/abc?w=400&sig=old', '/cfile/abc', 60);
+        const params = new URL(url).searchParams;
+        expect(params.get('w')).toBe('400');
+        expect(params.get('expires')).toBe(String(expires));
+        expect(params.getAll('sig')).toHaveLength(1);
+        expect(params.get('sig')).not.toBe('old');
+    });
+});
+
+describe('verifySignature', () => {
+    async function signedParams(src, ttl = 60) {
+        const { url } = await signUrl(env, 'https://img.example.com/i/short', src, ttl);
+        return new URL(url).searchParams;
+    }
+
+    test('同一签名可用于原地址、短链接和带处理参数的地址', async () => {
+        const params = await signedParams('/cfile/abc');
+        params.set('w', '400');
+        expect(await verifySignature(env, '/cfile/abc', params)).toBe(true);
+    });
+
+    test('签名绑定 imginfo.url，不能用于其他文件', async () => {
+        expect(await verifySignature(env, '/cfile/other', await signedParams('/cfile/abc'))).toBe(false);
+    });
+
+    test('修改 expires 或 sig 后无效', async () => {
+        const params = await signedParams('/cfile/abc');
+        const extended = new URLSearchParams(params);
+        extended.set('expires', String(Number(params.get('expires')) + 3600));
+        expect(await verifySignature(env, '/cfile/abc', extended)).toBe(false);
+
+        const tampered = new URLSearchParams(params);
+        tampered.set('sig', params.get('sig').replace(/.$/, (c) => (c === '0' ? '1' : '0')));
+        expect(await verifySignature(env, '/cfile/abc', tampered)).toBe(false);
+    });
+
+    test('过期后无效', async () => {
+        const params = await signedParams('/cfile/abc', 60);
+        vi.setSystemTime(now + 60 * 1000);
+        expect(await verifySignature(env, '/cfile/abc', params)).toBe(true);
+        vi.setSystemTime(now + 61 * 1000);
+        expect(await verifySignature(env, '/cfile/abc', params)).toBe(false);
+    });
+
+    test('缺少参数、密钥不同或未配置密钥时无效', async () => {
+        const params = await signedParams('/cfile/abc');
+        expect(await verifySignature(env, '/cfile/abc', new URLSearchParams())).toBe(false);
+        expect(await verifySignature(env, '/cfile/abc', new URLSearchParams({ expires: params.get('expires') }))).toBe(false);
+        expect(await verifySignature(env, '/cfile/abc', new URLSearchParams({ expires: 'soon', sig: params.get('sig') }))).toBe(false);
+        expect(await verifySignature({ SIGNING_SECRET: 'other' }, '/cfile/abc', params)).toBe(false);
+        expect(await verifySignature({}, '/cfile/abc', params)).toBe(false);
+    });
+});
@@ -0,0 +1,177 @@
+import decodeAvif from '@jsquash/avif/decode';
+import decodePng from '@jsquash/png/decode';
+import encodeAvif from '@jsquash/avif/encode';
+import encodeWebp from '@jsquash/webp/encode';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { canTransform, parseTransformOptions, transformImage, TRANSFORM_MAX_INPUT_SIZE, TRANSFORM_MAX_PIXELS, TransformError } from '../transform';
+import { avifHeader, pngHeader } from './helpers/images';
+
+// 只检查解码前后的判断，编解码器替换为模拟函数
+vi.mock('@jsquash/png/decode', () => ({ default: vi.fn(), init: vi.fn() }));
+vi.mock('@jsquash/avif/decode', () => ({ default: vi.fn(), init: vi.fn() }));
+vi.mock('@jsquash/webp/encode', () => ({ default: vi.fn(), init: vi.fn() }));
+vi.mock('@jsquash/avif/encode', () => ({ default: vi.fn(), init: vi.fn() }));
+
+const parse = (query) => parseTransformOptions(new URLSearchParams(query));
+
+describe('parseTransformOptions', () => {
+    test('没有处理参数时返回 null', () => {
+        expect(parse('')).toBeNull();
+        expect(parse('expires=1&sig=abc')).toBeNull();
+    });
+
+    test('填充默认值', () => {
+        expect(parse('w=400')).toEqual({ width: 400, height: undefined, fit: 'contain', quality: 80, format: undefined, key: 'w=400&fit=contain&q=80' });
+    });
+
+    test('解析全部参数，jpg 视为 jpeg', () => {
+        expect(parse('w=100&h=200&fit=cover&q=50&format=jpg')).toEqual({
+            width: 100,
+            height: 200,
+            fit: 'cover',
+            quality: 50,
+            format: 'jpeg',
+            key: 'w=100&h=200&fit=cover&q=50&format=jpeg',
+        });
+    });
+
+    test('参数顺序不同时缓存键相同', () => {
+        expect(parse('format=webp&w=400&q=80').key).toBe(parse('w=400&format=webp').key);
+    });
+
+    test('只有 fit 或 format 时也会处理', () => {
+        expect(parse('format=avif').key).toBe('fit=contain&q=80&format=avif');
+        expect(parse('fit=fill').key).toBe('fit=fill&q=80');
+    });
+
+    test('空值视为未指定', () => {
+        expect(parse('w=&h=300&q=')).toMatchObject({ width: undefined, height: 300, quality: 80 });
+    });
+
+    test.each([
+        ['w=0', 'w'],
+        ['w=4097', 'w'],
+        ['h=1.5', 'h'],
+        ['h=abc', 'h'],
+        ['q=0', 'q'],
+        ['q=101', 'q'],
+    ])('%s 超出范围时抛出 TransformError (400)', (query, name) => {
+        let error;
+        try {
+            parse(query);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(TransformError);
+        expect(error.status).toBe(400);
+        expect(error.message).toContain(`Parameter "${name}"`);
+    });
+
+    test('不支持的 fit 或 format 抛出 TransformError', () => {
+        expect(() => parse('fit=stretch')).toThrow('Parameter "fit" must be one of: contain, cover, fill.');
+        expect(() => parse('format=gif')).toThrow('Parameter "format" must be one of: jpeg, png, webp, avif.');
+    });
+
+    test('最大尺寸为 4096', () => {
+        expect(parse('w=4096&h=4096')).toMatchObject({ width: 4096, height: 4096 });
+    });
+});
+
+describe('canTransform', () => {
+    const response = (type, size) => new Response(null, {
+        headers: { 'Content-Type': type, ...(size === undefined ? {} : { 'Content-Length': String(size) }) },
+    });
+
+    test.each(['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'IMAGE/PNG; charset=binary'])('%s 可以处理', (type) => {
+        expect(canTransform(response(type, 1024))).toBe(true);
+    });
+
+    test.each(['image/gif', 'video/mp4', 'application/octet-stream', ''])('%s 不处理', (type) => {
+        expect(canTransform(response(type, 1024))).toBe(false);
+    });
+
+    test('超过大小限制的原图不处理，大小未知时可以处理', () => {
+        expect(canTransform(response('image/png', TRANSFORM_MAX_INPUT_SIZE))).toBe(true);
+        expect(canTransform(response('image/png', TRANSFORM_MAX_INPUT_SIZE + 1))).toBe(false);
+        expect(canTransform(response('image/png'))).toBe(true);
+    });
+});
+
+describe('transformImage', () => {
+    const options = parse('w=100');
+    const response = (bytes, type) => new Response(bytes, { headers: { 'Content-Type': type, 'Content-Length': String(bytes.length) } });
+
+    beforeEach(() => {
+        vi.mocked(decodePng).mockReset().mockRejectedValue(new Error('decoded'));
+        vi.mocked(decodeAvif).mockReset().mockRejectedValue(new Error('decoded'));
+        vi.mocked(encodeWebp).mockReset();
+        vi.mocked(encodeAvif).mockReset();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    test('像素数在限制内时解码，解码失败 (如文件损坏) 时返回原图', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        // 只有文件头、没有图像数据的 PNG
+        const source = pngHeader(4096, 4096);
+        const result = await transformImage(response(source, 'image/png'), options);
+        expect(decodePng).toHaveBeenCalledOnce();
+        expect(result.status).toBe(200);
+        expect(result.headers.get('Content-Type')).toBe('image/png');
+        expect(new Uint8Array(await result.arrayBuffer())).toEqual(source);
+    });
+
+    test('编码失败时返回原图', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.mocked(decodeAvif).mockResolvedValue(new ImageData(new Uint8ClampedArray(100 * 100 * 4), 100, 100));
+        vi.mocked(encodeAvif).mockRejectedValue(new RangeError('WebAssembly.Memory(): could not allocate memory'));
+        const source = avifHeader([[100, 100]]);
+        const result = await transformImage(response(source, 'image/avif'), options);
+        expect(result.headers.get('Content-Type')).toBe('image/avif');
+        expect(new Uint8Array(await result.arrayBuffer())).toEqual(source);
+    });
+
+    test.each([
+        ['PNG', () => pngHeader(20000, 20000), 'image/png'],
+        ['PNG (单边超长)', () => pngHeader(TRANSFORM_MAX_PIXELS + 1, 1), 'image/png'],
+        ['AVIF', () => avifHeader([[512, 512], [30000, 30000]]), 'image/avif'],
+    ])('%s 超过像素限制时不解码，返回原图', async (_, bytes, type) => {
+        const source = bytes();
+        const result = await transformImage(response(source, type), options);
+        expect(decodePng).not.toHaveBeenCalled();
+        expect(decodeAvif).not.toHaveBeenCalled();
+        expect(result.headers.get('Content-Type')).toBe(type);
+        expect(new Uint8Array(await result.arrayBuffer())).toEqual(source);
+    });
+
+    test('无法从文件头读取尺寸时不解码，返回原图', async () => {
+        const source = new Uint8Array(64).fill(7);
+        const result = await transformImage(response(source, 'image/png'), options);
+        expect(decodePng).not.toHaveBeenCalled();
+        expect(new Uint8Array(await result.arrayBuffer())).toEqual(source);
+    });
+
+    test('AVIF 原图未指定格式时保持 AVIF', async () => {
+        vi.mocked(decodeAvif).mockResolvedValue(new ImageData(new Uint8ClampedArray(100 * 100 * 4), 100, 100));
+        vi.mocked(encodeAvif).mockResolvedValue(new Uint8Array([1, 2, 3]).buffer);
+        const result = await transformImage(response(avifHeader([[100, 100]]), 'image/avif'), options);
+        expect(encodeAvif).toHaveBeenCalledWith(expect.objectContaining({ width: 100, height: 100 }), { quality: 80, speed: 8 });
+        expect(result.headers.get('Content-Type')).toBe('image/avif');
+        expect(new Uint8Array(await result.arrayBuffer())).toEqual(new Uint8Array([1, 2, 3]));
+    });
+
+    test('按 format 转换格式，文件名的扩展名随之改变', async () => {
+        vi.mocked(decodeAvif).mockResolvedValue(new ImageData(new Uint8ClampedArray(100 * 100 * 4), 100, 100));
+        vi.mocked(encodeWebp).mockResolvedValue(new Uint8Array([1, 2, 3]).buffer);
+        const source = avifHeader([[100, 100]]);
+        const result = await transformImage(new Response(source, {
+            headers: { 'Content-Type': 'image/avif', 'Content-Disposition': 'inline; filename="a.avif"' },
+        }), parse('w=100&format=webp'));
+        expect(encodeWebp).toHaveBeenCalledWith(expect.objectContaining({ width: 100, height: 100 }), { quality: 80 });
+        expect(result.headers.get('Content-Type')).toBe('image/webp');
+        expect(result.headers.get('Content-Disposition')).toBe('inline; filename="a.webp"');
+        expect(new Uint8Array(await result.arrayBuffer())).toEqual(new Uint8Array([1, 2, 3]));
+    });
+});
@@ -0,0 +1,230 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { POST as deleteByToken } from '@/app/api/delete/[token]/route';
+import { getDailyUsage } from '../quota';
+import telegraph from '../storage/telegraph';
+import { hashFile, storeUpload } from '../upload';
+import { sha256Hex } from '../crypto';
+import { setupD1 } from './helpers/d1';
+
+// 这个包依赖 Next.js 提供的 server-only，在 Node 中无法加载；storeUpload 的 env 和 ctx 由参数传入，不使用它
+vi.mock('@cloudflare/next-on-pages', () => ({ getRequestContext: vi.fn() }));
+
+const ORIGIN = 'https://img.example.com';
+
+const d1 = setupD1({ migrate: true });
+
+let env;
+let pending;
+const ctx = { waitUntil: (promise) => pending.push(promise) };
+
+beforeEach(() => {
+    env = { IMG: d1.db, SIGNING_SECRET: 'secret' };
+    pending = [];
+});
+
+afterEach(async () => {
+    await Promise.all(pending);
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+/**
+ * 模拟的存储后端，文件保存在 /mfile/ 下
+ * @param {object} [overrides]
+ * @returns {import('../storage').StorageProvider}
+ */
+function mockProvider(overrides = {}) {
+    return {
+        name: 'mock',
+        label: 'Mock',
+        srcPrefix: '/mfile/',
+        supportsPrivate: true,
+        supportsDelete: true,
+        isConfigured: () => true,
+        upload: vi.fn(async (_, file) => ({ key: file.name, src: `/mfile/${file.name}`, url: `${ORIGIN}/api/mfile/${file.name}`, name: file.name })),
+        resolve: async () => null,
+        delete: async () => true,
+        health: async () => ({ ok: true, message: '' }),
+        ...overrides,
+    };
+}
+
+function upload(provider, options = {}, file = new File(['hello'], 'a.txt', { type: 'text/plain' })) {
+    return storeUpload(env, ctx, provider, file, { origin: ORIGIN, referer: '', clientIp: '203.0.113.1', ...options });
+}
+
+async function uploadError(provider, options, file) {
+    try {
+        await upload(provider, options, file);
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe('storeUpload 私有文件', () => {
+    test('支持私有文件的后端同步写入私有记录，返回签名地址', async () => {
+        const result = await upload(mockProvider(), { isPrivate: true });
+        expect(result).toMatchObject({ code: 200, private: true });
+        expect(new URL(result.url).searchParams.has('sig')).toBe(true);
+        const row = await env.IMG.prepare(`SELECT private FROM imginfo WHERE url = '/mfile/a.txt'`).first();
+        expect(row).toEqual({ private: 1 });
+    });
+
+    test('Telegraph 不支持私有文件，返回 400 且不上传', async () => {
+        const fetch = vi.fn();
+        vi.stubGlobal('fetch', fetch);
+        const error = await uploadError(telegraph, { isPrivate: true });
+        expect(error.status).toBe(400);
+        expect(error.message).toBe('Storage provider "tg" does not support private files.');
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('没有声明 supportsPrivate 的后端返回 400', async () => {
+        const provider = mockProvider({ supportsPrivate: undefined });
+        expect((await uploadError(provider, { isPrivate: true })).status).toBe(400);
+        expect(provider.upload).not.toHaveBeenCalled();
+    });
+});
+
+describe('storeUpload 每日额度', () => {
+    const IP = '203.0.113.1';
+
+    beforeEach(() => {
+        env.UPLOAD_DAILY_COUNT = '5';
+    });
+
+    test('上传成功后占用额度，重复文件不占用', async () => {
+        await upload(mockProvider());
+        await Promise.all(pending);
+        expect((await upload(mockProvider())).duplicate).toBe(true);
+        expect((await getDailyUsage(env, IP)).count).toBe(1);
+    });
+
+    test('后端上传失败时归还额度', async () => {
+        const provider = mockProvider({ upload: async () => { throw new Error('upstream down'); } });
+        await expect(upload(provider)).rejects.toThrow('upstream down');
+        expect((await getDailyUsage(env, IP)).count).toBe(0);
+    });
+
+    test('上传后自定义短链接已被占用 (409) 时归还额度', async () => {
+        const provider = mockProvider();
+        const store = provider.upload;
+        // 检查短链接之后、上传完成之前，其他请求占用了同一短链接
+        provider.upload = async (...args) => {
+            await env.IMG.prepare(`INSERT INTO shortlink (slug, url, time) VALUES ('taken', '/mfile/other', 0)`).run();
+            return store(...args);
+        };
+        const error = await uploadError(provider, { slug: 'taken' });
+        expect(error.status).toBe(409);
+        expect((await getDailyUsage(env, IP)).count).toBe(0);
+    });
+
+    test('写入私有记录失败时归还额度', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const provider = mockProvider();
+        const store = provider.upload;
+        provider.upload = async (...args) => {
+            await env.IMG.prepare(`DROP TABLE imginfo`).run();
+            return store(...args);
+        };
+        const error = await uploadError(provider, { isPrivate: true });
+        expect(error.status).toBe(500);
+        expect(error.message).toBe('Failed to record the private file.');
+        expect((await getDailyUsage(env, IP)).count).toBe(0);
+    });
+});
+
+describe('storeUpload 去重', () => {
+    test('相同内容再次上传时返回已有地址', async () => {
+        const provider = mockProvider();
+        await upload(provider);
+        const result = await upload(provider);
+        expect(result).toMatchObject({ duplicate: true, url: `${ORIGIN}/api/mfile/a.txt` });
+        expect(provider.upload).toHaveBeenCalledOnce();
+    });
+
+    test('会压缩图片的后端按上传模式分别去重', async () => {
+        const provider = mockProvider({ compressesImages: true });
+        await upload(provider, { original: false });
+        expect((await upload(provider, { original: true })).duplicate).toBeUndefined();
+        expect(provider.upload).toHaveBeenCalledTimes(2);
+        expect((await upload(provider, { original: true })).duplicate).toBe(true);
+        expect((await upload(provider, { original: false })).duplicate).toBe(true);
+        const { results } = await env.IMG.prepare(`SELECT original FROM imginfo ORDER BY id`).all();
+        expect(results).toEqual([{ original: 0 }, { original: 1 }]);
+    });
+
+    test('未指定模式时使用 TG_ORIGINAL_QUALITY 的默认值', async () => {
+        env.TG_ORIGINAL_QUALITY = 'true';
+        const provider = mockProvider({ compressesImages: true });
+        await upload(provider, { original: true });
+        expect((await upload(provider)).duplicate).toBe(true);
+    });
+
+    test('不会压缩文件的后端不记录模式，也不区分模式', async () => {
+        const provider = mockProvider();
+        await upload(provider, { original: false });
+        expect((await upload(provider, { original: true })).duplicate).toBe(true);
+        const row = await env.IMG.prepare(`SELECT original FROM imginfo`).first();
+        expect(row).toEqual({ original: null });
+    });
+});
+
+describe('storeUpload 删除链接', () => {
+    test('可以删除文件的后端返回删除链接', async () => {
+        const result = await upload(mockProvider());
+        expect(result.delete_url).toMatch(new RegExp(`^${ORIGIN}/delete/[0-9a-f]{32}$`));
+        expect(result).not.toHaveProperty('delete_url_error');
+    });
+
+    test('Telegraph 无法删除文件，不返回删除链接并说明原因', async () => {
+        vi.stubGlobal('fetch', async () => Response.json([{ src: '/file/abc.png' }]));
+        const result = await upload(telegraph);
+        expect(result.url).toBe(`${ORIGIN}/file/abc.png`);
+        expect(result.delete_url).toBeNull();
+        expect(result.delete_url_error).toBe('Storage provider "tg" cannot delete files, so the file would stay public there.');
+    });
+
+    test('返回后立即通过删除链接删除文件', async () => {
+        getRequestContext.mockReturnValue({ env, ctx });
+        const result = await upload(mockProvider());
+        // 不等待后台任务，删除链接在响应返回时就应当可用
+        const token = result.delete_url.split('/').pop();
+        const request = new Request(`${ORIGIN}/api/delete/${token}`, { method: 'POST' });
+        const response = await deleteByToken(request, { params: { token } });
+        expect(response.status).toBe(200);
+        const row = await env.IMG.prepare(`SELECT deleted FROM imginfo WHERE url = '/mfile/a.txt'`).first();
+        expect(row.deleted).toEqual(expect.any(Number));
+    });
+
+    test('写入记录失败时不返回删除链接，文件地址照常返回', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const provider = mockProvider();
+        const store = provider.upload;
+        provider.upload = async (...args) => {
+            await env.IMG.prepare(`DROP TABLE imginfo`).run();
+            return store(...args);
+        };
+        const result = await upload(provider);
+        expect(result.url).toBe(`${ORIGIN}/api/mfile/a.txt`);
+        expect(result.delete_url).toBeNull();
+        expect(result.delete_url_error).toBe('Failed to record the file, so no delete link is issued.');
+    });
+
+    test('未绑定 D1 时不返回删除链接', async () => {
+        delete env.IMG;
+        const result = await upload(mockProvider());
+        expect(result.delete_url).toBeNull();
+        expect(result.delete_url_error).toBe('Delete links require the D1 database (IMG) binding.');
+    });
+});
+
+describe('hashFile', () => {
+    test('逐块计算的结果与一次性计算的相同', async () => {
+        const parts = [new Uint8Array(70000).fill(1), new Uint8Array(70000).fill(2)];
+        const file = new File(parts, 'big.bin');
+        expect(await hashFile(file)).toBe(await sha256Hex(await file.arrayBuffer()));
+    });
+});
@@ -0,0 +1,185 @@
+// 使用 Workers Cache API 在边缘缓存文件，热门图片不必每次都从上游下载
+// 注意 Cache API 只作用于当前数据中心；配置了 CF_ZONE_ID 和 CF_API_TOKEN 时，清除缓存会同时调用清除 API 覆盖所有数据中心
+// 处理后的图片以 `${src}?${参数}` 为键单独缓存，Cache API 只能按完整的键删除，因此写入时记录在 D1 的 cachevariant 表中
+
+// 边缘缓存 30 天，屏蔽或删除时主动清除
+export const EDGE_CACHE_TTL = 30 * 24 * 60 * 60;
+// 浏览器缓存较短，屏蔽后能较快生效
+export const BROWSER_CACHE_TTL = 60 * 60;
+// 清除 API 每次请求最多包含的地址数
+const PURGE_API_BATCH_SIZE = 30;
+
+function getCache() {
+    return typeof caches !== 'undefined' && caches.default ? caches.default : null;
+}
+
+/**
+ * 文件在缓存中的键，与请求中的查询参数和请求头无关
+ * @param {string} origin
+ * @param {string} src - imginfo.url 中保存的路径
+ * @returns {string}
+ */
+export function getCacheKey(origin, src) {
+    return `${origin}/api${src}`;
+}
+
+/**
+ * 设置返回给浏览器的 Cache-Control
+ * @param {Response} response
+ * @returns {Response}
+ */
+export function withBrowserCacheControl(response) {
+    const headers = new Headers(response.headers);
+    headers.set('Cache-Control', `public, max-age=${BROWSER_CACHE_TTL}`);
+    return new Response(response.body, { status: response.status, headers });
+}
+
+/**
+ * 查找缓存
+ * @param {string} origin
+ * @param {string} src
+ * @returns {Promise<Response|null>}
+ */
+export async function matchCache(origin, src) {
+    const cache = getCache();
+    if (!cache) {
+        return null;
+    }
+    try {
+        const cached = await cache.match(getCacheKey(origin, src));
+        return cached ? withBrowserCacheControl(cached) : null;
+    } catch (error) {
+        console.error("读取边缘缓存失败:", error);
+        return null;
+    }
+}
+
+/**
+ * 在后台写入缓存，返回可直接发送给客户端的响应
+ * @param {ExecutionContext} ctx
+ * @param {string} origin
+ * @param {string} src
+ * @param {Response} response - 上游的响应，只有 200 会写入缓存
+ * @returns {Response}
+ */
+export function cacheResponse(ctx, origin, src, response) {
+    // 404、5xx 等错误响应不缓存，也不让浏览器缓存
+    if (response.status !== 200) {
+        return response;
+    }
+    const cache = getCache();
+    if (!cache) {
+        return withBrowserCacheControl(response);
+    }
+
+    const toCache = response.clone();
+    const headers = new Headers(toCache.headers);
+    headers.set('Cache-Control', `public, max-age=${EDGE_CACHE_TTL}`);
+    ctx.waitUntil(
+        cache.put(getCacheKey(origin, src), new Response(toCache.body, { status: 200, headers }))
+            .catch((error) => console.error("写入边缘缓存失败:", error))
+    );
+    return withBrowserCacheControl(response);
+}
+
+/**
+ * 记录已写入缓存的处理后图片，清除原文件的缓存时一并清除
+ * @param {object} env
+ * @param {string} src - imginfo.url 中保存的路径
+ * @param {string} variant - 规范化的处理参数，见 parseTransformOptions
+ */
+export async function recordCacheVariant(env, src, variant) {
+    if (!env.IMG) {
+        return;
+    }
+    try {
+        await env.IMG.prepare(`INSERT OR IGNORE INTO cachevariant (url, variant, time) VALUES (?, ?, ?)`)
+            .bind(src, variant, Date.now()).run();
+    } catch (error) {
+        // 表不存在 (数据库尚未升级) 时不影响正常访问
+        console.error("记录缓存的处理参数失败:", error);
+    }
+}
+
+/**
+ * 读取文件已缓存的处理参数
+ * @param {object} env
+ * @param {string} src
+ * @returns {Promise<string[]>}
+ */
+async function listCacheVariants(env, src) {
+    if (!env.IMG) {
+        return [];
+    }
+    try {
+        const { results } = await env.IMG.prepare(`SELECT variant FROM cachevariant WHERE url = ?`).bind(src).all();
+        return results.map((row) => row.variant);
+    } catch (error) {
+        console.error("读取缓存的处理参数失败:", error);
+        return [];
+    }
+}
+
+/**
+ * 清除文件及其处理后图片的缓存
+ * @param {object} env
+ * @param {string[]} origins - 可能访问到该文件的域名，如请求域名和 CUSTOM_DOMAIN
+ * @param {string} src - imginfo.url 中保存的路径
+ */
+export async function purgeCache(env, origins, src) {
+    if (!src.startsWith('/')) {
+        return; // 外部存储的文件不经过本站
+    }
+
+    const uniqueOrigins = [...new Set(origins.filter(Boolean))];
+    const variants = await listCacheVariants(env, src);
+    const paths = [src, ...variants.map((variant) => `${src}?${variant}`)];
+    const keys = uniqueOrigins.flatMap((origin) => paths.map((path) => getCacheKey(origin, path)));
+
+    const cache = getCache();
+    if (cache) {
+        await Promise.all(keys.map((key) => cache.delete(key).catch((error) => {
+            console.error("清除边缘缓存失败:", error);
+        })));
+    }
+
+    if (env.CF_ZONE_ID && env.CF_API_TOKEN) {
+        // /file/ 还可以通过重写后的地址访问
+        const files = src.startsWith('/file/') ? [...keys, ...uniqueOrigins.map((origin) => `${origin}${src}`)] : keys;
+        for (let i = 0; i < files.length; i += PURGE_API_BATCH_SIZE) {
+            await purgeZoneCache(env, files.slice(i, i + PURGE_API_BATCH_SIZE));
+        }
+    }
+
+    if (variants.length) {
+        // 再次生成时重新记录
+        try {
+            await env.IMG.prepare(`DELETE FROM cachevariant WHERE url = ?`).bind(src).run();
+        } catch (error) {
+            console.error("删除缓存的处理参数记录失败:", error);
+        }
+    }
+}
+
+/**
+ * 调用清除 API 清除所有数据中心的缓存
+ * @param {object} env
+ * @param {string[]} files
+ */
+async function purgeZoneCache(env, files) {
+    try {
+        const res = await fetch(`https://api.cloudflare.com/client/v4/zones/${env.CF_ZONE_ID}/purge_cache`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${env.CF_API_TOKEN}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ files }),
+        });
+        if (!res.ok) {
+            console.error("调用清除缓存 API 失败:", await res.text());
+        }
+    } catch (error) {
+        console.error("调用清除缓存 API 失败:", error);
+    }
+}
@@ -0,0 +1,140 @@
+// 超过 Bot API getFile 上限 (20 MB) 的文件拆分为多个文档消息发送，读取时再按顺序拼接
+import { StorageError } from './storage/error';
+import { deleteMessages, extractFileData, fetchFile, sendFile } from './telegram';
+import { insertChunkManifest } from './db';
+import { sliceStream } from './range';
+
+// getFile 只能下载不超过 20 MB 的文件
+export const TELEGRAM_GETFILE_LIMIT = 20 * 1024 * 1024;
+// 每个分片留出余量，确保能通过 getFile 取回
+export const CHUNK_SIZE = 19 * 1024 * 1024;
+
+const MANIFEST_PREFIX = 'chunked_';
+
+/**
+ * 判断 /api/cfile/:id 中的 id 是否为分片清单，而非 Telegram file_id
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isManifestId(id) {
+    return id.startsWith(MANIFEST_PREFIX);
+}
+
+/**
+ * 将大文件按 CHUNK_SIZE 拆分后逐个以文档形式发送，并在 D1 中记录清单
+ * @param {object} env
+ * @param {File} file
+ * @returns {Promise<{id: string, name: string, chat_id: string|null}>}
+ */
+export async function uploadChunks(env, file) {
+    if (!env.IMG) {
+        throw new StorageError('Files larger than 20 MB require the D1 database (IMG) binding.', 413);
+    }
+
+    const id = `${MANIFEST_PREFIX}${crypto.randomUUID().replace(/-/g, '')}`;
+    const total = Math.ceil(file.size / CHUNK_SIZE);
+    const chunks = [];
+    let chatId = null;
+
+    try {
+        for (let index = 0; index < total; index++) {
+            const part = file.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE, 'application/octet-stream');
+            const partName = `${file.name}.part${String(index + 1).padStart(3, '0')}`;
+            const { response, result } = await sendFile(env, part, partName, { endpoint: 'sendDocument', formFieldName: 'document' });
+
+            const fileData = response.ok ? extractFileData(result) : null;
+            if (!fileData) {
+                console.error(`Failed to upload chunk ${index + 1}/${total} to Telegram. API Response:`, JSON.stringify(result));
+                throw new StorageError(`Failed to upload chunk ${index + 1}/${total} to Telegram.`, 502, { telegram_response: result });
+            }
+            chatId = fileData.chat_id;
+            // 保存 message_id，删除文件时需要逐条删除分片消息
+            chunks.push({ file_id: fileData.file_id, size: part.size, message_id: fileData.message_id });
+        }
+
+        await insertChunkManifest(env.IMG, {
+            id,
+            name: file.name,
+            type: file.type || 'application/octet-stream',
+            size: file.size,
+            chunks,
+        }, Date.now());
+    } catch (error) {
+        // 上传失败时没有清单记录已发送的分片，删除这些消息，避免残留在频道中
+        if (chunks.length) {
+            await deleteMessages(env, chatId || env.TG_CHAT_ID, chunks.map((chunk) => chunk.message_id));
+        }
+        throw error;
+    }
+
+    return { id, name: file.name, chat_id: chatId };
+}
+
+/**
+ * 下载单个分片
+ * @param {object} env
+ * @param {{file_id: string}} chunk
+ * @returns {Promise<ReadableStreamDefaultReader>}
+ */
+async function openChunk(env, chunk) {
+    const file = await fetchFile(env, chunk.file_id);
+    if (!file) {
+        throw new Error(`Could not resolve chunk ${chunk.file_id}`);
+    }
+    const res = file.response;
+    if (!res.ok) {
+        throw new Error(`Failed to download chunk ${chunk.file_id}: HTTP ${res.status}`);
+    }
+    return res.body.getReader();
+}
+
+/**
+ * 将所有分片按顺序拼接为一个流，只有在读取到某个分片时才会去下载它
+ * @param {object} env
+ * @param {{file_id: string, size: number}[]} chunks
+ * @returns {ReadableStream}
+ */
+export function streamChunks(env, chunks) {
+    let index = 0;
+    let reader = null;
+
+    return new ReadableStream({
+        async pull(controller) {
+            while (true) {
+                if (!reader) {
+                    if (index >= chunks.length) {
+                        controller.close();
+                        return;
+                    }
+                    reader = await openChunk(env, chunks[index++]);
+                }
+                const { done, value } = await reader.read();
+                if (!done) {
+                    controller.enqueue(value);
+                    return;
+                }
+                reader = null;
+            }
+        },
+        cancel(reason) {
+            return reader?.cancel(reason);
+        },
+    }, { highWaterMark: 0 }); // 不预读，未被读取的分片不会下载
+}
+
+/**
+ * 只读取 [start, end] 范围内的字节，范围之前的分片不会被下载
+ * @param {object} env
+ * @param {{file_id: string, size: number}[]} chunks
+ * @param {number} start
+ * @param {number} end - 包含
+ * @returns {ReadableStream}
+ */
+export function streamChunkRange(env, chunks, start, end) {
+    let offset = 0;
+    let first = 0;
+    while (first < chunks.length - 1 && offset + chunks[first].size <= start) {
+        offset += chunks[first++].size;
+    }
+    return sliceStream(streamChunks(env, chunks.slice(first)), start - offset, end - offset);
+}
@@ -0,0 +1,69 @@
+// 基于 Web Crypto 的哈希和签名辅助函数，Edge 运行时和浏览器均可使用
+
+const encoder = new TextEncoder();
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+export function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 计算 SHA-256 并返回十六进制字符串
+ * @param {string|ArrayBuffer|ArrayBufferView} data
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(data) {
+    return toHex(await crypto.subtle.digest('SHA-256', typeof data === 'string' ? encoder.encode(data) : data));
+}
+
+/**
+ * 以流的方式计算 SHA-256，不需要把整个文件读入内存
+ * Workers 提供 crypto.DigestStream；其他运行时 (如 Node 中的单元测试) 没有时读取完整内容后计算
+ * @param {ReadableStream} stream
+ * @returns {Promise<string>}
+ */
+export async function sha256StreamHex(stream) {
+    if (typeof crypto.DigestStream !== 'function') {
+        return sha256Hex(await new Response(stream).arrayBuffer());
+    }
+    const digestStream = new crypto.DigestStream('SHA-256');
+    await stream.pipeTo(digestStream);
+    return toHex(await digestStream.digest);
+}
+
+/**
+ * 计算 HMAC-SHA256
+ * @param {string|ArrayBuffer} key
+ * @param {string} data
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function hmac(key, data) {
+    const cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        typeof key === 'string' ? encoder.encode(key) : key,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    return crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(data));
+}
+
+/**
+ * 定长比较，避免通过响应时间逐字节猜测签名或密钥
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
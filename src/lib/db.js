@@ -0,0 +1,178 @@
+import { StorageError } from './storage/error';
+
+/**
+ * 插入图片信息到数据库
+ * @param {D1Database} db - D1 数据库实例
+ * @param {object} record
+ * @param {string} record.src - 文件路径
+ * @param {string} record.referer - 请求来源
+ * @param {string} record.ip - 客户端 IP
+ * @param {number} record.rating - 内容评级
+ * @param {number} record.time - 上传时间 (UTC 毫秒时间戳)
+ * @param {string|null} [record.hash] - 文件内容的 SHA-256，用于去重
+ * @param {string|null} [record.thumb] - 缩略图路径
+ * @param {boolean} [record.isPrivate] - 私有文件只能通过签名链接访问
+ * @param {string|null} [record.name] - 上传时的原始文件名
+ * @param {string|null} [record.mime] - 上传时的 MIME 类型
+ * @param {number|null} [record.size] - 文件大小 (字节)
+ * @param {number|null} [record.width] - 图片宽度，非图片为空
+ * @param {number|null} [record.height] - 图片高度
+ * @param {string|null} [record.fileUniqueId] - Telegram file_unique_id
+ * @param {number|null} [record.messageId] - Telegram 消息 ID
+ * @param {string|null} [record.chatId] - Telegram 频道 ID
+ * @param {string|null} [record.backend] - 存储后端名称
+ * @param {string|null} [record.deleteToken] - 删除链接令牌的 SHA-256
+ * @param {boolean|null} [record.original] - 是否按原图上传，不会压缩文件的后端为空
+ * @returns {Promise<boolean>} 是否写入成功
+ */
+export async function insertImageData(db, {
+    src, referer, ip, rating, time, hash = null, thumb = null, isPrivate = false,
+    name = null, mime = null, size = null, width = null, height = null,
+    fileUniqueId = null, messageId = null, chatId = null, backend = null, deleteToken = null, original = null,
+}) {
+    try {
+        await db.prepare(
+            `INSERT INTO imginfo (url, referer, ip, rating, total, time, hash, thumb, private,
+                name, mime, size, width, height, file_unique_id, message_id, chat_id, backend, delete_token, original)
+             VALUES (?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+            src, referer, ip, rating, time, hash, thumb, isPrivate ? 1 : 0,
+            name, mime, size, width, height, fileUniqueId, messageId, chatId, backend, deleteToken,
+            original === null ? null : original ? 1 : 0
+        ).run();
+        return true;
+    } catch (error) {
+        console.error("插入 imginfo 失败:", error);
+        return false;
+    }
+}
+
+/**
+ * 更新内容评级，上传时先按未评级写入记录，评级 API 返回后再更新
+ * @param {D1Database} db - D1 数据库实例
+ * @param {string} src - 文件路径
+ * @param {number} rating - 内容评级
+ */
+export async function updateImageRating(db, src, rating) {
+    try {
+        await db.prepare(`UPDATE imginfo SET rating = ? WHERE url = ?`).bind(rating, src).run();
+    } catch (error) {
+        console.error("更新 imginfo 评级失败:", error);
+    }
+}
+
+/**
+ * 按内容哈希查找已上传到同一后端的公开文件 (私有文件不参与去重，避免泄露其地址)
+ * 只匹配同一后端，指定上传到 R2 的文件不会返回 Telegram 频道中的地址，反之亦然
+ * @param {D1Database} db - D1 数据库实例
+ * @param {string} hash - 文件内容的 SHA-256
+ * 会压缩文件的后端 (Telegram 频道) 还需要上传模式相同，否则按原图上传时可能返回压缩后的地址
+ * @param {string} backend - 存储后端名称
+ * @param {boolean|null} [original=null] - 是否按原图上传，为空时不区分；旧记录没有保存模式，视为压缩
+ * @returns {Promise<{url: string}|null>}
+ */
+export async function findImageByHash(db, hash, backend, original = null) {
+    try {
+        // 回收站中的文件无法访问，不作为去重结果
+        return await db.prepare(
+            `SELECT url FROM imginfo WHERE hash = ?1 AND backend = ?2 AND COALESCE(private, 0) = 0 AND deleted IS NULL
+             AND (?3 IS NULL OR COALESCE(original, 0) = ?3) ORDER BY id LIMIT 1`
+        ).bind(hash, backend, original === null ? null : original ? 1 : 0).first();
+    } catch (error) {
+        console.error("按哈希查询 imginfo 失败:", error);
+        return null;
+    }
+}
+
+/**
+ * 插入访问日志
+ * @param {D1Database} db - D1 数据库实例
+ * @param {string} url - 文件路径
+ * @param {string} referer - 请求来源
+ * @param {string} ip - 客户端 IP
+ * @param {number} time - 访问时间 (UTC 毫秒时间戳)
+ * @param {string} [decision='allow'] - 访问控制的判断结果，如 checkReferer 的结果或 ban:<网段>
+ */
+export async function insertViewLog(db, url, referer, ip, time, decision = 'allow') {
+    try {
+        await db.prepare('INSERT INTO tgimglog (url, referer, ip, time, decision) VALUES (?, ?, ?, ?, ?)')
+            .bind(url, referer, ip, time, decision).run();
+    } catch (error) {
+        console.error("插入 tgimglog 失败:", error);
+    }
+}
+
+/**
+ * 从数据库获取评级、是否私有、是否在回收站中以及上传时的文件名和类型，并在后台累加访问次数
+ * @param {D1Database} db - D1 数据库实例
+ * @param {string} url - 文件路径
+ * @param {ExecutionContext} ctx
+ * @param {boolean} [countView=true] - 是否计入访问次数
+ * @returns {Promise<{rating: number, private: number, name: string|null, mime: string|null, deleted: number|null}|null>} deleted 为移到回收站的时间
+ */
+export async function getRatingFromDb(db, url, ctx, countView = true) {
+    try {
+        // 使用 SELECT *，数据库尚未升级 (没有 deleted 列) 时也能正常读取
+        const result = await db.prepare(`SELECT * FROM imginfo WHERE url = ?`).bind(url).first();
+        if (result && countView && !result.deleted) {
+            ctx.waitUntil(db.prepare(`UPDATE imginfo SET total = total + 1 WHERE url = ?`).bind(url).run());
+        }
+        return result;
+    } catch (error) {
+        console.error("从数据库获取评级失败:", error);
+        return null;
+    }
+}
+
+/**
+ * 保存分片上传的清单
+ * @param {D1Database} db - D1 数据库实例
+ * @param {object} manifest
+ * @param {string} manifest.id - 清单 ID，即 /api/cfile/:id 中的 id
+ * @param {string} manifest.name - 原始文件名
+ * @param {string} manifest.type - 原始 MIME 类型
+ * @param {number} manifest.size - 文件总大小
+ * @param {{file_id: string, size: number, message_id?: number}[]} manifest.chunks - 按顺序排列的分片
+ * @param {number} time - 上传时间 (UTC 毫秒时间戳)
+ */
+export async function insertChunkManifest(db, { id, name, type, size, chunks }, time) {
+    await db.prepare(
+        `INSERT INTO chunkmanifest (id, name, type, size, chunks, time) VALUES (?, ?, ?, ?, ?, ?)`
+    ).bind(id, name, type, size, JSON.stringify(chunks), time).run();
+}
+
+/**
+ * 读取分片上传的清单
+ * @param {D1Database} db - D1 数据库实例
+ * @param {string} id - 清单 ID
+ * @returns {Promise<{id: string, name: string, type: string, size: number, chunks: {file_id: string, size: number, message_id?: number}[]}|null>}
+ */
+export async function getChunkManifest(db, id) {
+    const row = await db.prepare(`SELECT * FROM chunkmanifest WHERE id = ?`).bind(id).first();
+    return row ? { ...row, chunks: JSON.parse(row.chunks) } : null;
+}
+
+/**
+ * 删除分片上传的清单
+ * @param {D1Database} db - D1 数据库实例
+ * @param {string} id - 清单 ID
+ */
+export async function deleteChunkManifest(db, id) {
+    await db.prepare(`DELETE FROM chunkmanifest WHERE id = ?`).bind(id).run();
+}
+
+/**
+ * 解析按时间筛选的边界，time 列保存的是 UTC 毫秒时间戳
+ * @param {unknown} value - 毫秒时间戳或 ISO 8601 字符串 (如 2024-07-20T00:00:00+08:00，不带时区的日期按 UTC 处理)
+ * @returns {number|null} 未提供时返回 null，无法解析时抛出 StorageError (400)
+ */
+export function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+    if (!Number.isFinite(time)) {
+        throw new StorageError(`Invalid date: ${value}`, 400);
+    }
+    return time;
+}
@@ -0,0 +1,189 @@
+// 删除文件：后台删除时先移到回收站 (imginfo.deleted 记录移入时间)，回收站中的文件不再对外提供，可以恢复
+// 彻底删除时从存储后端删除 (如 Telegram 频道中的消息)，并删除 imginfo 记录、短链接和缓存
+// 彻底删除后的路径记录在 deletedfile 表中，即使后端不支持删除或 Telegram 仍可下载，/api/cfile 等路由也返回 410
+// 上传时返回的删除链接 (/delete/:token) 让上传者无需管理员即可删除自己的文件，同样是移到回收站
+import { findProviderBySrc } from './storage';
+import { purgeCache } from './cache';
+import { deleteShortLinks } from './shortlink';
+import { sha256Hex, toHex } from './crypto';
+import { DAY } from './retention';
+
+// 每次自动清理最多彻底删除的文件数，避免单次请求调用过多 Bot API
+const PURGE_BATCH_SIZE = 50;
+
+/**
+ * 生成删除链接的令牌，imginfo 中只保存其哈希，数据库泄露时无法据此删除文件
+ * 令牌为 16 字节 (128 位) 随机数，删除接口虽然只按 IP 限制频率，分散到大量 IP 也无法猜中
+ * @returns {Promise<{token: string, hash: string}>}
+ */
+export async function createDeleteToken() {
+    const token = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    return { token, hash: await sha256Hex(token) };
+}
+
+/**
+ * 上传的文件无法获得删除链接的原因，随上传响应的 delete_url_error 返回
+ * @param {object} env
+ * @param {import('./storage').StorageProvider} provider
+ * @returns {string|null} 可以生成删除链接时返回 null
+ */
+export function getDeleteLinkError(env, provider) {
+    if (!env.IMG) {
+        return 'Delete links require the D1 database (IMG) binding.';
+    }
+    if (!provider.srcPrefix) {
+        // 外部存储的文件不经过本站，删除记录也无法阻止访问
+        return `Files stored on "${provider.name}" are served directly and cannot be deleted.`;
+    }
+    if (!provider.supportsDelete) {
+        // 如 telegra.ph：本站不再提供，但文件仍公开在后端上
+        return `Storage provider "${provider.name}" cannot delete files, so the file would stay public there.`;
+    }
+    return null;
+}
+
+/**
+ * 拼接删除链接
+ * @param {string} origin
+ * @param {string} token
+ * @returns {string}
+ */
+export function getDeleteUrl(origin, token) {
+    return `${origin}/delete/${token}`;
+}
+
+/**
+ * 按删除令牌查找文件
+ * @param {D1Database} db
+ * @param {string} token
+ * @returns {Promise<string|null>} imginfo.url，令牌无效或文件已在回收站中时返回 null
+ */
+export async function findByDeleteToken(db, token) {
+    if (!/^[0-9a-f]{32}$/.test(token || '')) {
+        return null;
+    }
+    const row = await db.prepare(`SELECT url FROM imginfo WHERE delete_token = ? AND deleted IS NULL`)
+        .bind(await sha256Hex(token)).first();
+    return row ? row.url : null;
+}
+
+/**
+ * 查询路径是否属于已删除的文件，包括回收站中文件的缩略图
+ * @param {D1Database} db
+ * @param {string} src - imginfo.url 或 imginfo.thumb 中保存的路径
+ * @returns {Promise<'deleted'|'trash'|null>} deleted 为已彻底删除，trash 为在回收站中
+ */
+export async function findDeletedFile(db, src) {
+    try {
+        const row = await db.prepare(
+            `SELECT 'deleted' AS state FROM deletedfile WHERE url = ?1
+             UNION ALL
+             SELECT 'trash' FROM imginfo WHERE (url = ?1 OR thumb = ?1) AND deleted IS NOT NULL
+             LIMIT 1`
+        ).bind(src).first();
+        return row ? row.state : null;
+    } catch (error) {
+        // 表或列不存在 (数据库尚未升级) 时不影响正常访问
+        console.error("查询已删除的文件失败:", error);
+        return null;
+    }
+}
+
+/**
+ * 已删除文件的响应：彻底删除的返回 410，回收站中的返回 404 (恢复后可以继续访问)
+ * @param {'deleted'|'trash'} state
+ * @returns {{status: number, message: string}}
+ */
+export function getDeletedFileError(state) {
+    return state === 'deleted'
+        ? { status: 410, message: "文件已被删除。" }
+        : { status: 404, message: "文件不存在或已被删除。" };
+}
+
+/**
+ * 移到回收站
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {string} src - imginfo.url 中保存的路径
+ * @param {string[]} origins - 需要清除缓存的域名，如请求域名和 CUSTOM_DOMAIN
+ * @returns {Promise<boolean>} 记录不存在或已在回收站中时返回 false
+ */
+export async function trashFile(env, ctx, src, origins) {
+    const record = await env.IMG.prepare(`SELECT thumb FROM imginfo WHERE url = ? AND deleted IS NULL`).bind(src).first();
+    if (!record) {
+        return false;
+    }
+    await env.IMG.prepare(`UPDATE imginfo SET deleted = ? WHERE url = ?`).bind(Date.now(), src).run();
+    for (const url of [src, record.thumb].filter((url) => url && url.startsWith('/'))) {
+        ctx.waitUntil(purgeCache(env, origins, url));
+    }
+    return true;
+}
+
+/**
+ * 从回收站恢复
+ * @param {D1Database} db
+ * @param {string} src
+ * @returns {Promise<boolean>} 记录不在回收站中时返回 false
+ */
+export async function restoreFile(db, src) {
+    const result = await db.prepare(`UPDATE imginfo SET deleted = NULL WHERE url = ? AND deleted IS NOT NULL`).bind(src).run();
+    return result.meta.changes > 0;
+}
+
+/**
+ * 彻底删除文件及其缩略图
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {string} src - imginfo.url 中保存的路径
+ * @param {string[]} origins - 需要清除缓存的域名，如请求域名和 CUSTOM_DOMAIN
+ * @returns {Promise<{found: boolean, backend: boolean}>} 是否存在 imginfo 记录，以及是否已从存储后端删除
+ */
+export async function deleteFile(env, ctx, src, origins) {
+    const record = await env.IMG.prepare(`SELECT * FROM imginfo WHERE url = ?`).bind(src).first();
+
+    let backend = false;
+    const target = findProviderBySrc(src);
+    if (target) {
+        try {
+            backend = await target.provider.delete(env, target.key, record);
+        } catch (error) {
+            // 后端删除失败时仍然删除记录，文件通过 deletedfile 拒绝访问
+            console.error("从存储后端删除文件失败:", error);
+        }
+    }
+
+    // 外部地址不经过本站，无需记录
+    const urls = [src, record?.thumb].filter((url) => url && url.startsWith('/'));
+    const now = Date.now();
+    await env.IMG.batch([
+        ...urls.map((url) => env.IMG.prepare(`INSERT OR REPLACE INTO deletedfile (url, time) VALUES (?, ?)`).bind(url, now)),
+        env.IMG.prepare(`DELETE FROM imginfo WHERE url = ?`).bind(src),
+    ]);
+    await deleteShortLinks(env.IMG, src);
+    for (const url of urls) {
+        ctx.waitUntil(purgeCache(env, origins, url));
+    }
+    return { found: Boolean(record), backend };
+}
+
+/**
+ * 彻底删除在回收站中超过保留天数的文件
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {string[]} origins
+ * @param {{retentionDays: number, now?: number}} options
+ * @returns {Promise<number>} 本次删除的文件数，超过 PURGE_BATCH_SIZE 的部分留到下次清理
+ */
+export async function purgeTrash(env, ctx, origins, { retentionDays, now = Date.now() }) {
+    if (retentionDays <= 0) {
+        return 0;
+    }
+    const { results } = await env.IMG.prepare(
+        `SELECT url FROM imginfo WHERE deleted IS NOT NULL AND deleted < ? ORDER BY deleted LIMIT ?`
+    ).bind(now - retentionDays * DAY, PURGE_BATCH_SIZE).all();
+    for (const { url } of results) {
+        await deleteFile(env, ctx, url, origins);
+    }
+    return results.length;
+}
@@ -0,0 +1,72 @@
+// 缓存 getFile 返回的 file_path，避免每次访问都请求 Bot API
+// 绑定了 KV 命名空间 FILE_CACHE 时使用 KV，否则使用 D1 (IMG)
+
+// Telegram 保证下载链接至少有效 1 小时，留出余量
+export const FILE_PATH_TTL = 55 * 60;
+
+const KV_PREFIX = 'file_path:';
+
+/**
+ * 读取未过期的 file_path
+ * @param {object} env
+ * @param {string} file_id
+ * @returns {Promise<string|null>}
+ */
+export async function getCachedFilePath(env, file_id) {
+    try {
+        if (env.FILE_CACHE) {
+            return await env.FILE_CACHE.get(`${KV_PREFIX}${file_id}`);
+        }
+        if (env.IMG) {
+            const row = await env.IMG.prepare(`SELECT file_path FROM filepathcache WHERE file_id = ? AND expires > ?`)
+                .bind(file_id, Date.now()).first();
+            return row ? row.file_path : null;
+        }
+    } catch (error) {
+        console.error("读取 file_path 缓存失败:", error);
+    }
+    return null;
+}
+
+/**
+ * 写入 file_path 及其过期时间
+ * @param {object} env
+ * @param {string} file_id
+ * @param {string} file_path
+ */
+export async function setCachedFilePath(env, file_id, file_path) {
+    try {
+        if (env.FILE_CACHE) {
+            await env.FILE_CACHE.put(`${KV_PREFIX}${file_id}`, file_path, { expirationTtl: FILE_PATH_TTL });
+            return;
+        }
+        if (env.IMG) {
+            const now = Date.now();
+            // 顺带清理已过期的记录，D1 没有自动过期
+            await env.IMG.batch([
+                env.IMG.prepare(`INSERT OR REPLACE INTO filepathcache (file_id, file_path, expires) VALUES (?, ?, ?)`)
+                    .bind(file_id, file_path, now + FILE_PATH_TTL * 1000),
+                env.IMG.prepare(`DELETE FROM filepathcache WHERE expires < ?`).bind(now),
+            ]);
+        }
+    } catch (error) {
+        console.error("写入 file_path 缓存失败:", error);
+    }
+}
+
+/**
+ * 删除失效的 file_path
+ * @param {object} env
+ * @param {string} file_id
+ */
+export async function deleteCachedFilePath(env, file_id) {
+    try {
+        if (env.FILE_CACHE) {
+            await env.FILE_CACHE.delete(`${KV_PREFIX}${file_id}`);
+        } else if (env.IMG) {
+            await env.IMG.prepare(`DELETE FROM filepathcache WHERE file_id = ?`).bind(file_id).run();
+        }
+    } catch (error) {
+        console.error("删除 file_path 缓存失败:", error);
+    }
+}
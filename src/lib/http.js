@@ -0,0 +1,96 @@
+// 通用的 CORS 头，供所有 API 响应复用
+export const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Max-Age': '86400', // 24小时
+};
+
+/**
+ * 处理 CORS 预检请求 (OPTIONS)
+ * @returns {Response}
+ */
+export function handleOptions() {
+    return new Response(null, {
+        status: 204, // No Content
+        headers: corsHeaders,
+    });
+}
+
+/**
+ * 构造带 CORS 头的 JSON 响应
+ * @param {object} data - 响应体
+ * @param {number} [status=200] - HTTP 状态码
+ * @param {object} [headers] - 额外的响应头
+ * @returns {Response}
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json', ...headers },
+    });
+}
+
+/**
+ * 获取客户端 IP，优先使用 Cloudflare 提供的标准头
+ * @param {Request} request
+ * @returns {string}
+ */
+export function getClientIp(request) {
+    const ip = request.headers.get('CF-Connecting-IP')
+        || request.headers.get('x-forwarded-for')
+        || request.headers.get('x-real-ip');
+    return ip ? ip.split(',')[0].trim() : 'IP not found';
+}
+
+/**
+ * 获取请求来源
+ * @param {Request} request
+ * @returns {string}
+ */
+export function getReferer(request) {
+    return request.headers.get('Referer') || 'Referer not found';
+}
+
+// 可以在本站域名下直接显示的类型：只允许位图、视频和音频，
+// HTML、SVG、XML 等可以执行脚本的类型即使上传时声明了也按附件下载，避免存储型 XSS
+const INLINE_MEDIA_TYPES = new Set([
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/bmp', 'image/x-icon', 'image/vnd.microsoft.icon',
+    'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime', 'video/x-matroska',
+    'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/wav', 'audio/x-wav', 'audio/webm', 'audio/flac',
+]);
+
+/**
+ * 类型是否可以在本站直接显示
+ * @param {string|null|undefined} type - Content-Type，可以带参数
+ * @returns {boolean}
+ */
+export function isInlineMediaType(type) {
+    return INLINE_MEDIA_TYPES.has((type || '').split(';')[0].trim().toLowerCase());
+}
+
+/**
+ * 构造 Content-Disposition 头，非 ASCII 文件名 (如中文) 通过 filename* 传递，旧客户端使用 filename 中的替代名称
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function getContentDisposition(fileName) {
+    const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    const encoded = encodeURIComponent(fileName).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * 限制文件响应的类型：不能直接显示的类型改为 application/octet-stream 并按附件下载，同时禁止浏览器猜测类型
+ * @param {Headers} headers - 直接修改
+ * @returns {Headers}
+ */
+export function restrictContentType(headers) {
+    if (!isInlineMediaType(headers.get('Content-Type'))) {
+        headers.set('Content-Type', 'application/octet-stream');
+        const disposition = headers.get('Content-Disposition');
+        headers.set('Content-Disposition', disposition ? disposition.replace(/^\s*inline\b/i, 'attachment') : 'attachment');
+    }
+    headers.set('X-Content-Type-Options', 'nosniff');
+    return headers;
+}
@@ -0,0 +1,114 @@
+// 从文件头读取图片尺寸，不需要解码整张图片
+// 支持 PNG、GIF、JPEG、WebP、BMP 和 AVIF，其他格式返回 null
+
+// JPEG 的 SOF 段可能位于较大的 EXIF 之后，读取的字节数需要留出余量
+const HEADER_SIZE = 256 * 1024;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number}|null}
+ */
+function readJpegSize(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xff) {
+            return null;
+        }
+        const marker = bytes[offset + 1];
+        if (marker === 0xff) {
+            offset++; // 填充字节
+            continue;
+        }
+        // SOF0 ~ SOF15，排除 DHT (C4)、JPG (C8) 和 DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+        }
+        offset += 2 + view.getUint16(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number}|null}
+ */
+function readWebpSize(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+    if (chunk === 'VP8 ' && bytes.length >= 30) {
+        return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && bytes.length >= 25) {
+        const bits = view.getUint32(21, true);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X' && bytes.length >= 30) {
+        const readUint24 = (offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+        return { width: readUint24(24) + 1, height: readUint24(27) + 1 };
+    }
+    return null;
+}
+
+/**
+ * AVIF 的尺寸记录在 meta 中各图像项的 ispe 属性里
+ * 取其中最大的一个：网格图片的整体尺寸最大，缩略图、alpha 通道和网格中的分块都更小
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number}|null}
+ */
+function readAvifSize(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let size = null;
+    // ispe 的结构：4 字节类型、4 字节版本和标志、4 字节宽、4 字节高
+    for (let offset = 12; offset + 16 <= bytes.length; offset++) {
+        if (bytes[offset] === 0x69 && bytes[offset + 1] === 0x73 && bytes[offset + 2] === 0x70 && bytes[offset + 3] === 0x65) {
+            const width = view.getUint32(offset + 8);
+            const height = view.getUint32(offset + 12);
+            if (!size || width * height > size.width * size.height) {
+                size = { width, height };
+            }
+        }
+    }
+    return size;
+}
+
+/**
+ * 读取图片的宽高
+ * @param {Blob} file
+ * @returns {Promise<{width: number, height: number}|null>} 不是支持的图片格式或文件头损坏时返回 null
+ */
+export async function getImageSize(file) {
+    const bytes = new Uint8Array(await file.slice(0, HEADER_SIZE).arrayBuffer());
+    if (bytes.length < 26) {
+        return null;
+    }
+    const view = new DataView(bytes.buffer);
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+    try {
+        if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') {
+            return { width: view.getUint32(16), height: view.getUint32(20) };
+        }
+        if (ascii(0, 4) === 'GIF8') {
+            return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+        }
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+            return readJpegSize(bytes);
+        }
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+            return readWebpSize(bytes);
+        }
+        if (ascii(4, 8) === 'ftyp' && /avi[fs]/.test(ascii(8, Math.min(view.getUint32(0), 64)))) {
+            // 主品牌或兼容品牌中包含 avif (静态图片) 或 avis (图片序列)
+            return readAvifSize(bytes);
+        }
+        if (ascii(0, 2) === 'BM') {
+            // 高度为负数表示自上而下存储
+            return { width: Math.abs(view.getInt32(18, true)), height: Math.abs(view.getInt32(22, true)) };
+        }
+    } catch (error) {
+        // 文件头不完整时 DataView 越界
+        return null;
+    }
+    return null;
+}
@@ -0,0 +1,208 @@
+// IP 封禁：ipban 表中的单个 IP 或 CIDR 网段 (IPv4 / IPv6)，可设置过期时间
+// 被封禁的 IP 不能上传文件，也不能访问 /api/cfile、/api/rfile、/file 和短链接
+import { StorageError } from './storage/error';
+import { createRuleCache } from './rulecache';
+
+const rulesCache = createRuleCache(async (db) => (await db.prepare(`SELECT * FROM ipban ORDER BY id DESC`).all()).results);
+
+/**
+ * 将 IP 地址解析为整数，IPv4 映射的 IPv6 地址 (::ffff:1.2.3.4) 按 IPv4 处理
+ * @param {string} ip
+ * @returns {{version: 4|6, value: bigint}|null} 无法解析时返回 null
+ */
+function parseIp(ip) {
+    const text = String(ip || '').trim().toLowerCase().replace(/^\[|\]$/g, '');
+
+    const v4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(text);
+    if (v4) {
+        const octets = v4.slice(1).map(Number);
+        if (octets.some((octet) => octet > 255)) {
+            return null;
+        }
+        return { version: 4, value: octets.reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n) };
+    }
+
+    if (!text.includes(':') || !/^[0-9a-f:.]+$/.test(text)) {
+        return null;
+    }
+    let address = text;
+    // 末尾内嵌的 IPv4 转换为两组十六进制
+    const tail = /(\d{1,3}(?:\.\d{1,3}){3})$/.exec(address);
+    if (tail) {
+        const parsed = parseIp(tail[1]);
+        if (!parsed) {
+            return null;
+        }
+        const high = Number(parsed.value >> 16n).toString(16);
+        const low = Number(parsed.value & 0xffffn).toString(16);
+        address = `${address.slice(0, -tail[1].length)}${high}:${low}`;
+    }
+    const halves = address.split('::');
+    if (halves.length > 2) {
+        return null;
+    }
+    const head = halves[0] ? halves[0].split(':') : [];
+    const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - rest.length;
+    if ((halves.length === 2 && missing < 1) || (halves.length === 1 && missing !== 0)) {
+        return null;
+    }
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+    if (groups.some((group) => !/^[0-9a-f]{1,4}$/.test(group))) {
+        return null;
+    }
+    const value = groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+    if (value >> 32n === 0xffffn) {
+        return { version: 4, value: value & 0xffffffffn };
+    }
+    return { version: 6, value };
+}
+
+/**
+ * 解析封禁规则
+ * @param {string} rule - 如 1.2.3.4、1.2.3.0/24、2001:db8::/32
+ * @returns {{version: 4|6, network: bigint, prefix: number}|null}
+ */
+function parseCidr(rule) {
+    const [address, prefixText, extra] = String(rule || '').trim().split('/');
+    const ip = parseIp(address);
+    const bits = ip?.version === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+    if (!ip || extra !== undefined || !/^\d*$/.test(prefixText || '') || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+        return null;
+    }
+    const mask = ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+    return { version: ip.version, network: ip.value & mask, prefix };
+}
+
+/**
+ * 规范化规则：网段取网络地址，单个 IP 不带前缀长度
+ * @param {string} rule
+ * @returns {string}
+ */
+export function normalizeCidr(rule) {
+    const parsed = parseCidr(rule);
+    if (!parsed) {
+        throw new StorageError('Rule must be an IP address or CIDR range such as 1.2.3.4, 1.2.3.0/24 or 2001:db8::/32.', 400);
+    }
+    const { version, network, prefix } = parsed;
+    let address;
+    if (version === 4) {
+        address = [24n, 16n, 8n, 0n].map((shift) => String((network >> shift) & 0xffn)).join('.');
+    } else {
+        const groups = [];
+        for (let shift = 112n; shift >= 0n; shift -= 16n) {
+            groups.push(((network >> shift) & 0xffffn).toString(16));
+        }
+        // 压缩最长的一段连续 0 (至少两组)
+        const runs = groups.join(':').match(/(^|:)0(:0)+(?=:|$)/g) || [];
+        const longest = runs.reduce((a, b) => (b.length > a.length ? b : a), '');
+        address = groups.join(':');
+        if (longest) {
+            const start = address.indexOf(longest);
+            address = `${address.slice(0, start)}::${address.slice(start + longest.length).replace(/^:/, '')}`;
+        }
+    }
+    return prefix === (version === 4 ? 32 : 128) ? address : `${address}/${prefix}`;
+}
+
+/**
+ * IP 是否属于网段
+ * @param {{version: 4|6, network: bigint, prefix: number}} cidr
+ * @param {{version: 4|6, value: bigint}} ip
+ * @returns {boolean}
+ */
+function matchCidr(cidr, ip) {
+    if (cidr.version !== ip.version) {
+        return false;
+    }
+    const bits = BigInt(ip.version === 4 ? 32 : 128);
+    const shift = bits - BigInt(cidr.prefix);
+    return (ip.value >> shift) === (cidr.network >> shift);
+}
+
+/**
+ * 读取全部封禁规则 (包括已过期的)
+ * @param {D1Database} db
+ * @returns {Promise<{id: number, cidr: string, note: string|null, expires: number|null, time: number}[]>}
+ */
+export async function listIpBans(db) {
+    return rulesCache.get(db);
+}
+
+// 清除当前 isolate 中缓存的规则
+export function clearIpBansCache() {
+    rulesCache.clear();
+}
+
+/**
+ * 添加封禁，相同网段的旧规则会被替换，同时清理已过期的规则
+ * @param {D1Database} db
+ * @param {{cidr: string, note?: string, expires?: number|null}} ban - expires 为过期时间 (毫秒时间戳)，为空表示永久
+ * @returns {Promise<string>} 规范化后的规则
+ */
+export async function addIpBan(db, { cidr, note, expires }) {
+    const normalized = normalizeCidr(cidr);
+    if (expires != null && !(Number.isFinite(Number(expires)) && Number(expires) > Date.now())) {
+        throw new StorageError('Expiry must be a future timestamp.', 400);
+    }
+    const now = Date.now();
+    await db.batch([
+        db.prepare(`DELETE FROM ipban WHERE cidr = ? OR (expires IS NOT NULL AND expires <= ?)`).bind(normalized, now),
+        db.prepare(`INSERT INTO ipban (cidr, note, expires, time) VALUES (?, ?, ?, ?)`)
+            .bind(normalized, note || null, expires == null ? null : Number(expires), now),
+    ]);
+    clearIpBansCache();
+    return normalized;
+}
+
+/**
+ * 解除封禁
+ * @param {D1Database} db
+ * @param {number} id
+ */
+export async function deleteIpBan(db, id) {
+    await db.prepare(`DELETE FROM ipban WHERE id = ?`).bind(id).run();
+    clearIpBansCache();
+}
+
+/**
+ * 查找 IP 命中的有效封禁规则
+ * @param {object} env
+ * @param {string} clientIp
+ * @returns {Promise<string|null>} 命中的规则
+ */
+export async function findIpBan(env, clientIp) {
+    const ip = parseIp(clientIp);
+    if (!env.IMG || !ip) {
+        return null;
+    }
+    let rules;
+    try {
+        rules = await listIpBans(env.IMG);
+    } catch (error) {
+        // 规则表不存在或查询失败时不影响正常访问
+        console.error("读取 IP 封禁规则失败:", error);
+        return null;
+    }
+    const now = Date.now();
+    const rule = rules.find((item) => {
+        if (item.expires != null && item.expires <= now) {
+            return false;
+        }
+        const cidr = parseCidr(item.cidr);
+        return cidr && matchCidr(cidr, ip);
+    });
+    return rule ? rule.cidr : null;
+}
+
+/**
+ * 上传前检查，被封禁时抛出 StorageError (403)
+ * @param {object} env
+ * @param {string} clientIp
+ */
+export async function assertIpAllowed(env, clientIp) {
+    if (await findIpBan(env, clientIp)) {
+        throw new StorageError('Your IP address has been banned.', 403);
+    }
+}
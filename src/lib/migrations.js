@@ -0,0 +1,280 @@
+// D1 数据库结构的版本化迁移，已执行的版本记录在 schemaversion 表中
+// 每个迁移在一个 batch 中执行 (D1 的 batch 是事务)，失败时整体回滚，不会留下执行了一半的迁移
+// 迁移只能新增表、列和索引或转换已有数据的格式，不删除数据；所有步骤都必须可以重复执行，
+// 因为旧版本按文档手动建表或补充过列的数据库，版本记录为空但部分结构已经存在
+//
+// 新增表或列时：在 MIGRATIONS 末尾追加一个迁移，并同步更新 tgimglog.sql (全新安装使用)
+//
+// 上传等写入 imginfo 的接口和读取新增列的后台接口在每个实例首次使用时调用 ensureSchema 自动执行待执行的迁移，
+// 部署新版本后无需等管理员点击“升级数据库”，新增的列也不会导致上传记录写入失败
+
+/**
+ * 新增列，列已存在或表不存在时跳过
+ * 表不存在说明它由同一迁移中的 CREATE TABLE 创建，建表语句中已经包含该列
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - 类型和约束，如 integer DEFAULT 0
+ * @returns {{table: string, column: string, definition: string}}
+ */
+function addColumn(table, column, definition) {
+    return { table, column, definition };
+}
+
+/**
+ * 把旧版本写入的东八区时间字符串 (如 2024年7月20日 13:05:01) 转换为 UTC 毫秒时间戳
+ * D1 限制 LIKE / GLOB 的模式不超过 50 字节，因此日期和时间分两段匹配
+ * @param {string} table
+ * @returns {string}
+ */
+function convertLegacyTime(table) {
+    const part = (start, end) => `CAST(substr(time, ${start}, ${end} - (${start})) AS integer)`;
+    const year = part('1', "instr(time, '年')");
+    const month = part("instr(time, '年') + 1", "instr(time, '月')");
+    const day = part("instr(time, '月') + 1", "instr(time, '日')");
+    const clock = (offset) => `CAST(substr(time, instr(time, ' ') + ${offset}, 2) AS integer)`;
+    return `UPDATE ${table} SET time = (
+        CAST(strftime('%s', printf('%04d-%02d-%02d', ${year}, ${month}, ${day})) AS integer)
+        + ${clock(1)} * 3600 + ${clock(4)} * 60 + ${clock(7)} - 8 * 3600
+    ) * 1000
+    WHERE typeof(time) = 'text' AND time GLOB '[0-9][0-9][0-9][0-9]年*月*日 *'
+    AND substr(time, instr(time, ' ') + 1) GLOB '[0-9][0-9]:[0-9][0-9]:[0-9][0-9]'`;
+}
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - 从 1 开始连续编号
+ * @property {string} name
+ * @property {(string|{table: string, column: string, definition: string})[]} steps - SQL 语句或 addColumn
+ */
+
+/** @type {Migration[]} */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial',
+        // 引入迁移前的全部结构，包括此前只在文档中以 ALTER TABLE 说明的列
+        steps: [
+            `CREATE TABLE IF NOT EXISTS tgimglog (
+                id integer PRIMARY KEY NOT NULL, url text, referer text, ip varchar(255), time DATE, decision text
+            )`,
+            addColumn('tgimglog', 'decision', 'text'),
+            `CREATE TABLE IF NOT EXISTS imginfo (
+                id integer PRIMARY KEY NOT NULL, url text, referer text, ip varchar(255), rating integer, total integer, time DATE,
+                hash text, thumb text, private integer DEFAULT 0, name text, mime text, size integer, width integer, height integer,
+                file_unique_id text, message_id integer, chat_id text, backend text
+            )`,
+            addColumn('imginfo', 'hash', 'text'),
+            addColumn('imginfo', 'thumb', 'text'),
+            addColumn('imginfo', 'private', 'integer DEFAULT 0'),
+            addColumn('imginfo', 'name', 'text'),
+            addColumn('imginfo', 'mime', 'text'),
+            addColumn('imginfo', 'size', 'integer'),
+            addColumn('imginfo', 'width', 'integer'),
+            addColumn('imginfo', 'height', 'integer'),
+            addColumn('imginfo', 'file_unique_id', 'text'),
+            addColumn('imginfo', 'message_id', 'integer'),
+            addColumn('imginfo', 'chat_id', 'text'),
+            addColumn('imginfo', 'backend', 'text'),
+            `CREATE INDEX IF NOT EXISTS imginfo_hash ON imginfo (hash)`,
+            `CREATE TABLE IF NOT EXISTS chunkmanifest (
+                id text PRIMARY KEY NOT NULL, name text, type text, size integer, chunks text, time DATE
+            )`,
+            `CREATE TABLE IF NOT EXISTS tusupload (
+                id text PRIMARY KEY NOT NULL, length integer, received integer, metadata text, referer text, ip varchar(255),
+                result text, expires integer
+            )`,
+            `CREATE TABLE IF NOT EXISTS tuschunk (
+                id integer PRIMARY KEY NOT NULL, upload_id text, start integer, data blob, UNIQUE (upload_id, start)
+            )`,
+            `CREATE TABLE IF NOT EXISTS filepathcache (file_id text PRIMARY KEY NOT NULL, file_path text, expires integer)`,
+            `CREATE TABLE IF NOT EXISTS shortlink (slug text PRIMARY KEY NOT NULL, url text, time integer)`,
+            `CREATE INDEX IF NOT EXISTS shortlink_url ON shortlink (url)`,
+            `CREATE TABLE IF NOT EXISTS refererrule (
+                id integer PRIMARY KEY NOT NULL, pattern text UNIQUE, action text, note text, time integer
+            )`,
+            `CREATE TABLE IF NOT EXISTS ipban (id integer PRIMARY KEY NOT NULL, cidr text UNIQUE, note text, expires integer, time integer)`,
+            `CREATE TABLE IF NOT EXISTS uploadusage (
+                ip text NOT NULL, period text NOT NULL, count integer DEFAULT 0, bytes integer DEFAULT 0, expires integer,
+                PRIMARY KEY (ip, period)
+            )`,
+            `CREATE TABLE IF NOT EXISTS tgsendslot (chat_id text PRIMARY KEY NOT NULL, next integer)`,
+        ],
+    },
+    {
+        version: 2,
+        name: 'epoch_time',
+        // time 列改为 UTC 毫秒时间戳，便于按时间排序、筛选和统计
+        steps: [
+            convertLegacyTime('imginfo'),
+            convertLegacyTime('tgimglog'),
+            convertLegacyTime('chunkmanifest'),
+            `CREATE INDEX IF NOT EXISTS imginfo_time ON imginfo (time)`,
+            `CREATE INDEX IF NOT EXISTS tgimglog_time ON tgimglog (time)`,
+        ],
+    },
+    {
+        version: 3,
+        name: 'view_rollup',
+        // tgimglog 的按天汇总，见 src/lib/rollup.js
+        steps: [
+            `CREATE TABLE IF NOT EXISTS viewstat (
+                day text NOT NULL, url text NOT NULL, views integer DEFAULT 0, denied integer DEFAULT 0, visitors integer DEFAULT 0,
+                PRIMARY KEY (day, url)
+            )`,
+            `CREATE TABLE IF NOT EXISTS refererstat (
+                day text NOT NULL, url text NOT NULL, referer text NOT NULL, views integer DEFAULT 0,
+                PRIMARY KEY (day, url, referer)
+            )`,
+            `CREATE TABLE IF NOT EXISTS viewrollup (since integer PRIMARY KEY NOT NULL, until integer, time integer)`,
+        ],
+    },
+    {
+        version: 4,
+        name: 'deleted_file',
+        // 已删除文件的路径，见 src/lib/delete.js
+        steps: [
+            `CREATE TABLE IF NOT EXISTS deletedfile (url text PRIMARY KEY NOT NULL, time integer)`,
+        ],
+    },
+    {
+        version: 5,
+        name: 'trash',
+        // 回收站：deleted 为移到回收站的时间，见 src/lib/delete.js
+        steps: [
+            addColumn('imginfo', 'deleted', 'integer'),
+            `CREATE INDEX IF NOT EXISTS imginfo_deleted ON imginfo (deleted)`,
+            // 回收站中文件的缩略图按 thumb 查询
+            `CREATE INDEX IF NOT EXISTS imginfo_thumb ON imginfo (thumb)`,
+        ],
+    },
+    {
+        version: 6,
+        name: 'delete_token',
+        // 上传时返回的删除链接，保存令牌的 SHA-256
+        steps: [
+            addColumn('imginfo', 'delete_token', 'text'),
+            `CREATE INDEX IF NOT EXISTS imginfo_delete_token ON imginfo (delete_token)`,
+        ],
+    },
+    {
+        version: 7,
+        name: 'cache_variant',
+        // 已写入边缘缓存的处理后图片，清除缓存时一并清除，见 src/lib/cache.js
+        steps: [
+            `CREATE TABLE IF NOT EXISTS cachevariant (
+                url text NOT NULL, variant text NOT NULL, time integer, PRIMARY KEY (url, variant)
+            )`,
+        ],
+    },
+    {
+        version: 8,
+        name: 'original_mode',
+        // 上传时是否按原图发送 (1 原图、0 压缩)，不会压缩文件的后端为空；去重时只匹配相同模式的文件
+        steps: [
+            addColumn('imginfo', 'original', 'integer'),
+        ],
+    },
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 创建版本表
+ * @param {D1Database} db
+ */
+async function ensureVersionTable(db) {
+    await db.prepare(
+        `CREATE TABLE IF NOT EXISTS schemaversion (version integer PRIMARY KEY NOT NULL, name text, time integer)`
+    ).run();
+}
+
+/**
+ * 读取表中已有的列
+ * @param {D1Database} db
+ * @param {string} table
+ * @returns {Promise<Set<string>|null>} 表不存在时返回 null
+ */
+async function getColumns(db, table) {
+    const { results } = await db.prepare(`PRAGMA table_info(${table})`).all();
+    return results.length ? new Set(results.map((column) => column.name)) : null;
+}
+
+/**
+ * 查询当前版本和待执行的迁移
+ * @param {D1Database} db
+ * @returns {Promise<{version: number, latest: number, pending: {version: number, name: string}[]}>}
+ */
+export async function getSchemaStatus(db) {
+    await ensureVersionTable(db);
+    const { results } = await db.prepare(`SELECT version FROM schemaversion`).all();
+    const applied = new Set(results.map((row) => row.version));
+    return {
+        version: results.reduce((max, row) => Math.max(max, row.version), 0),
+        latest: LATEST_SCHEMA_VERSION,
+        pending: MIGRATIONS.filter((migration) => !applied.has(migration.version))
+            .map(({ version, name }) => ({ version, name })),
+    };
+}
+
+// 每个实例中已确认是最新结构的数据库
+const readySchemas = new WeakMap();
+
+/**
+ * 确保数据库结构是最新的，有待执行的迁移时自动执行
+ * 每个实例只检查一次；失败时不缓存，下次调用重新检查
+ * @param {D1Database} db
+ * @returns {Promise<void>} 迁移失败时抛出错误
+ */
+export function ensureSchema(db) {
+    if (!readySchemas.has(db)) {
+        const ready = (async () => {
+            try {
+                await applyMigrations(db);
+            } catch (error) {
+                // 其他请求同时执行了相同的迁移时，本次的 batch 因版本号冲突回滚，重新检查即可
+                const { pending } = await getSchemaStatus(db);
+                if (pending.length) {
+                    throw error;
+                }
+            }
+        })();
+        readySchemas.set(db, ready);
+        ready.catch(() => readySchemas.delete(db));
+    }
+    return readySchemas.get(db);
+}
+
+/**
+ * 按顺序执行所有待执行的迁移，某个迁移失败时停止，之前已完成的迁移保留
+ * @param {D1Database} db
+ * @returns {Promise<{version: number, name: string}[]>} 本次执行的迁移
+ */
+export async function applyMigrations(db) {
+    const { pending } = await getSchemaStatus(db);
+    const applied = [];
+    for (const { version } of pending) {
+        const migration = MIGRATIONS.find((item) => item.version === version);
+        const statements = [];
+        const columns = new Map();
+        for (const step of migration.steps) {
+            if (typeof step === 'string') {
+                statements.push(db.prepare(step));
+                continue;
+            }
+            if (!columns.has(step.table)) {
+                columns.set(step.table, await getColumns(db, step.table));
+            }
+            const existing = columns.get(step.table);
+            if (existing && !existing.has(step.column)) {
+                statements.push(db.prepare(`ALTER TABLE ${step.table} ADD COLUMN ${step.column} ${step.definition}`));
+                existing.add(step.column);
+            }
+        }
+        // 版本记录与迁移在同一事务中写入；并发执行同一迁移时主键冲突，后执行的整体回滚
+        statements.push(db.prepare(`INSERT INTO schemaversion (version, name, time) VALUES (?, ?, ?)`)
+            .bind(migration.version, migration.name, Date.now()));
+        await db.batch(statements);
+        applied.push({ version: migration.version, name: migration.name });
+    }
+    return applied;
+}
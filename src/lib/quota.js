@@ -0,0 +1,281 @@
+// 按 IP 限制上传频率和每日用量，计数保存在 D1 的 uploadusage 表中
+// UPLOAD_RATE_LIMIT=10/60 表示每 60 秒最多 10 次上传请求 (包括失败的请求)
+// UPLOAD_DAILY_COUNT=200、UPLOAD_DAILY_BYTES=500MB 限制每天 (UTC) 成功上传的文件数和总大小，重复文件不计入
+// 未配置的项不限制
+// 通过删除链接删除文件的请求同样按 IP 限制频率 (DELETE_RATE_LIMIT，默认 10/60)，计数也保存在 uploadusage 表中
+import { StorageError } from './storage/error';
+import { DAY } from './retention';
+
+// 通过删除链接删除文件的默认频率限制
+const DEFAULT_DELETE_RATE_LIMIT = '10/60';
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * 解析大小，支持 B、KB、MB、GB 后缀
+ * @param {string} value - 如 500MB、1048576
+ * @returns {number|null}
+ */
+function parseSize(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([KMG]?B)?\s*$/i.exec(String(value ?? ''));
+    return match ? Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]) : null;
+}
+
+/**
+ * 解析频率限制
+ * @param {string} [value] - 如 10/60 表示每 60 秒最多 10 次
+ * @returns {{limit: number, window: number}|null}
+ */
+function parseRateLimit(value) {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+    return match && Number(match[1]) > 0 && Number(match[2]) > 0 ? { limit: Number(match[1]), window: Number(match[2]) } : null;
+}
+
+/**
+ * 读取限额配置
+ * @param {object} env
+ * @returns {{burst: {limit: number, window: number}|null, dailyCount: number|null, dailyBytes: number|null}}
+ */
+export function getQuotaConfig(env) {
+    const dailyCount = Number(env.UPLOAD_DAILY_COUNT);
+    return {
+        burst: parseRateLimit(env.UPLOAD_RATE_LIMIT),
+        dailyCount: Number.isInteger(dailyCount) && dailyCount > 0 ? dailyCount : null,
+        dailyBytes: parseSize(env.UPLOAD_DAILY_BYTES) || null,
+    };
+}
+
+/**
+ * 是否启用了任一限额 (需要绑定 D1)
+ * @param {object} env
+ * @returns {boolean}
+ */
+export function isQuotaEnabled(env) {
+    const { burst, dailyCount, dailyBytes } = getQuotaConfig(env);
+    return Boolean(env.IMG && (burst || dailyCount || dailyBytes));
+}
+
+/**
+ * 当前 UTC 日期及距离次日 0 点的秒数
+ * @returns {{period: string, resetIn: number}}
+ */
+function getDay() {
+    const now = Date.now();
+    const resetIn = Math.ceil((DAY - (now % DAY)) / 1000);
+    return { period: `day:${new Date(now).toISOString().slice(0, 10)}`, resetIn };
+}
+
+/**
+ * @param {string} message
+ * @param {number} retryAfter - 秒
+ * @returns {StorageError}
+ */
+function quotaExceeded(message, retryAfter) {
+    return new StorageError(message, 429, { retry_after: retryAfter });
+}
+
+/**
+ * 超出限额的错误对应的 Retry-After 响应头
+ * @param {StorageError} error
+ * @returns {object}
+ */
+export function retryAfterHeaders(error) {
+    return error.status === 429 && error.details.retry_after ? { 'Retry-After': String(error.details.retry_after) } : {};
+}
+
+/**
+ * 计入一次上传请求并检查频率限制，超出时抛出 StorageError (429)
+ * 在读取请求体之前调用，尽早拒绝刷接口的请求
+ * @param {object} env
+ * @param {string} ip
+ */
+export async function consumeUploadRate(env, ip) {
+    const { burst } = getQuotaConfig(env);
+    const exceeded = await consumeRate(env, ip, 'rate', burst);
+    if (exceeded) {
+        throw quotaExceeded(`Too many uploads. At most ${burst.limit} uploads every ${burst.window} seconds.`, exceeded);
+    }
+}
+
+/**
+ * 计入一次通过删除链接删除文件的请求并检查频率限制，超出时抛出 StorageError (429)
+ * 无论删除链接是否有效都会计入，避免逐个猜测删除链接
+ * @param {object} env
+ * @param {string} ip
+ */
+export async function consumeDeleteRate(env, ip) {
+    const burst = parseRateLimit(env.DELETE_RATE_LIMIT || DEFAULT_DELETE_RATE_LIMIT);
+    const exceeded = await consumeRate(env, ip, 'delete', burst);
+    if (exceeded) {
+        throw quotaExceeded(`Too many delete requests. At most ${burst.limit} requests every ${burst.window} seconds.`, exceeded);
+    }
+}
+
+/**
+ * 在当前时间窗口的计数上加一
+ * @param {object} env
+ * @param {string} ip
+ * @param {string} prefix - 计数的 period 前缀，区分不同的限制
+ * @param {{limit: number, window: number}|null} burst
+ * @returns {Promise<number>} 超出限制时返回需要等待的秒数，否则为 0
+ */
+async function consumeRate(env, ip, prefix, burst) {
+    if (!env.IMG || !burst) {
+        return 0;
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const windowStart = now - (now % burst.window);
+    let row;
+    try {
+        row = await env.IMG.prepare(
+            `INSERT INTO uploadusage (ip, period, count, bytes, expires) VALUES (?, ?, 1, 0, ?)
+             ON CONFLICT (ip, period) DO UPDATE SET count = count + 1 RETURNING count`
+        ).bind(ip, `${prefix}:${windowStart}`, (windowStart + burst.window) * 1000).first();
+        if (row.count === 1) {
+            // 每个 IP 每个时间窗口清理一次过期的计数
+            await env.IMG.prepare(`DELETE FROM uploadusage WHERE expires < ?`).bind(Date.now()).run();
+        }
+    } catch (error) {
+        // 计数失败时不影响请求本身
+        console.error("记录请求频率失败:", error);
+        return 0;
+    }
+    return row.count > burst.limit ? windowStart + burst.window - now : 0;
+}
+
+/**
+ * 查询 IP 当天的用量和剩余额度
+ * @param {object} env
+ * @param {string} ip
+ * @returns {Promise<{count: number, bytes: number, limits: {count: number|null, bytes: number|null}, remaining: {count: number|null, bytes: number|null}, reset_in: number}>} 未限制的项为 null
+ */
+export async function getDailyUsage(env, ip) {
+    const { dailyCount, dailyBytes } = getQuotaConfig(env);
+    const { period, resetIn } = getDay();
+    const row = env.IMG
+        ? await env.IMG.prepare(`SELECT count, bytes FROM uploadusage WHERE ip = ? AND period = ?`).bind(ip, period).first()
+        : null;
+    const count = row ? row.count : 0;
+    const bytes = row ? row.bytes : 0;
+    return {
+        count,
+        bytes,
+        limits: { count: dailyCount, bytes: dailyBytes },
+        remaining: {
+            count: dailyCount && Math.max(dailyCount - count, 0),
+            bytes: dailyBytes && Math.max(dailyBytes - bytes, 0),
+        },
+        reset_in: resetIn,
+    };
+}
+
+/**
+ * 当天的用量再加上 size 字节的文件会超出额度时，返回对应的错误
+ * @param {Awaited<ReturnType<typeof getDailyUsage>>} usage
+ * @param {number} size
+ * @returns {StorageError|null}
+ */
+function getDailyQuotaError(usage, size) {
+    const { count: dailyCount, bytes: dailyBytes } = usage.limits;
+    if (dailyCount && usage.count + 1 > dailyCount) {
+        return quotaExceeded(`Daily upload limit of ${dailyCount} files reached.`, usage.reset_in);
+    }
+    if (dailyBytes && usage.bytes + size > dailyBytes) {
+        return quotaExceeded(`Daily upload limit of ${dailyBytes} bytes would be exceeded (${usage.remaining.bytes} bytes left).`, usage.reset_in);
+    }
+    return null;
+}
+
+/**
+ * 检查上传 size 字节后是否超出当天的额度，超出时抛出 StorageError (429)
+ * 只读取用量，不占用额度，用于尽早拒绝 (如创建断点续传时)；实际上传前需调用 reserveDailyQuota
+ * @param {object} env
+ * @param {string} ip
+ * @param {number} size
+ */
+export async function assertDailyQuota(env, ip, size) {
+    const { dailyCount, dailyBytes } = getQuotaConfig(env);
+    if (!env.IMG || (!dailyCount && !dailyBytes)) {
+        return;
+    }
+    let usage;
+    try {
+        usage = await getDailyUsage(env, ip);
+    } catch (error) {
+        console.error("查询上传用量失败:", error);
+        return;
+    }
+    const error = getDailyQuotaError(usage, size);
+    if (error) {
+        throw error;
+    }
+}
+
+/**
+ * 在上传前占用当天的额度，超出时抛出 StorageError (429)
+ * 检查和计数在同一条 UPSERT 中完成，同时进行的多个上传不会一起越过限额
+ * 上传失败时需调用 releaseDailyQuota 归还
+ * @param {object} env
+ * @param {string} ip
+ * @param {number} size
+ * @returns {Promise<{ip: string, period: string, size: number}|null>} 未启用每日额度或计数失败时返回 null
+ */
+export async function reserveDailyQuota(env, ip, size) {
+    const { dailyCount, dailyBytes } = getQuotaConfig(env);
+    if (!env.IMG || (!dailyCount && !dailyBytes)) {
+        return null;
+    }
+    const { period, resetIn } = getDay();
+    let row;
+    try {
+        // 新行和已有行都只在加上本次上传后不超出限额时写入，否则不返回任何行
+        row = await env.IMG.prepare(
+            `INSERT INTO uploadusage (ip, period, count, bytes, expires)
+             SELECT ?1, ?2, 1, ?3, ?4 WHERE (?5 IS NULL OR 1 <= ?5) AND (?6 IS NULL OR ?3 <= ?6)
+             ON CONFLICT (ip, period) DO UPDATE SET count = count + 1, bytes = bytes + excluded.bytes
+             WHERE (?5 IS NULL OR count + 1 <= ?5) AND (?6 IS NULL OR bytes + excluded.bytes <= ?6)
+             RETURNING count`
+        ).bind(ip, period, size, Date.now() + resetIn * 1000, dailyCount, dailyBytes).first();
+    } catch (error) {
+        // 计数失败时不影响上传本身
+        console.error("记录上传用量失败:", error);
+        return null;
+    }
+    if (!row) {
+        // 没有写入说明已超出额度，再查询用量只是为了给出具体原因
+        let usage;
+        try {
+            usage = await getDailyUsage(env, ip);
+        } catch (error) {
+            console.error("查询上传用量失败:", error);
+            throw quotaExceeded(`Daily upload limit reached.`, resetIn);
+        }
+        throw getDailyQuotaError(usage, size) || quotaExceeded(`Daily upload limit reached.`, usage.reset_in);
+    }
+    if (row.count === 1) {
+        // 每个 IP 每天清理一次过期的计数
+        try {
+            await env.IMG.prepare(`DELETE FROM uploadusage WHERE expires < ?`).bind(Date.now()).run();
+        } catch (error) {
+            console.error("清理过期的上传用量失败:", error);
+        }
+    }
+    return { ip, period, size };
+}
+
+/**
+ * 归还 reserveDailyQuota 占用的额度
+ * @param {object} env
+ * @param {{ip: string, period: string, size: number}|null} reservation
+ */
+export async function releaseDailyQuota(env, reservation) {
+    if (!reservation) {
+        return;
+    }
+    try {
+        await env.IMG.prepare(
+            `UPDATE uploadusage SET count = MAX(count - 1, 0), bytes = MAX(bytes - ?, 0) WHERE ip = ? AND period = ?`
+        ).bind(reservation.size, reservation.ip, reservation.period).run();
+    } catch (error) {
+        console.error("归还上传用量失败:", error);
+    }
+}
@@ -0,0 +1,203 @@
+// HTTP 条件请求 (If-None-Match / If-Modified-Since → 304) 与范围请求 (Range → 206)
+// 使 <video>、<audio> 可以拖动进度条，浏览器也不必重复下载未变化的文件
+import { sha256Hex } from './crypto';
+
+// 304 响应中需要保留的头 (RFC 9110 15.4.5)
+const NOT_MODIFIED_HEADERS = ['Cache-Control', 'Content-Location', 'Date', 'ETag', 'Expires', 'Last-Modified', 'Vary'];
+
+/**
+ * 根据 imginfo.url 生成 ETag；存储后端中的文件不会被修改，同一路径的内容始终相同
+ * @param {string} src
+ * @returns {Promise<string>}
+ */
+export async function createEtag(src) {
+    return `"${(await sha256Hex(src)).slice(0, 32)}"`;
+}
+
+/**
+ * If-None-Match 中是否包含指定的 ETag (弱比较)
+ * @param {string} header
+ * @param {string|null} etag
+ * @returns {boolean}
+ */
+function matchesEtag(header, etag) {
+    if (header.trim() === '*') {
+        return true;
+    }
+    if (!etag) {
+        return false;
+    }
+    const normalize = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some((tag) => normalize(tag) === normalize(etag));
+}
+
+/**
+ * 客户端缓存的版本是否仍然有效
+ * 按 RFC 9110，存在 If-None-Match 时忽略 If-Modified-Since
+ * @param {Request} request
+ * @param {string|null} etag
+ * @param {string|null} lastModified
+ * @returns {boolean}
+ */
+function isNotModified(request, etag, lastModified) {
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (ifNoneMatch) {
+        return matchesEtag(ifNoneMatch, etag);
+    }
+    const ifModifiedSince = request.headers.get('If-Modified-Since');
+    if (ifModifiedSince && lastModified) {
+        const since = Date.parse(ifModifiedSince);
+        const modified = Date.parse(lastModified);
+        return !Number.isNaN(since) && !Number.isNaN(modified) && modified <= since;
+    }
+    return false;
+}
+
+/**
+ * If-Range 是否允许按范围返回；不匹配时应返回完整文件
+ * @param {Request} request
+ * @param {string|null} etag
+ * @param {string|null} lastModified
+ * @returns {boolean}
+ */
+function isRangeAllowed(request, etag, lastModified) {
+    const ifRange = request.headers.get('If-Range');
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        // If-Range 要求强比较，弱 ETag 永远不匹配
+        return Boolean(etag) && !etag.startsWith('W/') && ifRange === etag;
+    }
+    return Boolean(lastModified) && Date.parse(ifRange) === Date.parse(lastModified);
+}
+
+/**
+ * 解析 Range 头，只支持单个字节范围
+ * @param {string|null} header - 如 bytes=0-499、bytes=500-、bytes=-500
+ * @param {number} size - 文件总大小
+ * @returns {{start: number, end: number}|null|false} null 表示忽略该头并返回完整文件，false 表示范围无法满足
+ */
+export function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null; // 无法解析或包含多个范围时返回完整文件
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // 后缀范围：最后 N 个字节
+        const suffix = Number(match[2]);
+        if (suffix === 0) {
+            return false;
+        }
+        start = Math.max(size - suffix, 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+        if (match[2] !== '' && Number(match[2]) < start) {
+            return null;
+        }
+    }
+
+    if (start >= size) {
+        return false;
+    }
+    return { start, end };
+}
+
+/**
+ * 截取流中 [start, end] 范围的字节，读取到 end 后立即取消上游
+ * @param {ReadableStream} body
+ * @param {number} start
+ * @param {number} end - 包含
+ * @returns {ReadableStream}
+ */
+export function sliceStream(body, start, end) {
+    const reader = body.getReader();
+    let position = 0;
+
+    return new ReadableStream({
+        async pull(controller) {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    controller.close();
+                    return;
+                }
+                const chunkStart = position;
+                position += value.byteLength;
+                if (position <= start) {
+                    continue;
+                }
+                controller.enqueue(value.subarray(Math.max(start - chunkStart, 0), Math.min(end + 1 - chunkStart, value.byteLength)));
+                if (position > end) {
+                    controller.close();
+                    reader.cancel().catch(() => {});
+                }
+                return;
+            }
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        },
+    });
+}
+
+/**
+ * 根据请求的条件头和 Range 头，将完整的 200 响应转换为 304、206 或 416
+ * @param {Request} request
+ * @param {Response} response - 带有 ETag / Last-Modified / Content-Length 的完整响应
+ * @param {(start: number, end: number) => ReadableStream} [openRange] - 可直接读取指定范围的函数，未提供时从完整响应中截取
+ * @returns {Response}
+ */
+export function applyConditionalRequest(request, response, openRange) {
+    const etag = response.headers.get('ETag');
+    const lastModified = response.headers.get('Last-Modified');
+
+    if (isNotModified(request, etag, lastModified)) {
+        response.body?.cancel();
+        const headers = new Headers();
+        for (const name of NOT_MODIFIED_HEADERS) {
+            if (response.headers.has(name)) headers.set(name, response.headers.get(name));
+        }
+        return new Response(null, { status: 304, headers });
+    }
+
+    const size = Number(response.headers.get('Content-Length'));
+    if (!size) {
+        return response; // 大小未知时无法处理范围请求
+    }
+    response.headers.set('Accept-Ranges', 'bytes');
+
+    const rangeHeader = request.headers.get('Range');
+    if (!rangeHeader || !isRangeAllowed(request, etag, lastModified)) {
+        return response;
+    }
+    const range = parseRange(rangeHeader, size);
+    if (range === null) {
+        return response;
+    }
+
+    const headers = new Headers(response.headers);
+    if (range === false) {
+        response.body?.cancel();
+        headers.delete('Content-Length');
+        headers.set('Content-Range', `bytes */${size}`);
+        return new Response(null, { status: 416, headers });
+    }
+
+    const { start, end } = range;
+    let body;
+    if (openRange) {
+        response.body?.cancel();
+        body = openRange(start, end);
+    } else {
+        body = sliceStream(response.body, start, end);
+    }
+    headers.set('Content-Range', `bytes ${start}-${end}/${size}`);
+    headers.set('Content-Length', String(end - start + 1));
+    return new Response(body, { status: 206, headers });
+}
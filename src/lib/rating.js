@@ -0,0 +1,27 @@
+// 评级含义：-1 评级失败，0 未配置评级 API，3 屏蔽，7 外部存储（不参与评级）
+export const RATING_BLOCKED = 3;
+export const RATING_EXTERNAL = 7;
+
+/**
+ * 调用评级 API 获取内容评级
+ * @param {object} env
+ * @param {string} fileUrl - 可公开访问的文件地址
+ * @returns {Promise<number>}
+ */
+export async function getRating(env, fileUrl) {
+    const ratingApi = env.RATINGAPI
+        ? `${env.RATINGAPI}?`
+        : (env.ModerateContentApiKey ? `https://api.moderatecontent.com/moderate/?key=${env.ModerateContentApiKey}&` : null);
+    if (!ratingApi) {
+        return 0; // 未配置评级 API
+    }
+
+    try {
+        const response = await fetch(`${ratingApi}url=${encodeURIComponent(fileUrl)}`);
+        const data = await response.json();
+        return data.rating_index ?? -1;
+    } catch (error) {
+        console.error("调用评级 API 出错:", error);
+        return -1; // API 请求异常
+    }
+}
@@ -0,0 +1,148 @@
+// 防盗链：按 Referer 的域名匹配 refererrule 表中的白名单 (allow) 和黑名单 (deny)
+// 域名支持通配符，如 *.example.com 匹配所有子域名 (不含 example.com 本身)，* 匹配任意域名
+// 没有 Referer 的直接访问和本站页面不受规则限制
+import { StorageError } from './storage/error';
+import { createRuleCache } from './rulecache';
+import { jsonResponse } from './http';
+
+export const REFERER_ACTIONS = ['allow', 'deny'];
+const rulesCache = createRuleCache(async (db) => (await db.prepare(`SELECT * FROM refererrule ORDER BY id`).all()).results);
+
+/**
+ * 规范化域名规则，只保留小写的主机名部分
+ * @param {string} pattern - 如 example.com、*.example.com、https://example.com/path
+ * @returns {string}
+ */
+export function normalizePattern(pattern) {
+    const value = String(pattern || '').trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/[/?#].*$/, '')
+        .replace(/:\d+$/, '');
+    if (!/^(\*|(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*)$/.test(value)) {
+        throw new StorageError('Pattern must be a domain such as example.com, *.example.com or *.', 400);
+    }
+    return value;
+}
+
+/**
+ * 域名是否匹配规则
+ * @param {string} pattern - 已规范化的规则
+ * @param {string} host
+ * @returns {boolean}
+ */
+function matchPattern(pattern, host) {
+    if (pattern === '*') {
+        return true;
+    }
+    if (pattern.startsWith('*.')) {
+        return host.endsWith(pattern.slice(1));
+    }
+    return host === pattern;
+}
+
+/**
+ * 从 Referer 中取出域名，无法解析时返回 null
+ * @param {string|null} referer
+ * @returns {string|null}
+ */
+function getRefererHost(referer) {
+    try {
+        return new URL(referer).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 读取全部规则，修改规则后调用 clearRefererRulesCache 使当前 isolate 立即生效
+ * @param {D1Database} db
+ * @returns {Promise<{id: number, pattern: string, action: string, note: string|null, time: number}[]>}
+ */
+export async function listRefererRules(db) {
+    return rulesCache.get(db);
+}
+
+// 清除当前 isolate 中缓存的规则
+export function clearRefererRulesCache() {
+    rulesCache.clear();
+}
+
+/**
+ * 添加规则，相同域名的旧规则会被替换
+ * @param {D1Database} db
+ * @param {{pattern: string, action: string, note?: string}} rule
+ */
+export async function addRefererRule(db, { pattern, action, note }) {
+    if (!REFERER_ACTIONS.includes(action)) {
+        throw new StorageError(`Action must be one of: ${REFERER_ACTIONS.join(', ')}.`, 400);
+    }
+    const normalized = normalizePattern(pattern);
+    await db.batch([
+        db.prepare(`DELETE FROM refererrule WHERE pattern = ?`).bind(normalized),
+        db.prepare(`INSERT INTO refererrule (pattern, action, note, time) VALUES (?, ?, ?, ?)`)
+            .bind(normalized, action, note || null, Date.now()),
+    ]);
+    clearRefererRulesCache();
+}
+
+/**
+ * 删除规则
+ * @param {D1Database} db
+ * @param {number} id
+ */
+export async function deleteRefererRule(db, id) {
+    await db.prepare(`DELETE FROM refererrule WHERE id = ?`).bind(id).run();
+    clearRefererRulesCache();
+}
+
+/**
+ * 检查请求的 Referer 是否允许访问文件
+ * 黑名单优先；存在白名单时，不在白名单中的外部域名一律拒绝
+ * @param {object} env
+ * @param {Request} request
+ * @returns {Promise<{allowed: boolean, decision: string}>} decision 记录在 tgimglog 中，如 allow、allow:*.example.com、deny:bad.com、deny:whitelist
+ */
+export async function checkReferer(env, request) {
+    const host = getRefererHost(request.headers.get('Referer'));
+    if (!env.IMG || !host) {
+        return { allowed: true, decision: 'allow' };
+    }
+    const ownHosts = [request.url, env.CUSTOM_DOMAIN].map(getRefererHost);
+    if (ownHosts.includes(host)) {
+        return { allowed: true, decision: 'allow' };
+    }
+
+    let rules;
+    try {
+        rules = await listRefererRules(env.IMG);
+    } catch (error) {
+        // 规则表不存在或查询失败时不影响正常访问
+        console.error("读取防盗链规则失败:", error);
+        return { allowed: true, decision: 'allow' };
+    }
+
+    const denied = rules.find((rule) => rule.action === 'deny' && matchPattern(rule.pattern, host));
+    if (denied) {
+        return { allowed: false, decision: `deny:${denied.pattern}` };
+    }
+    const allowRules = rules.filter((rule) => rule.action === 'allow');
+    if (allowRules.length === 0) {
+        return { allowed: true, decision: 'allow' };
+    }
+    const allowed = allowRules.find((rule) => matchPattern(rule.pattern, host));
+    return allowed ? { allowed: true, decision: `allow:${allowed.pattern}` } : { allowed: false, decision: 'deny:whitelist' };
+}
+
+/**
+ * 被拒绝时的响应：图片请求 (如 <img> 盗链) 返回占位图，其他请求返回 403
+ * @param {Request} request
+ * @returns {Response}
+ */
+export function refererDeniedResponse(request) {
+    const dest = request.headers.get('Sec-Fetch-Dest');
+    const accept = request.headers.get('Accept') || '';
+    if (dest === 'image' || (!dest && accept.startsWith('image/'))) {
+        return Response.redirect(`${new URL(request.url).origin}/img/blocked.png`, 302);
+    }
+    return jsonResponse({ message: "当前来源不允许访问该文件 (防盗链)。", success: false }, 403);
+}
@@ -0,0 +1,88 @@
+import { StorageError } from './storage/error';
+
+// 远程文件最大 20 MB，整个文件会读入内存
+export const REMOTE_MAX_SIZE = 20 * 1024 * 1024;
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * 从 URL 路径或 Content-Disposition 中推断文件名
+ * @param {URL} url
+ * @param {Response} response
+ * @returns {string}
+ */
+function getRemoteFileName(url, response) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition);
+    if (match) {
+        return safeDecode(match[1]);
+    }
+    const lastSegment = url.pathname.split('/').filter(Boolean).pop();
+    if (lastSegment) {
+        return safeDecode(lastSegment);
+    }
+    const subtype = (response.headers.get('Content-Type') || '').split(';')[0].split('/')[1];
+    return subtype ? `remote.${subtype}` : 'remote';
+}
+
+/**
+ * 下载远程图片，校验类型和大小后转换为 File，以便走与普通上传相同的流程
+ * @param {string} input - 图片地址
+ * @returns {Promise<File>}
+ */
+export async function fetchRemoteFile(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch (error) {
+        throw new StorageError('Invalid URL.', 400);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new StorageError('Only http and https URLs are supported.', 400);
+    }
+
+    let response;
+    try {
+        response = await fetch(url, { redirect: 'follow' });
+    } catch (error) {
+        throw new StorageError(`Failed to fetch remote file: ${error.message}`, 502);
+    }
+    if (!response.ok) {
+        throw new StorageError(`Failed to fetch remote file: HTTP ${response.status}`, 502);
+    }
+
+    const type = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!type.startsWith('image/')) {
+        await response.body?.cancel();
+        throw new StorageError(`Remote file is not an image (Content-Type: ${type || 'unknown'}).`, 415);
+    }
+
+    const declaredLength = Number(response.headers.get('Content-Length'));
+    if (declaredLength > REMOTE_MAX_SIZE) {
+        await response.body?.cancel();
+        throw new StorageError(`Remote file exceeds the ${REMOTE_MAX_SIZE} byte limit.`, 413);
+    }
+
+    // Content-Length 可能缺失或不可信，读取时再次检查
+    const reader = response.body.getReader();
+    const parts = [];
+    let size = 0;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.byteLength;
+        if (size > REMOTE_MAX_SIZE) {
+            await reader.cancel();
+            throw new StorageError(`Remote file exceeds the ${REMOTE_MAX_SIZE} byte limit.`, 413);
+        }
+        parts.push(value);
+    }
+
+    return new File(parts, getRemoteFileName(url, response), { type });
+}
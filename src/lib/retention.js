@@ -0,0 +1,19 @@
+// 按天计算的保留期限，访问日志 (LOG_RETENTION_DAYS) 和回收站 (TRASH_RETENTION_DAYS) 共用
+
+export const DAY = 24 * 60 * 60 * 1000;
+// 未配置或配置无效时默认保留 30 天
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * 读取环境变量中的保留天数，0 表示不清理
+ * @param {object} env
+ * @param {string} name - 环境变量名，如 LOG_RETENTION_DAYS
+ * @returns {number}
+ */
+export function getRetentionDays(env, name) {
+    const value = env[name];
+    const days = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(days) && days >= 0
+        ? days
+        : DEFAULT_RETENTION_DAYS;
+}
@@ -0,0 +1,73 @@
+// tgimglog 的按天汇总和保留期限：每次外部访问都会写入一行 tgimglog，不清理时表会无限增长
+// 定时任务把已经结束的 UTC 日期的访问汇总到 viewstat (每张图片每天) 和 refererstat (每张图片每天每个来源域名)，
+// 再删除超过 LOG_RETENTION_DAYS 天的原始记录；尚未汇总的记录不会被删除
+// 每次汇总的时间范围记录在 viewrollup 表中，已汇总的日期不会重复计入
+import { timingSafeEqual } from './crypto';
+import { DAY } from './retention';
+
+/**
+ * 定时任务的请求是否携带了正确的 CRON_SECRET (Authorization: Bearer <CRON_SECRET>)
+ * @param {object} env
+ * @param {Request} request
+ * @returns {boolean} 未配置 CRON_SECRET 时始终为 false
+ */
+export function isCronAuthorized(env, request) {
+    const match = /^Bearer\s+(.+)$/i.exec(request.headers.get('Authorization') || '');
+    return Boolean(env.CRON_SECRET && match && timingSafeEqual(match[1].trim(), env.CRON_SECRET));
+}
+
+// 时间戳对应的 UTC 日期，如 2024-07-20
+const DAY_EXPRESSION = `strftime('%Y-%m-%d', time / 1000, 'unixepoch')`;
+// 来源的域名，如 https://example.com/post/1 取 example.com；没有 Referer 的记录保持原值 (Referer not found)
+const HOST_EXPRESSION = `CASE WHEN instr(referer, '://') > 0 THEN
+    substr(rest, 1, CASE WHEN instr(rest, '/') > 0 THEN instr(rest, '/') - 1 ELSE length(rest) END)
+    ELSE referer END`;
+
+/**
+ * 汇总已经结束的日期，并删除超过保留期限的原始记录
+ * 并发执行时，后执行的汇总因 viewrollup 主键冲突整体回滚，不会重复计入
+ * @param {D1Database} db
+ * @param {{retentionDays: number, now?: number}} options
+ * @returns {Promise<{start: number, end: number, rows: number, deleted: number}>} 本次汇总的时间范围 (不包含 end)、汇总的记录数和删除的记录数
+ */
+export async function rollupViews(db, { retentionDays, now = Date.now() }) {
+    const end = now - (now % DAY); // 今天 0 点 (UTC)，今天的访问留到明天再汇总
+    const last = await db.prepare(`SELECT MAX(until) AS until FROM viewrollup`).first();
+    const start = last?.until ?? 0;
+
+    let rows = 0;
+    if (start < end) {
+        const [, , , counted] = await db.batch([
+            // 被防盗链或 IP 封禁拒绝的访问计入 denied；旧版本的记录没有 decision，按允许处理
+            db.prepare(
+                `INSERT INTO viewstat (day, url, views, denied, visitors)
+                 SELECT ${DAY_EXPRESSION}, url, COUNT(*),
+                        SUM(CASE WHEN decision IS NULL OR decision LIKE 'allow%' THEN 0 ELSE 1 END), COUNT(DISTINCT ip)
+                 FROM tgimglog WHERE time >= ?1 AND time < ?2 AND url IS NOT NULL GROUP BY 1, 2
+                 ON CONFLICT (day, url) DO UPDATE SET
+                    views = views + excluded.views, denied = denied + excluded.denied, visitors = visitors + excluded.visitors`
+            ).bind(start, end),
+            db.prepare(
+                `INSERT INTO refererstat (day, url, referer, views)
+                 SELECT day, url, ${HOST_EXPRESSION}, COUNT(*)
+                 FROM (SELECT ${DAY_EXPRESSION} AS day, url, COALESCE(referer, '') AS referer,
+                              substr(referer, instr(referer, '://') + 3) AS rest
+                       FROM tgimglog WHERE time >= ?1 AND time < ?2 AND url IS NOT NULL)
+                 GROUP BY 1, 2, 3
+                 ON CONFLICT (day, url, referer) DO UPDATE SET views = views + excluded.views`
+            ).bind(start, end),
+            db.prepare(`INSERT INTO viewrollup (since, until, time) VALUES (?, ?, ?)`).bind(start, end, now),
+            db.prepare(`SELECT COUNT(*) AS count FROM tgimglog WHERE time >= ? AND time < ?`).bind(start, end),
+        ]);
+        rows = counted.results[0].count;
+    }
+
+    let deleted = 0;
+    if (retentionDays > 0) {
+        // 只删除已经汇总过的记录
+        const cutoff = Math.min(now - retentionDays * DAY, Math.max(start, end));
+        const result = await db.prepare(`DELETE FROM tgimglog WHERE time < ?`).bind(cutoff).run();
+        deleted = result.meta.changes;
+    }
+    return { start, end, rows, deleted };
+}
@@ -0,0 +1,30 @@
+// 访问规则 (IP 封禁、防盗链) 在每个 isolate 中缓存一段时间，避免每次请求都查询 D1
+// 修改规则后调用 clear 使当前 isolate 立即生效，其他 isolate 在缓存过期后生效
+
+// 默认缓存 60 秒
+const DEFAULT_TTL = 60 * 1000;
+
+/**
+ * 创建按时间过期的规则缓存
+ * @template T
+ * @param {(db: D1Database) => Promise<T>} loader - 从数据库读取规则
+ * @param {number} [ttl=DEFAULT_TTL] - 缓存时间 (毫秒)
+ * @returns {{get: (db: D1Database) => Promise<T>, clear: () => void}}
+ */
+export function createRuleCache(loader, ttl = DEFAULT_TTL) {
+    let cached = null;
+    let cachedAt = 0;
+    return {
+        async get(db) {
+            if (cached && Date.now() - cachedAt < ttl) {
+                return cached;
+            }
+            cached = await loader(db);
+            cachedAt = Date.now();
+            return cached;
+        },
+        clear() {
+            cached = null;
+        },
+    };
+}
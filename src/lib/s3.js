@@ -0,0 +1,136 @@
+// 最小化的 S3 兼容客户端 (AWS Signature V4)，接口与 R2 bucket 绑定保持一致：
+// put / get / head / delete，因此 R2 绑定、S3、MinIO 或内存中的假 bucket 可以互相替换
+
+import { hmac, sha256Hex, toHex } from './crypto';
+
+// S3 要求按 RFC 3986 编码，encodeURIComponent 不会编码 !'()*
+function encodeRfc3986(str) {
+    return encodeURIComponent(str).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * 为请求生成 SigV4 签名头
+ * 请求体使用 UNSIGNED-PAYLOAD，避免为了签名而把整个文件读入内存计算哈希
+ * @param {object} options
+ * @returns {Promise<Headers>}
+ */
+async function signRequest({ method, url, headers, accessKeyId, secretAccessKey, region }) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const payloadHash = 'UNSIGNED-PAYLOAD';
+
+    const signed = new Headers(headers);
+    signed.set('host', url.host);
+    signed.set('x-amz-date', amzDate);
+    signed.set('x-amz-content-sha256', payloadHash);
+
+    const headerNames = [...signed.keys()].sort();
+    const canonicalHeaders = headerNames.map((name) => `${name}:${signed.get(name).trim()}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalQuery = [...url.searchParams.entries()]
+        .map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`)
+        .sort()
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaders,
+        payloadHash,
+    ].join('\n');
+
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        await sha256Hex(canonicalRequest),
+    ].join('\n');
+
+    const kDate = await hmac(`AWS4${secretAccessKey}`, dateStamp);
+    const kRegion = await hmac(kDate, region);
+    const kService = await hmac(kRegion, 's3');
+    const kSigning = await hmac(kService, 'aws4_request');
+    const signature = toHex(await hmac(kSigning, stringToSign));
+
+    signed.set('authorization',
+        `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`);
+    signed.delete('host'); // 由 fetch 自行设置
+    return signed;
+}
+
+/**
+ * 将 S3 响应转换为 R2 风格的对象
+ * @param {Response} res
+ * @returns {{body: ReadableStream, size: number, httpEtag: string, httpMetadata: {contentType: string}}}
+ */
+function toObject(res) {
+    return {
+        body: res.body,
+        size: Number(res.headers.get('Content-Length')) || 0,
+        httpEtag: res.headers.get('ETag'),
+        httpMetadata: { contentType: res.headers.get('Content-Type') },
+    };
+}
+
+/**
+ * 创建 S3 兼容的 bucket 客户端 (路径风格：{endpoint}/{bucket}/{key})
+ * @param {object} config
+ * @param {string} config.endpoint - 如 https://<account>.r2.cloudflarestorage.com 或 http://localhost:9000
+ * @param {string} config.bucket
+ * @param {string} config.accessKeyId
+ * @param {string} config.secretAccessKey
+ * @param {string} [config.region='auto']
+ */
+export function createS3Bucket({ endpoint, bucket, accessKeyId, secretAccessKey, region = 'auto' }) {
+    const base = endpoint.replace(/\/+$/, '');
+
+    async function send(method, key, { body, headers } = {}) {
+        const url = new URL(`${base}/${encodeRfc3986(bucket)}/${key.split('/').map(encodeRfc3986).join('/')}`);
+        const signedHeaders = await signRequest({ method, url, headers, accessKeyId, secretAccessKey, region });
+        return fetch(url, { method, headers: signedHeaders, body });
+    }
+
+    return {
+        async put(key, body, { httpMetadata = {} } = {}) {
+            const headers = {};
+            if (httpMetadata.contentType) {
+                headers['content-type'] = httpMetadata.contentType;
+            }
+            const res = await send('PUT', key, { body, headers });
+            if (!res.ok) {
+                throw new Error(`S3 PUT failed: HTTP ${res.status} ${await res.text()}`);
+            }
+            return { key, httpEtag: res.headers.get('ETag') };
+        },
+
+        async get(key) {
+            const res = await send('GET', key);
+            if (res.status === 404) return null;
+            if (!res.ok) {
+                throw new Error(`S3 GET failed: HTTP ${res.status} ${await res.text()}`);
+            }
+            return { key, ...toObject(res) };
+        },
+
+        async head(key) {
+            const res = await send('HEAD', key);
+            if (res.status === 404) return null;
+            if (!res.ok) {
+                throw new Error(`S3 HEAD failed: HTTP ${res.status}`);
+            }
+            const { body, ...object } = toObject(res);
+            return { key, ...object };
+        },
+
+        async delete(key) {
+            const res = await send('DELETE', key);
+            if (!res.ok && res.status !== 404) {
+                throw new Error(`S3 DELETE failed: HTTP ${res.status} ${await res.text()}`);
+            }
+        },
+    };
+}
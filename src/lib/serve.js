@@ -0,0 +1,190 @@
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { getClientIp, getContentDisposition, getReferer, isInlineMediaType, jsonResponse, restrictContentType } from './http';
+import { getRatingFromDb, insertViewLog } from './db';
+import { RATING_BLOCKED } from './rating';
+import { cacheResponse, matchCache, recordCacheVariant, withBrowserCacheControl } from './cache';
+import { applyConditionalRequest, createEtag } from './range';
+import { verifySignature } from './signing';
+import { checkReferer, refererDeniedResponse } from './referer';
+import { findIpBan } from './ipban';
+import { findDeletedFile, getDeletedFileError } from './delete';
+import { canTransform, parseTransformOptions, transformImage, TransformError } from './transform';
+
+/**
+ * 从存储后端读取原文件并写入边缘缓存，调用前需确认缓存未命中
+ * @param {Request} request
+ * @param {import('./storage').StorageProvider} provider
+ * @param {string} key
+ * @param {string} src
+ * @param {{allowOpenRange: boolean, meta?: {name: string|null, mime: string|null}|null}} options - 是否允许直接读取部分内容 (此时不写入缓存)，以及 imginfo 中记录的原始文件名和类型
+ * @returns {Promise<{response?: Response, openRange?: Function, error?: Response}>}
+ */
+async function loadFile(request, provider, key, src, { allowOpenRange, meta }) {
+    const { env, ctx } = getRequestContext();
+    const { origin } = new URL(request.url);
+
+    const resolved = await provider.resolve(env, key);
+
+    if (!resolved) {
+        return {
+            error: jsonResponse({
+                message: "文件不存在或已失效。请检查文件 ID 是否有效或服务器日志。",
+                success: false
+            }, 404)
+        };
+    }
+
+    const { response: upstream } = resolved;
+
+    if (!upstream.ok) {
+        const errorText = await upstream.text();
+        return {
+            error: jsonResponse({
+                message: `从存储后端下载文件失败。上游API返回: ${errorText}`,
+                success: false
+            }, upstream.status)
+        };
+    }
+
+    // 直接透传上游的流，避免把大文件整个读入内存
+    const responseHeaders = new Headers(upstream.headers);
+    // 后端无法识别类型时 (如 Telegram 文档) 使用上传时记录的类型；该类型由客户端声明，只采用可以直接显示的媒体类型
+    const upstreamType = (upstream.headers.get('Content-Type') || '').split(';')[0].trim();
+    if (isInlineMediaType(meta?.mime) && (!upstreamType || upstreamType === 'application/octet-stream')) {
+        responseHeaders.set('Content-Type', meta.mime);
+    }
+    // 内容未被后端转换时使用原始文件名，被转换的 (如 sendPhoto 压缩为 JPEG) 保留后端的文件名，以免扩展名与内容不符
+    const type = responseHeaders.get('Content-Type')?.split(';')[0].trim();
+    const fileName = meta?.name && (!meta.mime || meta.mime === type) ? meta.name : resolved.fileName;
+    responseHeaders.set("Content-Disposition", getContentDisposition(fileName));
+    // 其他类型 (如 HTML、SVG) 按附件下载，避免在本站域名下执行脚本
+    restrictContentType(responseHeaders);
+    const full = new Response(upstream.body, { status: 200, headers: responseHeaders });
+
+    if (allowOpenRange && resolved.openRange && request.headers.has('Range')) {
+        // 后端可以直接读取部分内容 (如分片文件)，此时不读取完整文件，也不写入缓存
+        return { response: withBrowserCacheControl(full), openRange: resolved.openRange };
+    }
+    return { response: cacheResponse(ctx, origin, src, full) };
+}
+
+/**
+ * 文件读取路由 (/api/cfile、/api/rfile) 共用的处理函数
+ * 从边缘缓存或存储后端读取文件，对外部访问记录日志并检查评级
+ * 支持 ETag / Last-Modified 条件请求 (304) 和 Range 请求 (206)，以及 ?w=&h=&fit=&q=&format= 图片处理
+ * @param {Request} request
+ * @param {import('./storage').StorageProvider} provider - 存储后端
+ * @param {string} key - 后端内部的文件标识
+ * @param {string} src - 对应 imginfo.url 的路径
+ * @returns {Promise<Response>}
+ */
+export async function serveFile(request, provider, key, src) {
+    const { env, ctx } = getRequestContext();
+    const req_url = new URL(request.url);
+
+    const clientIp = getClientIp(request);
+    const referer = getReferer(request);
+
+    try {
+        // 检查 Referer 决定是否记录日志和进行评级
+        const isAdminReferer = referer.startsWith(`${req_url.origin}/admin`) || referer.startsWith(`${req_url.origin}/list`);
+        const isExternal = !isAdminReferer && env.IMG;
+
+        // 被封禁的 IP 和防盗链规则拒绝的请求同样记录日志
+        const ban = await findIpBan(env, clientIp);
+        if (ban) {
+            ctx.waitUntil(insertViewLog(env.IMG, src, referer, clientIp, Date.now(), `ban:${ban}`));
+            return jsonResponse({ message: "你的 IP 已被封禁。", success: false }, 403);
+        }
+        const refererCheck = await checkReferer(env, request);
+        if (!refererCheck.allowed) {
+            ctx.waitUntil(insertViewLog(env.IMG, src, referer, clientIp, Date.now(), refererCheck.decision));
+            return refererDeniedResponse(request);
+        }
+
+        // 先检查访问权限和评级，被拒绝的请求不会读取上游或缓存
+        const ratingInfo = env.IMG ? await getRatingFromDb(env.IMG, src, ctx, Boolean(isExternal)) : null;
+
+        // 回收站中和已删除的文件 (包括它们的缩略图) 即使后端仍可下载也不再提供
+        const deleted = ratingInfo?.deleted ? 'trash' : !ratingInfo && env.IMG ? await findDeletedFile(env.IMG, src) : null;
+        if (deleted) {
+            const { status, message } = getDeletedFileError(deleted);
+            return jsonResponse({ message, success: false }, status);
+        }
+
+        // 私有文件无论来源如何都必须携带有效签名 (Referer 可以伪造)
+        const isPrivate = Boolean(ratingInfo && Number(ratingInfo.private));
+        if (isPrivate && !(await verifySignature(env, src, req_url.searchParams))) {
+            return jsonResponse({
+                message: "该文件为私有文件，需要使用有效且未过期的签名链接访问。",
+                success: false
+            }, 403);
+        }
+
+        if (isExternal && ratingInfo && Number(ratingInfo.rating) === RATING_BLOCKED) {
+            return Response.redirect(`${req_url.origin}/img/blocked.png`, 302);
+        }
+
+        // 图片处理参数，如 ?w=200&format=webp
+        let transform;
+        try {
+            transform = parseTransformOptions(req_url.searchParams);
+        } catch (error) {
+            if (error instanceof TransformError) {
+                return jsonResponse({ message: error.message, success: false }, error.status);
+            }
+            throw error;
+        }
+        // 处理后的图片以规范化的参数区分，单独缓存
+        const cacheSrc = transform ? `${src}?${transform.key}` : src;
+
+        // 步骤 1: 优先使用边缘缓存，未命中时从存储后端获取文件
+        // 缓存中的完整文件只能从头读取到所需位置；后端可以直接读取部分内容时 (如分片文件)，Range 请求只下载所需的分片
+        const readRange = !transform && request.headers.has('Range') && Boolean(provider.canOpenRange?.(key));
+        let response = readRange ? null : await matchCache(req_url.origin, cacheSrc);
+        let openRange;
+
+        if (!response) {
+            // 处理后的图片未缓存时，原图可能已经缓存；不处理时上面已查询过原图的缓存
+            const cached = transform ? await matchCache(req_url.origin, src) : null;
+            const file = cached
+                ? { response: cached }
+                : await loadFile(request, provider, key, src, { allowOpenRange: !transform, meta: ratingInfo });
+            if (file.error) {
+                return file.error;
+            }
+            ({ response, openRange } = file);
+
+            // 不支持处理的文件 (如 GIF、视频) 直接返回原文件
+            if (transform && canTransform(response)) {
+                response = cacheResponse(ctx, req_url.origin, cacheSrc, await transformImage(response, transform));
+                ctx.waitUntil(recordCacheVariant(env, src, transform.key));
+            }
+        }
+
+        // 缓存中可能还有限制类型之前写入的响应
+        restrictContentType(response.headers);
+        if (!response.headers.has('ETag')) {
+            response.headers.set('ETag', await createEtag(cacheSrc));
+        }
+        if (isPrivate) {
+            // 签名过期后浏览器和中间代理不应继续使用缓存
+            response.headers.set('Cache-Control', 'private, no-cache');
+        }
+
+        // 对于外部访问，记录日志；拖动进度条产生的后续范围请求不重复记录
+        const range = request.headers.get('Range');
+        if (isExternal && (!range || /^bytes=0-/.test(range.trim()))) {
+            ctx.waitUntil(insertViewLog(env.IMG, src, referer, clientIp, Date.now(), refererCheck.decision));
+        }
+
+        return applyConditionalRequest(request, response, openRange);
+
+    } catch (error) {
+        console.error("GET handler unexpected error:", error);
+        return jsonResponse({
+            message: `服务器内部错误: ${error.message}`,
+            success: false
+        }, 500);
+    }
+}
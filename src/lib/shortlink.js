@@ -0,0 +1,142 @@
+// 短链接：/i/<slug>.<ext> 映射到 imginfo.url 中保存的文件路径
+// slug 可以由系统随机生成，也可以由上传者指定；原有的 /api/cfile/... 等地址不受影响
+import { StorageError } from './storage/error';
+
+// 自定义 slug 只允许字母、数字、下划线和连字符，不能包含扩展名
+export const SLUG_PATTERN = /^[A-Za-z0-9_-]{3,64}$/;
+const SHORT_ID_LENGTH = 6;
+const SHORT_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+// 随机 ID 冲突时的重试次数
+const MAX_ATTEMPTS = 5;
+
+/**
+ * 生成随机短 ID (62 进制)
+ * @returns {string}
+ */
+function createShortId() {
+    let id = '';
+    while (id.length < SHORT_ID_LENGTH) {
+        for (const byte of crypto.getRandomValues(new Uint8Array(SHORT_ID_LENGTH))) {
+            // 248 = 62 * 4，丢弃更大的值以避免取模偏差
+            if (byte < 248 && id.length < SHORT_ID_LENGTH) {
+                id += SHORT_ID_ALPHABET[byte % 62];
+            }
+        }
+    }
+    return id;
+}
+
+/**
+ * 从文件名中取出扩展名 (含点)，没有时返回空字符串
+ * @param {string} name
+ * @returns {string}
+ */
+function getExtension(name) {
+    const match = /\.([A-Za-z0-9]{1,10})$/.exec(name || '');
+    return match ? `.${match[1].toLowerCase()}` : '';
+}
+
+/**
+ * 从 /i/:name 中解析 slug，扩展名只用于展示，查找时忽略
+ * @param {string} name
+ * @returns {string}
+ */
+export function parseSlug(name) {
+    return decodeURIComponent(name).replace(/\.[A-Za-z0-9]{1,10}$/, '');
+}
+
+/**
+ * 生成短链接地址
+ * @param {string} origin
+ * @param {string} slug
+ * @param {string} [fileName] - 用于补充扩展名
+ * @returns {string}
+ */
+export function getShortUrl(origin, slug, fileName) {
+    return `${origin}/i/${slug}${getExtension(fileName)}`;
+}
+
+/**
+ * 校验上传者指定的 slug，格式不合法或已被占用时抛出 StorageError
+ * 在上传文件之前调用，避免文件上传成功后才发现冲突
+ * @param {D1Database} db
+ * @param {string} slug
+ */
+export async function assertSlugAvailable(db, slug) {
+    if (!SLUG_PATTERN.test(slug)) {
+        throw new StorageError('Slug must be 3-64 characters of letters, digits, "_" or "-".', 400);
+    }
+    const existing = await db.prepare(`SELECT slug FROM shortlink WHERE slug = ?`).bind(slug).first();
+    if (existing) {
+        throw new StorageError(`Slug "${slug}" is already taken.`, 409);
+    }
+}
+
+/**
+ * 查询 slug 对应的文件路径
+ * @param {D1Database} db
+ * @param {string} slug
+ * @returns {Promise<string|null>} imginfo.url
+ */
+export async function resolveShortLink(db, slug) {
+    const row = await db.prepare(`SELECT url FROM shortlink WHERE slug = ?`).bind(slug).first();
+    return row ? row.url : null;
+}
+
+/**
+ * 查询文件已有的短链接 (最早创建的一个)
+ * @param {D1Database} db
+ * @param {string} src
+ * @returns {Promise<string|null>} slug
+ */
+export async function findShortLink(db, src) {
+    try {
+        const row = await db.prepare(`SELECT slug FROM shortlink WHERE url = ? ORDER BY time LIMIT 1`).bind(src).first();
+        return row ? row.slug : null;
+    } catch (error) {
+        console.error("查询短链接失败:", error);
+        return null;
+    }
+}
+
+/**
+ * 为文件创建短链接
+ * @param {D1Database} db
+ * @param {string} src - imginfo.url
+ * @param {string} [slug] - 上传者指定的 slug，需先通过 assertSlugAvailable 校验
+ * @returns {Promise<string>} slug
+ */
+export async function createShortLink(db, src, slug) {
+    const insert = (value) => db.prepare(`INSERT INTO shortlink (slug, url, time) VALUES (?, ?, ?)`).bind(value, src, Date.now()).run();
+
+    if (slug) {
+        try {
+            await insert(slug);
+        } catch (error) {
+            // 校验之后被并发的上传抢先占用
+            throw new StorageError(`Slug "${slug}" is already taken.`, 409);
+        }
+        return slug;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        const id = createShortId();
+        try {
+            await insert(id);
+            return id;
+        } catch (error) {
+            if (attempt >= MAX_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * 删除文件的所有短链接
+ * @param {D1Database} db
+ * @param {string} src
+ */
+export async function deleteShortLinks(db, src) {
+    await db.prepare(`DELETE FROM shortlink WHERE url = ?`).bind(src).run();
+}
@@ -0,0 +1,73 @@
+// 私有文件的签名链接：?expires=<Unix 秒>&sig=<HMAC-SHA256(SIGNING_SECRET, "<src>:<expires>")>
+// 签名只绑定 imginfo.url，因此原地址、短链接以及带图片处理参数的地址都可以使用同一个签名
+import { hmac, timingSafeEqual, toHex } from './crypto';
+
+// 上传私有文件时返回的链接有效期
+export const DEFAULT_SIGNED_URL_TTL = 24 * 60 * 60;
+// 后台生成链接时允许的最长有效期
+export const MAX_SIGNED_URL_TTL = 365 * 24 * 60 * 60;
+
+/**
+ * 是否配置了签名密钥
+ * @param {object} env
+ * @returns {boolean}
+ */
+export function isSigningEnabled(env) {
+    return Boolean(env.SIGNING_SECRET);
+}
+
+/**
+ * @param {object} env
+ * @param {string} src
+ * @param {number} expires - Unix 秒
+ * @returns {Promise<string>}
+ */
+async function createSignature(env, src, expires) {
+    return toHex(await hmac(env.SIGNING_SECRET, `${src}:${expires}`));
+}
+
+/**
+ * 生成签名查询参数，可直接拼接在文件地址之后
+ * @param {object} env
+ * @param {string} src - imginfo.url
+ * @param {number} [ttl] - 有效期 (秒)
+ * @returns {Promise<{query: string, expires: number}>} query 形如 expires=...&sig=...
+ */
+export async function createSignedQuery(env, src, ttl = DEFAULT_SIGNED_URL_TTL) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const params = new URLSearchParams({ expires: String(expires), sig: await createSignature(env, src, expires) });
+    return { query: params.toString(), expires };
+}
+
+/**
+ * 为地址追加签名参数
+ * @param {object} env
+ * @param {string} url - 完整地址 (原地址或短链接)
+ * @param {string} src - 对应的 imginfo.url
+ * @param {number} [ttl] - 有效期 (秒)
+ * @returns {Promise<{url: string, expires: number}>}
+ */
+export async function signUrl(env, url, src, ttl = DEFAULT_SIGNED_URL_TTL) {
+    const { query, expires } = await createSignedQuery(env, src, ttl);
+    const signed = new URL(url);
+    for (const [name, value] of new URLSearchParams(query)) {
+        signed.searchParams.set(name, value);
+    }
+    return { url: signed.toString(), expires };
+}
+
+/**
+ * 校验请求中的签名参数
+ * @param {object} env
+ * @param {string} src
+ * @param {URLSearchParams} params
+ * @returns {Promise<boolean>}
+ */
+export async function verifySignature(env, src, params) {
+    const expires = Number(params.get('expires'));
+    const sig = params.get('sig');
+    if (!isSigningEnabled(env) || !sig || !Number.isInteger(expires) || expires < Date.now() / 1000) {
+        return false;
+    }
+    return timingSafeEqual(await createSignature(env, src, expires), sig);
+}
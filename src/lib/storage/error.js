@@ -0,0 +1,16 @@
+/**
+ * 上传过程中的错误 (存储后端或远程文件)，携带需要透传给客户端的 HTTP 状态码和上游响应
+ */
+export class StorageError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [status=502] - 默认为 Bad Gateway，表示上游服务器问题
+     * @param {object} [details] - 附加到错误响应体中的字段
+     */
+    constructor(message, status = 502, details = {}) {
+        super(message);
+        this.name = 'StorageError';
+        this.status = status;
+        this.details = details;
+    }
+}
@@ -0,0 +1,115 @@
+import tgchannel from './tgchannel';
+import telegraph from './telegraph';
+import tencent from './tencent';
+import r2 from './r2';
+
+export { StorageError } from './error';
+
+/**
+ * @typedef {object} UploadResult
+ * @property {string} key - 后端内部的文件标识 (file_id、对象键等)
+ * @property {string} src - 写入 imginfo.url 的路径
+ * @property {string} url - 返回给客户端的完整地址
+ * @property {string} name - 文件名
+ * @property {string|null} [thumb] - 缩略图路径，格式与 src 相同，写入 imginfo.thumb 供后台列表预览
+ * @property {UploadMeta} [meta] - 后端提供的额外信息，写入 imginfo
+ */
+
+/**
+ * @typedef {object} UploadMeta
+ * @property {string} [file_unique_id] - Telegram 文件的唯一 ID，不随 Bot 变化
+ * @property {number} [message_id] - 文件所在的 Telegram 消息，删除文件时使用
+ * @property {string|null} [chat_id] - 消息所在的频道
+ * @property {number|null} [width] - 后端保存的尺寸，Telegram 压缩后可能小于原图
+ * @property {number|null} [height]
+ */
+
+/**
+ * @typedef {object} ResolvedFile
+ * @property {Response} response - 完整文件的响应
+ * @property {string} fileName
+ * @property {(start: number, end: number) => ReadableStream} [openRange] - 可直接读取部分内容时提供，用于 Range 请求
+ */
+
+/**
+ * 存储后端接口，所有上传路由都通过它访问具体的存储服务
+ * @typedef {object} StorageProvider
+ * @property {string} name - 唯一名称，同时也是 /api/:name 上传路由
+ * @property {string} label - 在首页下拉框中显示的名称
+ * @property {string} [srcPrefix] - 经本站读取的文件在 imginfo.url 中的路径前缀，文件直接保存在外部时不提供
+ * @property {boolean} [supportsPrivate] - 是否支持私有文件：只能经本站读取 (读取时校验签名)，后端的地址不公开
+ * @property {boolean} [supportsDelete] - delete 能否真正从后端删除文件，决定上传时是否返回删除链接
+ * @property {boolean} [compressesImages] - 非原图模式下是否会压缩图片，此时原图和压缩后的文件分别去重
+ * @property {(env: object) => boolean} isConfigured - 所需的环境变量是否齐全
+ * @property {(env: object, file: File, options: {origin: string, original?: boolean}) => Promise<UploadResult>} upload - original 表示按原图上传 (仅 Telegram 频道使用)
+ * @property {(env: object, upload: UploadResult) => Promise<string|null>} [getRatingUrl] - 供评级 API 拉取的地址，不提供则不参与评级
+ * @property {(env: object, key: string) => Promise<ResolvedFile|null>} resolve - 从后端读取文件
+ * @property {(key: string) => boolean} [canOpenRange] - resolve 是否会为该文件提供 openRange；此时 Range 请求不使用缓存，只读取所需的部分
+ * @property {(env: object, key: string, record?: object|null) => Promise<boolean>} delete - 从后端删除文件，不支持或删除失败时返回 false；record 为 imginfo 中的记录 (如 message_id)
+ * @property {(env: object) => Promise<{ok: boolean, message: string}>} health
+ */
+
+/** @type {StorageProvider[]} */
+const providers = [tgchannel, r2, telegraph, tencent];
+
+/**
+ * 获取当前启用的存储后端
+ * 由 STORAGE_PROVIDERS（逗号分隔的名称列表）控制，未设置时启用所有配置齐全的后端
+ * @param {object} env
+ * @returns {StorageProvider[]}
+ */
+export function getEnabledProviders(env) {
+    const configured = providers.filter((provider) => provider.isConfigured(env));
+    if (!env.STORAGE_PROVIDERS) {
+        return configured;
+    }
+    const names = env.STORAGE_PROVIDERS.split(',').map((name) => name.trim());
+    return configured.filter((provider) => names.includes(provider.name));
+}
+
+/**
+ * 获取默认存储后端，由 DEFAULT_STORAGE 指定，否则取第一个启用的后端
+ * @param {object} env
+ * @returns {StorageProvider|null}
+ */
+export function getDefaultProvider(env) {
+    const enabled = getEnabledProviders(env);
+    return enabled.find((provider) => provider.name === env.DEFAULT_STORAGE) || enabled[0] || null;
+}
+
+/**
+ * 按名称获取已启用的存储后端
+ * @param {object} env
+ * @param {string} [name] - 为空时返回默认后端
+ * @returns {StorageProvider|null}
+ */
+export function getProvider(env, name) {
+    if (!name) {
+        return getDefaultProvider(env);
+    }
+    return getEnabledProviders(env).find((provider) => provider.name === name) || null;
+}
+
+/**
+ * 根据 imginfo.url 找到保存该文件的后端 (不要求已启用，停用后端后已上传的文件仍可访问)
+ * @param {string} src
+ * @returns {{provider: StorageProvider, key: string}|null} 外部地址返回 null
+ */
+export function findProviderBySrc(src) {
+    const provider = providers.find((item) => item.srcPrefix && src.startsWith(item.srcPrefix));
+    return provider ? { provider, key: src.slice(provider.srcPrefix.length) } : null;
+}
+
+/**
+ * 将 imginfo.url 中保存的路径转换为完整的访问地址
+ * @param {string} src - 如 /cfile/:id、/rfile/:key、/file/:name 或外部地址
+ * @param {string} origin
+ * @returns {string}
+ */
+export function getPublicUrl(src, origin) {
+    if (!src.startsWith('/')) {
+        return src; // 外部存储直接保存完整地址
+    }
+    // /file/ 由 next.config.mjs 重写到 /api/file/，其余路径都位于 /api 下
+    return src.startsWith('/file/') ? `${origin}${src}` : `${origin}/api${src}`;
+}
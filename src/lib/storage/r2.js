@@ -0,0 +1,113 @@
+import { StorageError } from './error';
+import { createS3Bucket } from '../s3';
+import { isInlineMediaType } from '../http';
+
+/**
+ * 获取对象存储 bucket
+ * 优先使用 R2 bucket 绑定 (R2_BUCKET)，否则根据 S3_* 环境变量连接任意 S3 兼容服务 (R2、MinIO 等)
+ * @param {object} env
+ * @returns {R2Bucket|null}
+ */
+export function getBucket(env) {
+    if (env.R2_BUCKET) {
+        return env.R2_BUCKET;
+    }
+    if (env.S3_ENDPOINT && env.S3_BUCKET && env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY) {
+        return createS3Bucket({
+            endpoint: env.S3_ENDPOINT,
+            bucket: env.S3_BUCKET,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            region: env.S3_REGION || 'auto',
+        });
+    }
+    return null;
+}
+
+/**
+ * 生成对象键：随机 ID 加原始扩展名
+ * @param {File} file
+ * @returns {string}
+ */
+function createObjectKey(file) {
+    const match = /\.([a-zA-Z0-9]{1,10})$/.exec(file.name || '');
+    const id = crypto.randomUUID().replace(/-/g, '');
+    return match ? `${id}.${match[1].toLowerCase()}` : id;
+}
+
+/**
+ * 对象存储：文件写入 R2 bucket 或 S3 兼容服务，通过 /api/rfile/:key 读取
+ * @type {import('./index').StorageProvider}
+ */
+const r2 = {
+    name: 'r2',
+    label: 'R2 / S3',
+    srcPrefix: '/rfile/',
+    supportsPrivate: true,
+    supportsDelete: true,
+
+    isConfigured(env) {
+        return Boolean(env.R2_BUCKET || (env.S3_ENDPOINT && env.S3_BUCKET && env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY));
+    },
+
+    async upload(env, file, { origin }) {
+        const bucket = getBucket(env);
+        const key = createObjectKey(file);
+        try {
+            // 类型由客户端声明，只保存可以直接显示的媒体类型，其他类型 (如 text/html) 保存为 application/octet-stream
+            await bucket.put(key, file, {
+                httpMetadata: { contentType: isInlineMediaType(file.type) ? file.type : 'application/octet-stream' },
+            });
+        } catch (error) {
+            console.error("Failed to upload to object storage:", error);
+            throw new StorageError(`Failed to upload file to object storage: ${error.message}`, 502);
+        }
+
+        return {
+            key,
+            src: `/rfile/${key}`,
+            url: `${origin}/api/rfile/${key}`,
+            name: file.name || key,
+        };
+    },
+
+    async getRatingUrl(env, upload) {
+        return upload.url;
+    },
+
+    async resolve(env, key) {
+        const bucket = getBucket(env);
+        const object = bucket ? await bucket.get(key) : null;
+        if (!object) {
+            return null;
+        }
+
+        const headers = new Headers();
+        headers.set('Content-Type', object.httpMetadata?.contentType || 'application/octet-stream');
+        if (object.size) headers.set('Content-Length', String(object.size));
+        if (object.httpEtag) headers.set('ETag', object.httpEtag);
+
+        return { response: new Response(object.body, { status: 200, headers }), fileName: key };
+    },
+
+    async delete(env, key) {
+        const bucket = getBucket(env);
+        if (!bucket) {
+            return false;
+        }
+        await bucket.delete(key);
+        return true;
+    },
+
+    async health(env) {
+        try {
+            // 不存在的键返回 null 即说明 bucket 可访问
+            await getBucket(env).head('.health-check');
+            return { ok: true, message: env.R2_BUCKET ? 'R2 binding' : env.S3_ENDPOINT };
+        } catch (error) {
+            return { ok: false, message: error.message };
+        }
+    },
+};
+
+export default r2;
@@ -0,0 +1,62 @@
+import { StorageError } from './error';
+
+/**
+ * telegra.ph 存储：文件上传到 telegra.ph，通过 /file/:name 代理读取
+ * @type {import('./index').StorageProvider}
+ */
+const telegraph = {
+    name: 'tg',
+    label: 'Telegraph',
+    srcPrefix: '/file/',
+
+    isConfigured() {
+        return true;
+    },
+
+    async upload(env, file, { origin }) {
+        const formData = new FormData();
+        formData.append('file', file, file.name);
+
+        const res = await fetch('https://telegra.ph/upload', {
+            method: 'POST',
+            body: formData,
+        });
+        const resdata = await res.json();
+        if (!res.ok || !Array.isArray(resdata) || !resdata[0]?.src) {
+            throw new StorageError("Failed to upload file to Telegraph.", 502, { telegraph_response: resdata });
+        }
+
+        const src = resdata[0].src;
+        return {
+            key: src.replace(/^\/file\//, ''),
+            src,
+            url: `${origin}${src}`,
+            name: src,
+        };
+    },
+
+    async getRatingUrl(env, upload) {
+        return `https://telegra.ph${upload.src}`;
+    },
+
+    async resolve(env, key) {
+        const response = await fetch(`https://telegra.ph/file/${key}`);
+        return { response, fileName: key };
+    },
+
+    async delete() {
+        // telegra.ph 不提供删除接口
+        return false;
+    },
+
+    async health() {
+        try {
+            const res = await fetch('https://telegra.ph', { method: 'HEAD' });
+            return { ok: res.ok, message: `HTTP ${res.status}` };
+        } catch (error) {
+            return { ok: false, message: error.message };
+        }
+    },
+};
+
+export default telegraph;
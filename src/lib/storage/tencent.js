@@ -0,0 +1,55 @@
+import { StorageError } from './error';
+
+const TENCENT_UPLOAD_URL = 'https://openai.weixin.qq.com/weixinh5/webapp/h774yvzC2xlB4bIgGfX2stc4kvC85J/cos/upload';
+
+/**
+ * 腾讯 COS 存储：借用微信对话开放平台的上传接口，返回的地址可直接公开访问
+ * @type {import('./index').StorageProvider}
+ */
+const tencent = {
+    name: 'tencent',
+    label: 'tencent',
+
+    isConfigured() {
+        return true;
+    },
+
+    async upload(env, file) {
+        const formData = new FormData();
+        formData.append('media', file, file.name);
+
+        const res = await fetch(TENCENT_UPLOAD_URL, {
+            method: 'POST',
+            body: formData,
+        });
+        const resdata = await res.json();
+        if (!res.ok || !resdata.url) {
+            throw new StorageError("Failed to upload file to Tencent COS.", 502, { tencent_response: resdata });
+        }
+
+        return {
+            key: resdata.url,
+            src: resdata.url,
+            url: resdata.url,
+            name: resdata.filekey,
+        };
+    },
+
+    // 不提供 getRatingUrl：外部存储不参与评级
+
+    async resolve(env, key) {
+        const response = await fetch(key);
+        return { response, fileName: key.split('/').pop() };
+    },
+
+    async delete() {
+        // 上传接口不提供删除能力
+        return false;
+    },
+
+    async health() {
+        return { ok: true, message: 'no health check available' };
+    },
+};
+
+export default tencent;
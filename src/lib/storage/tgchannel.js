@@ -0,0 +1,151 @@
+import { StorageError } from './error';
+import { deleteMessages, extractFileData, fetchFile, getApiUrl, getFileUrl, getMimeType, getTelegramEndpoint, isOriginalQuality, lookupFilePath, sendFile } from '../telegram';
+import { isManifestId, streamChunkRange, streamChunks, TELEGRAM_GETFILE_LIMIT, uploadChunks } from '../chunks';
+import { deleteChunkManifest, getChunkManifest } from '../db';
+
+/**
+ * @param {string} id - file_id 或分片清单 ID
+ * @param {string} name
+ * @param {string} origin
+ * @param {string|null} [thumbId] - 缩略图的 file_id
+ * @param {import('./index').UploadMeta} [meta]
+ * @returns {import('./index').UploadResult}
+ */
+function toUploadResult(id, name, origin, thumbId = null, meta = {}) {
+    return {
+        key: id,
+        src: `/cfile/${id}`,
+        url: `${origin}/api/cfile/${id}`,
+        name,
+        thumb: thumbId ? `/cfile/${thumbId}` : null,
+        meta,
+    };
+}
+
+/**
+ * Telegram 频道存储：文件以消息形式发送到 TG_CHAT_ID，通过 /api/cfile/:file_id 读取
+ * @type {import('./index').StorageProvider}
+ */
+const tgchannel = {
+    name: 'tgchannel',
+    label: 'TG_Channel',
+    srcPrefix: '/cfile/',
+    supportsPrivate: true,
+    supportsDelete: true,
+    compressesImages: true,
+
+    isConfigured(env) {
+        return Boolean(env.TG_BOT_TOKEN && env.TG_CHAT_ID);
+    },
+
+    async upload(env, file, { origin, original }) {
+        // 超过 getFile 上限的文件拆分为多个分片上传
+        if (file.size > TELEGRAM_GETFILE_LIMIT) {
+            // 分片的 message_id 保存在清单中
+            const { id, name, chat_id } = await uploadChunks(env, file);
+            return toUploadResult(id, name, origin, null, { chat_id });
+        }
+
+        const target = getTelegramEndpoint(file.type || '', { original: isOriginalQuality(env, original) });
+        const { response, result } = await sendFile(env, file, file.name, target);
+        if (!response.ok || !result.ok) {
+            console.error("Failed to upload to Telegram. API Response:", JSON.stringify(result));
+            throw new StorageError("Failed to upload file to Telegram.", 502, { telegram_response: result });
+        }
+
+        const fileData = extractFileData(result);
+        if (!fileData) {
+            console.error("Could not extract file data from Telegram response:", JSON.stringify(result));
+            throw new StorageError('Could not process Telegram response.', 500);
+        }
+
+        return toUploadResult(fileData.file_id, fileData.file_name, origin, fileData.thumb_id, {
+            file_unique_id: fileData.file_unique_id,
+            message_id: fileData.message_id,
+            chat_id: fileData.chat_id,
+            width: fileData.width,
+            height: fileData.height,
+        });
+    },
+
+    async getRatingUrl(env, upload) {
+        // 分片文件过大，不送评级
+        if (isManifestId(upload.key)) {
+            return null;
+        }
+        const filePath = await lookupFilePath(env, upload.key);
+        return filePath ? getFileUrl(env, filePath) : null;
+    },
+
+    canOpenRange(key) {
+        return isManifestId(key);
+    },
+
+    async resolve(env, key) {
+        if (isManifestId(key)) {
+            const manifest = env.IMG ? await getChunkManifest(env.IMG, key) : null;
+            if (!manifest) {
+                return null;
+            }
+            const headers = new Headers({
+                'Content-Type': manifest.type,
+                'Content-Length': String(manifest.size),
+            });
+            return {
+                response: new Response(streamChunks(env, manifest.chunks), { status: 200, headers }),
+                fileName: manifest.name,
+                // 拖动进度条时只下载所需的分片
+                openRange: (start, end) => streamChunkRange(env, manifest.chunks, start, end),
+            };
+        }
+
+        const file = await fetchFile(env, key);
+        if (!file) {
+            return null;
+        }
+        const fileName = file.filePath.split('/').pop();
+        // 以文档发送的原图下载时类型为 application/octet-stream，按扩展名补全
+        const type = getMimeType(fileName);
+        const upstreamType = file.response.headers.get('Content-Type') || '';
+        if (file.response.ok && type && !/^(image|video|audio)\//.test(upstreamType)) {
+            const headers = new Headers(file.response.headers);
+            headers.set('Content-Type', type);
+            return { response: new Response(file.response.body, { status: file.response.status, headers }), fileName };
+        }
+        return { response: file.response, fileName };
+    },
+
+    async delete(env, key, record) {
+        const chatId = record?.chat_id || env.TG_CHAT_ID;
+        if (isManifestId(key)) {
+            const manifest = env.IMG ? await getChunkManifest(env.IMG, key) : null;
+            const messageIds = manifest ? manifest.chunks.map((chunk) => chunk.message_id).filter(Boolean) : [];
+            // 早期版本的清单没有保存分片的 message_id
+            if (!manifest || messageIds.length < manifest.chunks.length) {
+                return false;
+            }
+            const deleted = await deleteMessages(env, chatId, messageIds);
+            if (deleted) {
+                await deleteChunkManifest(env.IMG, key);
+            }
+            return deleted;
+        }
+        // 早期版本上传的文件没有记录 message_id，无法删除频道消息
+        if (!record?.message_id) {
+            return false;
+        }
+        return deleteMessages(env, chatId, [record.message_id]);
+    },
+
+    async health(env) {
+        try {
+            const res = await fetch(getApiUrl(env, 'getMe'));
+            const data = await res.json();
+            return { ok: Boolean(data.ok), message: data.ok ? `@${data.result.username}` : data.description };
+        } catch (error) {
+            return { ok: false, message: error.message };
+        }
+    },
+};
+
+export default tgchannel;
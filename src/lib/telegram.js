@@ -0,0 +1,314 @@
+// Telegram Bot API 相关的辅助函数
+import { deleteCachedFilePath, getCachedFilePath, setCachedFilePath } from './filecache';
+import { StorageError } from './storage/error';
+import { delaySendSlots, getQueueConfig, sleep, waitForSendSlot } from './tgqueue';
+
+// 发送失败 (429、5xx 或网络错误) 时的最大重试次数
+const MAX_SEND_RETRIES = 3;
+
+/**
+ * 拼接 Bot API 方法地址
+ * @param {object} env
+ * @param {string} method - Bot API 方法名
+ * @returns {string}
+ */
+export function getApiUrl(env, method) {
+    return `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/${method}`;
+}
+
+/**
+ * 拼接文件下载地址
+ * @param {object} env
+ * @param {string} file_path - getFile 返回的临时路径
+ * @returns {string}
+ */
+export function getFileUrl(env, file_path) {
+    return `https://api.telegram.org/file/bot${env.TG_BOT_TOKEN}/${file_path}`;
+}
+
+// 按扩展名推断下载文件的类型；Telegram 下载文档时只返回 application/octet-stream
+const MIME_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml',
+    ico: 'image/x-icon',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    heic: 'image/heic',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mov: 'video/quicktime',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    m4a: 'audio/mp4',
+    wav: 'audio/wav',
+    pdf: 'application/pdf',
+};
+
+/**
+ * 根据文件路径或文件名的扩展名获取 MIME 类型
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function getMimeType(name) {
+    const match = /\.([A-Za-z0-9]+)$/.exec(name || '');
+    return match ? MIME_TYPES[match[1].toLowerCase()] || null : null;
+}
+
+/**
+ * 是否以原图方式上传：请求中指定时以请求为准，否则使用 TG_ORIGINAL_QUALITY 的默认值
+ * @param {object} env
+ * @param {boolean} [requested]
+ * @returns {boolean}
+ */
+export function isOriginalQuality(env, requested) {
+    if (requested !== undefined) {
+        return requested;
+    }
+    return ['1', 'true', 'on', 'yes'].includes(String(env.TG_ORIGINAL_QUALITY || '').toLowerCase());
+}
+
+/**
+ * 根据文件 MIME 类型获取 Telegram API 的终结点和表单字段名
+ * sendPhoto 会把图片压缩为 JPEG、限制分辨率并去掉透明通道，原图模式下图片改为以文档发送
+ * GIF 以 sendAnimation 发送才能保持动画 (Telegram 会将其转换为 MP4)
+ * @param {string} fileType - 文件的 MIME 类型
+ * @param {{original?: boolean}} [options] - original 为 true 时按原图发送
+ * @returns {{endpoint: string, formFieldName: string, params?: object}} params 为额外的表单字段
+ */
+export function getTelegramEndpoint(fileType, { original = false } = {}) {
+    if (fileType.startsWith('image/') && original) {
+        // 关闭类型识别，否则 GIF 等文件仍会被转换
+        return { endpoint: 'sendDocument', formFieldName: 'document', params: { disable_content_type_detection: 'true' } };
+    }
+    if (fileType === 'image/gif') return { endpoint: 'sendAnimation', formFieldName: 'animation' };
+    if (fileType.startsWith('image/')) return { endpoint: 'sendPhoto', formFieldName: 'photo' };
+    if (fileType.startsWith('video/')) return { endpoint: 'sendVideo', formFieldName: 'video' };
+    if (fileType.startsWith('audio/')) return { endpoint: 'sendAudio', formFieldName: 'audio' };
+    // 默认为文档类型
+    return { endpoint: 'sendDocument', formFieldName: 'document' };
+}
+
+/**
+ * 从 Telegram API 的响应中提取文件信息
+ * @param {object} responseData - Telegram API 返回的 JSON 对象
+ * @returns {{file_id: string, file_name: string, thumb_id: string|null, file_unique_id: string, message_id: number, chat_id: string|null, width: number|null, height: number|null} | null} width、height 为 Telegram 保存的尺寸，可能经过压缩
+ */
+export function extractFileData(responseData) {
+    if (!responseData.ok) {
+        return null;
+    }
+    const result = responseData.result;
+    const message = {
+        message_id: result.message_id,
+        chat_id: result.chat ? String(result.chat.id) : null,
+    };
+    if (result.photo) {
+        // Telegram 会为图片生成多个尺寸，选择最大尺寸的图片，最小尺寸的用作缩略图
+        const largestPhoto = result.photo.reduce((prev, current) =>
+            (prev.file_size > current.file_size) ? prev : current
+        );
+        const smallestPhoto = result.photo.reduce((prev, current) =>
+            (prev.file_size < current.file_size) ? prev : current
+        );
+        return {
+            ...message,
+            file_id: largestPhoto.file_id,
+            file_name: largestPhoto.file_unique_id,
+            file_unique_id: largestPhoto.file_unique_id,
+            thumb_id: smallestPhoto.file_id !== largestPhoto.file_id ? smallestPhoto.file_id : null,
+            width: largestPhoto.width ?? null,
+            height: largestPhoto.height ?? null,
+        };
+    }
+    // sendAnimation 的结果同时带有 animation 和 document，以 animation 为准
+    const file = result.animation || result.document || result.video || result.audio;
+    if (file) {
+        // 视频和部分文档带有 Telegram 生成的预览图 (旧版 API 中字段名为 thumb)
+        const thumbnail = file.thumbnail || file.thumb;
+        return {
+            ...message,
+            file_id: file.file_id,
+            file_name: file.file_name || file.file_unique_id,
+            file_unique_id: file.file_unique_id,
+            thumb_id: thumbnail ? thumbnail.file_id : null,
+            width: file.width ?? null,
+            height: file.height ?? null,
+        };
+    }
+    return null;
+}
+
+/**
+ * 第 attempt 次重试前的等待时间：1、2、4 秒……，加入随机抖动避免并发请求同时重试
+ * @param {number} attempt - 从 0 开始
+ * @returns {number} 毫秒
+ */
+function getBackoff(attempt) {
+    return 1000 * 2 ** attempt * (0.75 + Math.random() * 0.5);
+}
+
+/**
+ * 发送文件到频道
+ * 发送前在队列中等待，避免触发 flood 限制；收到 429 时按 retry_after 推迟队列后重试，5xx 和网络错误按指数退避重试
+ * 需要等待的时间超过 TG_QUEUE_MAX_WAIT 或重试次数用完仍为 429 时，抛出 StorageError (429)
+ * @param {object} env
+ * @param {File|Blob} file
+ * @param {string} fileName
+ * @param {{endpoint: string, formFieldName: string, params?: object}} [target] - 默认根据 MIME 类型选择
+ * @returns {Promise<{response: Response, result: object}>}
+ */
+export async function sendFile(env, file, fileName, target = getTelegramEndpoint(file.type || '')) {
+    const { endpoint, formFieldName, params = {} } = target;
+
+    for (let attempt = 0; ; attempt++) {
+        await waitForSendSlot(env);
+
+        const telegramFormData = new FormData();
+        telegramFormData.append("chat_id", env.TG_CHAT_ID);
+        for (const [name, value] of Object.entries(params)) {
+            telegramFormData.append(name, value);
+        }
+        telegramFormData.append(formFieldName, file, fileName);
+
+        let response;
+        let result;
+        try {
+            response = await fetch(getApiUrl(env, endpoint), {
+                method: "POST",
+                body: telegramFormData,
+            });
+            result = await response.json();
+        } catch (error) {
+            if (attempt >= MAX_SEND_RETRIES) {
+                throw error;
+            }
+            console.error(`Telegram ${endpoint} 请求失败，准备重试:`, error);
+            await sleep(getBackoff(attempt));
+            continue;
+        }
+
+        if (response.status === 429 || result.error_code === 429) {
+            const retryAfter = Number(result.parameters?.retry_after) || Math.ceil(getBackoff(attempt) / 1000);
+            await delaySendSlots(env, retryAfter);
+            if (attempt >= MAX_SEND_RETRIES || retryAfter > getQueueConfig(env).maxWait) {
+                throw new StorageError('Telegram rate limit reached, please retry later.', 429, { retry_after: retryAfter, telegram_response: result });
+            }
+            console.warn(`Telegram ${endpoint} 触发 flood 限制，${retryAfter} 秒后重试`);
+            continue;
+        }
+
+        if (response.status >= 500 && attempt < MAX_SEND_RETRIES) {
+            await sleep(getBackoff(attempt));
+            continue;
+        }
+        return { response, result };
+    }
+}
+
+/**
+ * 获取文件的临时下载路径
+ * @param {object} env
+ * @param {string} file_id
+ * @returns {Promise<string|null>}
+ */
+export async function getFilePath(env, file_id) {
+    try {
+        const res = await fetch(`${getApiUrl(env, 'getFile')}?file_id=${file_id}`);
+        const responseData = await res.json();
+        if (responseData.ok) return responseData.result.file_path;
+
+        console.error("getFile failed:", responseData.description || "Unknown error");
+        return null;
+    } catch (error) {
+        console.error("Error in getFile fetch:", error);
+        return null;
+    }
+}
+
+/**
+ * 获取 file_path，优先使用缓存，缓存过期时重新调用 getFile 并写回缓存
+ * @param {object} env
+ * @param {string} file_id
+ * @returns {Promise<string|null>}
+ */
+export async function lookupFilePath(env, file_id) {
+    const cachedPath = await getCachedFilePath(env, file_id);
+    if (cachedPath) {
+        return cachedPath;
+    }
+    const filePath = await getFilePath(env, file_id);
+    if (filePath) {
+        await setCachedFilePath(env, file_id, filePath);
+    }
+    return filePath;
+}
+
+/**
+ * 下载文件。使用缓存的 file_path 下载失败时，视为链接已失效，重新获取后再试一次
+ * @param {object} env
+ * @param {string} file_id
+ * @returns {Promise<{response: Response, filePath: string}|null>}
+ */
+export async function fetchFile(env, file_id) {
+    const cachedPath = await getCachedFilePath(env, file_id);
+    if (cachedPath) {
+        const response = await fetch(getFileUrl(env, cachedPath));
+        if (response.ok) {
+            return { response, filePath: cachedPath };
+        }
+        await response.body?.cancel();
+        await deleteCachedFilePath(env, file_id);
+    }
+
+    const filePath = await getFilePath(env, file_id);
+    if (!filePath) {
+        return null;
+    }
+    await setCachedFilePath(env, file_id, filePath);
+    return { response: await fetch(getFileUrl(env, filePath)), filePath };
+}
+
+// deleteMessages 每次最多删除 100 条消息
+const DELETE_BATCH_SIZE = 100;
+
+/**
+ * 删除频道中的消息，消息已不存在时视为成功
+ * Bot 需要是频道管理员并拥有删除消息的权限，否则只能删除 48 小时内发送的消息
+ * @param {object} env
+ * @param {string|number} chatId
+ * @param {number[]} messageIds
+ * @returns {Promise<boolean>} 是否全部删除
+ */
+export async function deleteMessages(env, chatId, messageIds) {
+    let deleted = true;
+    for (let index = 0; index < messageIds.length; index += DELETE_BATCH_SIZE) {
+        const batch = messageIds.slice(index, index + DELETE_BATCH_SIZE);
+        // 单条消息使用 deleteMessage，失败时能得到具体原因；deleteMessages 会跳过不存在的消息
+        const [method, body] = batch.length === 1
+            ? ['deleteMessage', { chat_id: chatId, message_id: batch[0] }]
+            : ['deleteMessages', { chat_id: chatId, message_ids: batch }];
+        try {
+            const res = await fetch(getApiUrl(env, method), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const result = await res.json();
+            if (!result.ok && !/message to delete not found/i.test(result.description || '')) {
+                console.error(`Telegram ${method} failed:`, result.description || JSON.stringify(result));
+                deleted = false;
+            }
+        } catch (error) {
+            console.error(`Telegram ${method} 请求失败:`, error);
+            deleted = false;
+        }
+    }
+    return deleted;
+}
@@ -0,0 +1,110 @@
+// Telegram 发送队列：同一个频道的消息按固定间隔依次发出，避免触发 Bot API 的 flood 限制 (429)
+// 每次发送前在 D1 的 tgsendslot 表中预约下一个发送时间，并发的上传请求会排队等待各自的时间
+// 收到 429 时把整个队列推迟 retry_after 秒；未绑定 D1 时只在当前 isolate 内排队
+import { StorageError } from './storage/error';
+
+// 默认每 3 秒发送一条 (频道每分钟约 20 条消息的限制)
+const DEFAULT_SEND_INTERVAL = 3000;
+// 排队超过该时间 (秒) 时不再等待，直接返回 429 让客户端稍后重试
+const DEFAULT_MAX_WAIT = 30;
+
+// 未绑定 D1 时使用的本地队列
+const localSlots = new Map();
+
+/**
+ * @param {object} env
+ * @returns {{interval: number, maxWait: number}} interval 为毫秒，maxWait 为秒
+ */
+export function getQueueConfig(env) {
+    const interval = Number(env.TG_SEND_INTERVAL);
+    const maxWait = Number(env.TG_QUEUE_MAX_WAIT);
+    return {
+        interval: Number.isFinite(interval) && interval >= 0 ? interval : DEFAULT_SEND_INTERVAL,
+        maxWait: Number.isFinite(maxWait) && maxWait >= 0 ? maxWait : DEFAULT_MAX_WAIT,
+    };
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * 预约发送时间，需要等待的时间超过 maxWait 时不预约
+ * @param {object} env
+ * @param {number} now
+ * @param {number} interval
+ * @param {number} maxWait - 毫秒
+ * @returns {Promise<{start: number}|{next: number}>} 成功时返回发送时间，否则返回队列空闲的时间
+ */
+async function reserve(env, now, interval, maxWait) {
+    const chatId = String(env.TG_CHAT_ID);
+    if (!env.IMG) {
+        const next = Math.max(localSlots.get(chatId) || 0, now);
+        if (next - now > maxWait) {
+            return { next };
+        }
+        localSlots.set(chatId, next + interval);
+        return { start: next };
+    }
+
+    const row = await env.IMG.prepare(
+        `INSERT INTO tgsendslot (chat_id, next) VALUES (?1, ?2 + ?3)
+         ON CONFLICT (chat_id) DO UPDATE SET next = MAX(next, ?2) + ?3 WHERE MAX(next, ?2) - ?2 <= ?4
+         RETURNING next`
+    ).bind(chatId, now, interval, maxWait).first();
+    if (row) {
+        return { start: row.next - interval };
+    }
+    const current = await env.IMG.prepare(`SELECT next FROM tgsendslot WHERE chat_id = ?`).bind(chatId).first();
+    return { next: current ? current.next : now };
+}
+
+/**
+ * 等待轮到本次发送，排队时间过长时抛出 StorageError (429)
+ * @param {object} env
+ */
+export async function waitForSendSlot(env) {
+    const { interval, maxWait } = getQueueConfig(env);
+    const now = Date.now();
+    let slot;
+    try {
+        slot = await reserve(env, now, interval, maxWait * 1000);
+    } catch (error) {
+        // 队列表不存在或查询失败时直接发送
+        console.error("预约 Telegram 发送时间失败:", error);
+        return;
+    }
+    if (slot.start === undefined) {
+        const retryAfter = Math.max(Math.ceil((slot.next - now) / 1000), 1);
+        throw new StorageError('Telegram upload queue is full, please retry later.', 429, { retry_after: retryAfter });
+    }
+    if (slot.start > now) {
+        await sleep(slot.start - now);
+    }
+}
+
+/**
+ * 收到 429 后将队列推迟到 retry_after 秒之后，所有排队的发送都会等待
+ * @param {object} env
+ * @param {number} retryAfter - 秒
+ */
+export async function delaySendSlots(env, retryAfter) {
+    const until = Date.now() + retryAfter * 1000;
+    const chatId = String(env.TG_CHAT_ID);
+    if (!env.IMG) {
+        localSlots.set(chatId, Math.max(localSlots.get(chatId) || 0, until));
+        return;
+    }
+    try {
+        await env.IMG.prepare(
+            `INSERT INTO tgsendslot (chat_id, next) VALUES (?1, ?2)
+             ON CONFLICT (chat_id) DO UPDATE SET next = MAX(next, ?2)`
+        ).bind(chatId, until).run();
+    } catch (error) {
+        console.error("推迟 Telegram 发送队列失败:", error);
+    }
+}
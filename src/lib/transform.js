@@ -0,0 +1,263 @@
+// 按查询参数实时处理图片 (?w=&h=&fit=&q=&format=)，编解码使用可在边缘运行时中运行的 WASM (jSquash)
+// WASM 模块以 ?module 方式导入，由 Next.js 打包为 WebAssembly.Module，会随每个引用 serve.js 的路由一起部署 (共约 5.7 MB，
+// 其中 AVIF 编码器约 3.4 MB、解码器约 1.2 MB，压缩后计入 Pages 的脚本大小限制)
+// 编解码器按格式以 import() 动态加载，第一次处理该格式时才加载和实例化，不处理图片的请求不受影响
+import { getImageSize } from './imagesize';
+
+// 解码后的像素全部在内存中，Worker 内存有限，因此限制原图大小和输出尺寸
+export const TRANSFORM_MAX_INPUT_SIZE = 10 * 1024 * 1024;
+// 高度压缩的小文件也可能解码出很大的图片，解码前按文件头中的宽高限制像素数 (4096×4096，解码后 64 MB)
+export const TRANSFORM_MAX_PIXELS = 4096 * 4096;
+export const TRANSFORM_MAX_DIMENSION = 4096;
+const DEFAULT_QUALITY = 80;
+const FIT_MODES = ['contain', 'cover', 'fill'];
+
+// 边缘运行时没有 ImageData，jSquash 的解码结果和缩放都依赖它
+if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = class ImageData {
+        constructor(data, width, height) {
+            this.data = data;
+            this.width = width;
+            this.height = height;
+        }
+    };
+}
+
+/**
+ * 每个编解码器只加载和初始化一次
+ * @param {() => Promise<Function>} load
+ * @returns {() => Promise<Function>}
+ */
+function once(load) {
+    let ready;
+    return () => {
+        ready ??= load().catch((error) => {
+            // 加载失败时允许下次请求重试
+            ready = undefined;
+            throw error;
+        });
+        return ready;
+    };
+}
+
+/**
+ * 动态加载 jSquash 模块及其 WASM，初始化后返回编解码函数
+ * @param {Promise<{default: Function, init: Function}>} codec - jSquash 模块的 import()
+ * @param {Promise<{default: WebAssembly.Module}>} wasm - WASM 模块的 import()
+ * @param {string} [initName='init'] - 初始化函数的导出名
+ * @returns {Promise<Function>}
+ */
+async function loadCodec(codec, wasm, initName = 'init') {
+    const [jsquash, { default: module }] = await Promise.all([codec, wasm]);
+    await jsquash[initName](module);
+    return jsquash.default;
+}
+
+const decoders = {
+    'image/jpeg': {
+        load: once(() => loadCodec(import('@jsquash/jpeg/decode'), import('@jsquash/jpeg/codec/dec/mozjpeg_dec.wasm?module'))),
+    },
+    'image/png': {
+        load: once(() => loadCodec(import('@jsquash/png/decode'), import('@jsquash/png/codec/pkg/squoosh_png_bg.wasm?module'))),
+    },
+    'image/webp': {
+        load: once(() => loadCodec(import('@jsquash/webp/decode'), import('@jsquash/webp/codec/dec/webp_dec.wasm?module'))),
+    },
+    'image/avif': {
+        load: once(() => loadCodec(import('@jsquash/avif/decode'), import('@jsquash/avif/codec/dec/avif_dec.wasm?module'))),
+    },
+};
+
+const encoders = {
+    jpeg: {
+        type: 'image/jpeg',
+        extension: 'jpg',
+        load: once(() => loadCodec(import('@jsquash/jpeg/encode'), import('@jsquash/jpeg/codec/enc/mozjpeg_enc.wasm?module'))),
+        options: (quality) => ({ quality }),
+    },
+    png: {
+        type: 'image/png',
+        extension: 'png',
+        load: once(() => loadCodec(import('@jsquash/png/encode'), import('@jsquash/png/codec/pkg/squoosh_png_bg.wasm?module'))),
+        options: () => undefined,
+    },
+    webp: {
+        type: 'image/webp',
+        extension: 'webp',
+        load: once(() => loadCodec(import('@jsquash/webp/encode'), import('@jsquash/webp/codec/enc/webp_enc.wasm?module'))),
+        options: (quality) => ({ quality }),
+    },
+    avif: {
+        type: 'image/avif',
+        extension: 'avif',
+        load: once(() => loadCodec(import('@jsquash/avif/encode'), import('@jsquash/avif/codec/enc/avif_enc.wasm?module'))),
+        // 默认速度在边缘运行时中太慢，牺牲少量压缩率
+        options: (quality) => ({ quality, speed: 8 }),
+    },
+};
+
+const loadResize = once(() => loadCodec(import('@jsquash/resize'), import('@jsquash/resize/lib/resize/pkg/squoosh_resize_bg.wasm?module'), 'initResize'));
+
+// 查询参数不合法
+export class TransformError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TransformError';
+        this.status = 400;
+    }
+}
+
+/**
+ * 读取 1 ~ max 之间的整数参数
+ * @param {URLSearchParams} params
+ * @param {string} name
+ * @param {number} max
+ * @returns {number|undefined}
+ */
+function parseIntParam(params, name, max) {
+    const value = params.get(name);
+    if (value === null || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+        throw new TransformError(`Parameter "${name}" must be an integer between 1 and ${max}.`);
+    }
+    return number;
+}
+
+/**
+ * 解析图片处理参数，没有任何处理参数时返回 null
+ * @param {URLSearchParams} params
+ * @returns {{width?: number, height?: number, fit: string, quality: number, format?: string, key: string}|null}
+ */
+export function parseTransformOptions(params) {
+    if (!['w', 'h', 'fit', 'q', 'format'].some((name) => params.has(name))) {
+        return null;
+    }
+
+    const width = parseIntParam(params, 'w', TRANSFORM_MAX_DIMENSION);
+    const height = parseIntParam(params, 'h', TRANSFORM_MAX_DIMENSION);
+    const quality = parseIntParam(params, 'q', 100) ?? DEFAULT_QUALITY;
+
+    const fit = params.get('fit') || 'contain';
+    if (!FIT_MODES.includes(fit)) {
+        throw new TransformError(`Parameter "fit" must be one of: ${FIT_MODES.join(', ')}.`);
+    }
+
+    let format = params.get('format') || undefined;
+    if (format === 'jpg') {
+        format = 'jpeg';
+    }
+    if (format && !encoders[format]) {
+        throw new TransformError(`Parameter "format" must be one of: ${Object.keys(encoders).join(', ')}.`);
+    }
+
+    // 规范化后的参数，作为缓存键的一部分，参数顺序不同的请求共用同一份缓存
+    const key = [
+        width && `w=${width}`,
+        height && `h=${height}`,
+        `fit=${fit}`,
+        `q=${quality}`,
+        format && `format=${format}`,
+    ].filter(Boolean).join('&');
+
+    return { width, height, fit, quality, format, key };
+}
+
+/**
+ * 原图是否可以处理；不支持的格式 (如 GIF、视频) 或过大的文件直接返回原文件
+ * @param {Response} response
+ * @returns {boolean}
+ */
+export function canTransform(response) {
+    const type = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const size = Number(response.headers.get('Content-Length'));
+    return Boolean(decoders[type]) && (!size || size <= TRANSFORM_MAX_INPUT_SIZE);
+}
+
+/**
+ * 计算输出尺寸
+ * contain：在 w×h 内等比缩放，不放大；cover：等比缩放并居中裁剪至 w×h；fill：拉伸至 w×h
+ * 只指定宽或高时按原图比例计算另一边
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @param {{width?: number, height?: number, fit: string}} options
+ * @returns {{width: number, height: number}}
+ */
+function getTargetSize(sourceWidth, sourceHeight, { width, height, fit }) {
+    if (!width && !height) {
+        return { width: sourceWidth, height: sourceHeight };
+    }
+    if (fit === 'contain') {
+        const scale = Math.min(1, (width || Infinity) / sourceWidth, (height || Infinity) / sourceHeight);
+        return {
+            width: Math.max(1, Math.round(sourceWidth * scale)),
+            height: Math.max(1, Math.round(sourceHeight * scale)),
+        };
+    }
+    return {
+        width: width || Math.max(1, Math.round(sourceWidth * height / sourceHeight)),
+        height: height || Math.max(1, Math.round(sourceHeight * width / sourceWidth)),
+    };
+}
+
+/**
+ * 按参数处理图片，返回新的 200 响应
+ * 原图过大、像素数超过 TRANSFORM_MAX_PIXELS、无法从文件头读取尺寸或编解码失败时返回原图
+ * @param {Response} response - 原图的完整响应，需先通过 canTransform 检查
+ * @param {{width?: number, height?: number, fit: string, quality: number, format?: string}} options
+ * @returns {Promise<Response>}
+ */
+export async function transformImage(response, options) {
+    const sourceType = response.headers.get('Content-Type').split(';')[0].trim().toLowerCase();
+    const decoder = decoders[sourceType];
+    const buffer = await response.arrayBuffer();
+    // 响应中没有 Content-Length 时只能在读取后判断大小
+    if (buffer.byteLength > TRANSFORM_MAX_INPUT_SIZE) {
+        return new Response(buffer, { status: 200, headers: response.headers });
+    }
+    const size = await getImageSize(new Blob([buffer]));
+    if (!size || size.width * size.height > TRANSFORM_MAX_PIXELS) {
+        return new Response(buffer, { status: 200, headers: response.headers });
+    }
+    let encoder;
+    let output;
+    try {
+        const decode = await decoder.load();
+        let image = await decode(buffer);
+
+        const target = getTargetSize(image.width, image.height, options);
+        if (target.width !== image.width || target.height !== image.height) {
+            const resize = await loadResize();
+            image = await resize(image, {
+                width: target.width,
+                height: target.height,
+                // jSquash 的 contain 表示裁剪原图以保持比例，对应这里的 cover
+                fitMethod: options.fit === 'cover' ? 'contain' : 'stretch',
+            });
+        }
+
+        // 未指定格式时保持原格式
+        const format = options.format || Object.keys(encoders).find((name) => encoders[name].type === sourceType);
+        encoder = encoders[format];
+        const encode = await encoder.load();
+        output = await encode(image, encoder.options(options.quality));
+    } catch (error) {
+        // 文件损坏、截断或 WASM 内存不足时返回原图
+        console.error("处理图片失败，返回原图:", error);
+        return new Response(buffer, { status: 200, headers: response.headers });
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set('Content-Type', encoder.type);
+    headers.set('Content-Length', String(output.byteLength));
+    headers.delete('ETag');
+    headers.delete('Last-Modified');
+    const disposition = headers.get('Content-Disposition');
+    if (disposition) {
+        // 文件名 (filename 和 filename*) 的扩展名与输出格式保持一致
+        headers.set('Content-Disposition', disposition.replace(/(filename\*?=[^;]*?)(?:\.[^.";]*)?("?)(?=;|$)/g, `$1.${encoder.extension}$2`));
+    }
+    return new Response(output, { status: 200, headers });
+}
@@ -0,0 +1,161 @@
+// 浏览器端的最小 tus 客户端，配合 /api/tus 使用
+// 上传地址按文件指纹保存在 localStorage 中，连接中断或刷新页面后再次上传同一文件会从断点继续
+
+const TUS_ENDPOINT = '/api/tus';
+const TUS_VERSION = '1.0.0';
+// 每次 PATCH 发送的大小，越小断线时损失越少
+export const TUS_CHUNK_SIZE = 2 * 1024 * 1024;
+// 单个数据块失败后的重试间隔 (毫秒)
+const RETRY_DELAYS = [1000, 3000, 5000, 10000, 20000];
+
+/**
+ * 断点续传记录的键。上传选项保存在创建时的元数据中，选项不同时需要新建上传，不能继续旧的
+ * @param {File} file
+ * @param {{slug?: string, isPrivate?: boolean, original?: boolean}} options
+ * @returns {string}
+ */
+function fingerprint(file, { slug, isPrivate, original }) {
+    const options = [slug || '', isPrivate ? 'private' : 'public', original === undefined ? 'default' : Number(original)];
+    return `tus::${file.name}::${file.size}::${file.lastModified}::${options.join('::')}`;
+}
+
+function encodeMetadata(metadata) {
+    return Object.entries(metadata)
+        .map(([key, value]) => {
+            const bytes = new TextEncoder().encode(value);
+            return `${key} ${btoa(String.fromCharCode(...bytes))}`;
+        })
+        .join(',');
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * 查询服务器已接收的字节数，上传不存在时返回 null
+ * @param {string} location
+ * @returns {Promise<number|null>}
+ */
+async function getOffset(location) {
+    const res = await fetch(location, { method: 'HEAD', headers: { 'Tus-Resumable': TUS_VERSION } });
+    if (!res.ok) {
+        return null;
+    }
+    return Number(res.headers.get('Upload-Offset'));
+}
+
+async function createUpload(file, { slug, isPrivate, original }) {
+    const metadata = { filename: file.name, filetype: file.type || 'application/octet-stream' };
+    if (slug) {
+        metadata.slug = slug;
+    }
+    if (isPrivate) {
+        metadata.private = '1';
+    }
+    if (original !== undefined) {
+        metadata.original = original ? '1' : '0';
+    }
+    const res = await fetch(TUS_ENDPOINT, {
+        method: 'POST',
+        headers: {
+            'Tus-Resumable': TUS_VERSION,
+            'Upload-Length': String(file.size),
+            'Upload-Metadata': encodeMetadata(metadata),
+        },
+    });
+    if (res.status !== 201) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.message || `创建上传失败: HTTP ${res.status}`);
+    }
+    return res.headers.get('Location');
+}
+
+/**
+ * 发送一个数据块，返回服务器确认的新偏移量
+ * @param {string} location
+ * @param {File} file
+ * @param {number} offset
+ * @returns {Promise<number>}
+ */
+async function patchChunk(location, file, offset) {
+    const res = await fetch(location, {
+        method: 'PATCH',
+        headers: {
+            'Tus-Resumable': TUS_VERSION,
+            'Upload-Offset': String(offset),
+            'Content-Type': 'application/offset+octet-stream',
+        },
+        body: file.slice(offset, offset + TUS_CHUNK_SIZE),
+    });
+    if (res.status === 204 || res.status === 409) {
+        // 409 表示偏移量不一致，以服务器返回的为准
+        const serverOffset = res.headers.get('Upload-Offset');
+        if (serverOffset !== null) {
+            return Number(serverOffset);
+        }
+    }
+    throw new Error(`上传数据块失败: HTTP ${res.status}`);
+}
+
+/**
+ * 以 tus 协议上传文件，网络中断时自动重试并从断点继续
+ * @param {File} file
+ * @param {{onProgress?: (uploaded: number, total: number) => void, slug?: string, isPrivate?: boolean, original?: boolean}} [options]
+ * @returns {Promise<{url: string, short_url?: string, delete_url: string|null, delete_url_error?: string, code: number, name: string}>} 与普通上传接口相同的响应
+ */
+export async function tusUpload(file, { onProgress, slug, isPrivate, original } = {}) {
+    const key = fingerprint(file, { slug, isPrivate, original });
+    let location = localStorage.getItem(key);
+    let offset = location ? await getOffset(location).catch(() => null) : null;
+
+    if (offset === null) {
+        location = await createUpload(file, { slug, isPrivate, original });
+        localStorage.setItem(key, location);
+        offset = 0;
+    }
+
+    let attempt = 0;
+    while (offset < file.size) {
+        try {
+            offset = await patchChunk(location, file, offset);
+            attempt = 0;
+            onProgress?.(offset, file.size);
+        } catch (error) {
+            if (attempt >= RETRY_DELAYS.length) {
+                throw error;
+            }
+            await sleep(RETRY_DELAYS[attempt++]);
+            // 重新同步服务器已接收的偏移量
+            const serverOffset = await getOffset(location).catch(() => null);
+            if (serverOffset !== null) {
+                offset = serverOffset;
+            }
+        }
+    }
+
+    const result = await getResult(location);
+    localStorage.removeItem(key);
+    return result;
+}
+
+/**
+ * 获取上传结果，服务器仍在转存时 (409 且带 Retry-After) 等待后重试
+ * @param {string} location
+ * @returns {Promise<object>}
+ */
+async function getResult(location) {
+    for (let attempt = 0; ; attempt++) {
+        const res = await fetch(location, { headers: { 'Tus-Resumable': TUS_VERSION } });
+        const result = await res.json();
+        const retryAfter = Number(res.headers.get('Retry-After'));
+        if (res.status === 409 && retryAfter > 0 && attempt < RETRY_DELAYS.length) {
+            await sleep(retryAfter * 1000);
+            continue;
+        }
+        if (!res.ok) {
+            throw new Error(result.message || `上传失败: HTTP ${res.status}`);
+        }
+        return result;
+    }
+}
@@ -0,0 +1,415 @@
+// tus 1.0.0 断点续传协议 (https://tus.io/protocols/resumable-upload)
+// 支持 creation、termination、expiration 扩展。上传中的数据按块暂存在 D1，
+// 全部接收后拼接成完整文件，交给 Telegram 频道后端上传
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import tgchannel from './storage/tgchannel';
+import { StorageError } from './storage/error';
+import { ensureUploadSchema, storeUpload } from './upload';
+import { assertSlugAvailable } from './shortlink';
+import { isSigningEnabled } from './signing';
+import { findIpBan } from './ipban';
+import { assertDailyQuota, consumeUploadRate, retryAfterHeaders } from './quota';
+import { corsHeaders, getClientIp, getReferer } from './http';
+
+const TUS_VERSION = '1.0.0';
+// 整个文件最终会在内存中拼接，因此需要限制大小
+export const TUS_MAX_SIZE = 50 * 1024 * 1024;
+// D1 单行最大 2 MB，PATCH 的请求体按此大小拆分为多行保存
+const TUS_ROW_SIZE = 1024 * 1024;
+// 未完成的上传保留 24 小时
+const TUS_EXPIRES_IN = 24 * 60 * 60 * 1000;
+// 转存中的上传在 result 中记录 "pending:<开始时间>"
+const PENDING_PREFIX = 'pending:';
+// 转存超过此时间仍未完成 (如实例被终止) 时，允许其他请求重新转存
+const FINISH_TIMEOUT = 5 * 60 * 1000;
+// 其他请求正在转存时，建议客户端等待的秒数
+const FINISH_RETRY_AFTER = 3;
+
+const tusHeaders = {
+    ...corsHeaders,
+    'Access-Control-Allow-Methods': 'GET, POST, HEAD, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Tus-Resumable, Upload-Length, Upload-Metadata, Upload-Offset',
+    'Access-Control-Expose-Headers': 'Location, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Upload-Offset, Upload-Length, Upload-Expires, Retry-After',
+    'Tus-Resumable': TUS_VERSION,
+};
+
+/**
+ * 构造带 tus 协议头的响应
+ * @param {number} status
+ * @param {object} [headers]
+ * @param {object} [data] - 可选的 JSON 响应体
+ * @returns {Response}
+ */
+function tusResponse(status, headers = {}, data) {
+    if (data === undefined) {
+        return new Response(null, { status, headers: { ...tusHeaders, ...headers } });
+    }
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { ...tusHeaders, 'Content-Type': 'application/json', ...headers },
+    });
+}
+
+/**
+ * 解析 Upload-Metadata 头："key base64value,key2 base64value2"
+ * @param {string|null} header
+ * @returns {object}
+ */
+function parseMetadata(header) {
+    const metadata = {};
+    if (!header) {
+        return metadata;
+    }
+    for (const pair of header.split(',')) {
+        const [key, value = ''] = pair.trim().split(' ');
+        if (!key) continue;
+        const bytes = Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+        metadata[key] = new TextDecoder().decode(bytes);
+    }
+    return metadata;
+}
+
+/**
+ * 读取未过期的上传记录
+ * @param {D1Database} db
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getUpload(db, id) {
+    return db.prepare(`SELECT * FROM tusupload WHERE id = ? AND expires > ?`).bind(id, Date.now()).first();
+}
+
+/**
+ * 清理过期的上传及其暂存数据
+ * @param {D1Database} db
+ */
+async function deleteExpiredUploads(db) {
+    const now = Date.now();
+    try {
+        await db.batch([
+            db.prepare(`DELETE FROM tuschunk WHERE upload_id IN (SELECT id FROM tusupload WHERE expires < ?)`).bind(now),
+            db.prepare(`DELETE FROM tusupload WHERE expires < ?`).bind(now),
+        ]);
+    } catch (error) {
+        console.error("清理过期的 tus 上传失败:", error);
+    }
+}
+
+/**
+ * 保存的转存结果，尚未转存或正在转存时返回 null
+ * @param {string|null} result - tusupload.result
+ * @returns {object|null}
+ */
+function parseResult(result) {
+    return result && !result.startsWith(PENDING_PREFIX) ? JSON.parse(result) : null;
+}
+
+/**
+ * 拼接所有暂存块并交给 Telegram 频道后端上传，结果保存在上传记录中
+ * 已完成的上传直接返回保存的结果。转存前先原子地占用上传记录，
+ * 最后一块的 PATCH 与重试的 PATCH 或 GET 同时到达时只有一个请求会转存
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {object} upload - tusupload 记录
+ * @param {string} origin
+ * @returns {Promise<{url: string, code: number, name: string}|null>} 其他请求正在转存时返回 null
+ */
+async function finishUpload(env, ctx, upload, origin) {
+    const saved = parseResult(upload.result);
+    if (saved) {
+        return saved;
+    }
+
+    const db = env.IMG;
+    const now = Date.now();
+    const claim = PENDING_PREFIX + now;
+    const { meta } = await db.prepare(
+        `UPDATE tusupload SET result = ?1 WHERE id = ?2
+         AND (result IS NULL OR (result LIKE '${PENDING_PREFIX}%' AND CAST(substr(result, ${PENDING_PREFIX.length + 1}) AS INTEGER) < ?3))`
+    ).bind(claim, upload.id, now - FINISH_TIMEOUT).run();
+    if (!meta.changes) {
+        // 其他请求已完成或正在转存
+        const current = await db.prepare(`SELECT result FROM tusupload WHERE id = ?`).bind(upload.id).first();
+        return parseResult(current?.result);
+    }
+
+    try {
+        return await storeChunks(env, ctx, upload, origin);
+    } catch (error) {
+        // 释放占用，客户端可以通过 GET 重试
+        await db.prepare(`UPDATE tusupload SET result = NULL WHERE id = ? AND result = ?`).bind(upload.id, claim).run();
+        throw error;
+    }
+}
+
+/**
+ * 拼接暂存块并上传，保存结果后删除暂存块
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {object} upload - tusupload 记录
+ * @param {string} origin
+ * @returns {Promise<{url: string, code: number, name: string}>}
+ */
+async function storeChunks(env, ctx, upload, origin) {
+    const db = env.IMG;
+    // 逐行读取，避免单次查询结果过大
+    const { results } = await db.prepare(`SELECT start FROM tuschunk WHERE upload_id = ? ORDER BY start`).bind(upload.id).all();
+    const parts = [];
+    for (const { start } of results) {
+        const row = await db.prepare(`SELECT data FROM tuschunk WHERE upload_id = ? AND start = ?`).bind(upload.id, start).first();
+        parts.push(new Uint8Array(row.data));
+    }
+
+    const metadata = JSON.parse(upload.metadata);
+    const file = new File(parts, metadata.filename || upload.id, { type: metadata.filetype || 'application/octet-stream' });
+    const payload = await storeUpload(env, ctx, tgchannel, file, {
+        origin,
+        referer: upload.referer,
+        clientIp: upload.ip,
+        slug: metadata.slug || undefined,
+        isPrivate: metadata.private === '1',
+        original: metadata.original === undefined ? undefined : metadata.original === '1',
+    });
+
+    await db.batch([
+        db.prepare(`UPDATE tusupload SET result = ? WHERE id = ?`).bind(JSON.stringify(payload), upload.id),
+        db.prepare(`DELETE FROM tuschunk WHERE upload_id = ?`).bind(upload.id),
+    ]);
+    return payload;
+}
+
+/**
+ * 是否支持断点续传：上传数据暂存在 D1 中，完成后交给 Telegram 频道后端
+ * @param {object} env
+ * @returns {boolean}
+ */
+export function isTusEnabled(env) {
+    return Boolean(env.IMG) && tgchannel.isConfigured(env);
+}
+
+// 处理 CORS 预检及 tus 能力发现 (OPTIONS)
+export function handleTusOptions() {
+    return tusResponse(204, {
+        'Tus-Version': TUS_VERSION,
+        'Tus-Extension': 'creation,termination,expiration',
+        'Tus-Max-Size': String(TUS_MAX_SIZE),
+    });
+}
+
+/**
+ * 创建上传 (POST /api/tus)
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+export async function handleTusCreate(request) {
+    const { env, ctx } = getRequestContext();
+
+    if (request.headers.get('Tus-Resumable') !== TUS_VERSION) {
+        return tusResponse(412, { 'Tus-Version': TUS_VERSION });
+    }
+    if (!isTusEnabled(env)) {
+        return tusResponse(503, {}, { message: 'Resumable uploads require the D1 database (IMG) and Telegram channel to be configured.' });
+    }
+    if (await findIpBan(env, getClientIp(request))) {
+        return tusResponse(403, {}, { message: 'Your IP address has been banned.' });
+    }
+
+    const length = Number(request.headers.get('Upload-Length'));
+    if (!Number.isInteger(length) || length <= 0) {
+        return tusResponse(400, {}, { message: 'Upload-Length must be a positive integer.' });
+    }
+    if (length > TUS_MAX_SIZE) {
+        return tusResponse(413, {}, { message: `File exceeds the ${TUS_MAX_SIZE} byte limit.` });
+    }
+
+    let metadata;
+    try {
+        metadata = parseMetadata(request.headers.get('Upload-Metadata'));
+    } catch (error) {
+        return tusResponse(400, {}, { message: 'Invalid Upload-Metadata header.' });
+    }
+
+    // 创建时按声明的大小检查额度，完成时 storeUpload 才实际占用额度
+    try {
+        // 暂存数据的表同样由迁移创建
+        await ensureUploadSchema(env.IMG);
+        await consumeUploadRate(env, getClientIp(request));
+        await assertDailyQuota(env, getClientIp(request), length);
+    } catch (error) {
+        if (error instanceof StorageError) {
+            return tusResponse(error.status, retryAfterHeaders(error), { message: error.message, ...error.details });
+        }
+        throw error;
+    }
+
+    if (metadata.private === '1' && !isSigningEnabled(env)) {
+        return tusResponse(400, {}, { message: 'Private uploads require SIGNING_SECRET to be configured.' });
+    }
+
+    // 自定义短链接在开始上传前检查，避免传完才发现冲突
+    if (metadata.slug) {
+        try {
+            await assertSlugAvailable(env.IMG, metadata.slug);
+        } catch (error) {
+            if (error instanceof StorageError) {
+                return tusResponse(error.status, {}, { message: error.message });
+            }
+            throw error;
+        }
+    }
+
+    const id = crypto.randomUUID().replace(/-/g, '');
+    const expires = Date.now() + TUS_EXPIRES_IN;
+    await env.IMG.prepare(
+        `INSERT INTO tusupload (id, length, received, metadata, referer, ip, expires) VALUES (?, ?, 0, ?, ?, ?, ?)`
+    ).bind(id, length, JSON.stringify(metadata), getReferer(request), getClientIp(request), expires).run();
+
+    ctx.waitUntil(deleteExpiredUploads(env.IMG));
+
+    return tusResponse(201, {
+        'Location': `${new URL(request.url).origin}/api/tus/${id}`,
+        'Upload-Expires': new Date(expires).toUTCString(),
+    });
+}
+
+/**
+ * 查询上传进度 (HEAD /api/tus/:id)
+ * @param {Request} request
+ * @param {string} id
+ * @returns {Promise<Response>}
+ */
+export async function handleTusHead(request, id) {
+    const { env } = getRequestContext();
+    const upload = env.IMG ? await getUpload(env.IMG, id) : null;
+    if (!upload) {
+        return tusResponse(404, { 'Cache-Control': 'no-store' });
+    }
+    return tusResponse(200, {
+        'Cache-Control': 'no-store',
+        'Upload-Offset': String(upload.received),
+        'Upload-Length': String(upload.length),
+        'Upload-Expires': new Date(upload.expires).toUTCString(),
+    });
+}
+
+/**
+ * 追加数据 (PATCH /api/tus/:id)
+ * 收到最后一块后立即交给 Telegram 频道后端上传
+ * @param {Request} request
+ * @param {string} id
+ * @returns {Promise<Response>}
+ */
+export async function handleTusPatch(request, id) {
+    const { env, ctx } = getRequestContext();
+
+    if (request.headers.get('Tus-Resumable') !== TUS_VERSION) {
+        return tusResponse(412, { 'Tus-Version': TUS_VERSION });
+    }
+    if (request.headers.get('Content-Type') !== 'application/offset+octet-stream') {
+        return tusResponse(415);
+    }
+
+    const offset = Number(request.headers.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+        return tusResponse(400, {}, { message: 'Upload-Offset must be a non-negative integer.' });
+    }
+
+    const db = env.IMG;
+    const upload = db ? await getUpload(db, id) : null;
+    if (!upload) {
+        return tusResponse(404);
+    }
+    // 封禁前创建的上传也不能继续
+    if (await findIpBan(env, getClientIp(request))) {
+        return tusResponse(403, {}, { message: 'Your IP address has been banned.' });
+    }
+    if (upload.received !== offset) {
+        return tusResponse(409, { 'Upload-Offset': String(upload.received) });
+    }
+
+    const body = new Uint8Array(await request.arrayBuffer());
+    const received = offset + body.length;
+    if (received > upload.length) {
+        return tusResponse(413, {}, { message: 'Data exceeds the declared Upload-Length.' });
+    }
+
+    const statements = [];
+    for (let start = 0; start < body.length; start += TUS_ROW_SIZE) {
+        statements.push(db.prepare(`INSERT INTO tuschunk (upload_id, start, data) VALUES (?, ?, ?)`)
+            .bind(id, offset + start, body.subarray(start, start + TUS_ROW_SIZE)));
+    }
+    statements.push(db.prepare(`UPDATE tusupload SET received = ? WHERE id = ? AND received = ?`).bind(received, id, offset));
+
+    try {
+        // batch 在同一事务中执行；并发的重复 PATCH 会因 (upload_id, start) 唯一约束而整体回滚
+        await db.batch(statements);
+    } catch (error) {
+        console.error("保存 tus 数据块失败:", error);
+        return tusResponse(409, {}, { message: 'Conflicting PATCH for the same offset.' });
+    }
+
+    if (received === upload.length) {
+        try {
+            await finishUpload(env, ctx, { ...upload, received }, env.CUSTOM_DOMAIN || new URL(request.url).origin);
+        } catch (error) {
+            // 数据已完整保存，客户端可通过 GET 重试
+            console.error("tus 上传完成后转存失败:", error);
+        }
+    }
+
+    return tusResponse(204, {
+        'Upload-Offset': String(received),
+        'Upload-Expires': new Date(upload.expires).toUTCString(),
+    });
+}
+
+/**
+ * 获取上传结果 (GET /api/tus/:id)，响应格式与普通上传接口一致
+ * 若数据已完整但转存失败，会在此重试；其他请求正在转存时返回 409 和 Retry-After
+ * @param {Request} request
+ * @param {string} id
+ * @returns {Promise<Response>}
+ */
+export async function handleTusResult(request, id) {
+    const { env, ctx } = getRequestContext();
+    const upload = env.IMG ? await getUpload(env.IMG, id) : null;
+    if (!upload) {
+        return tusResponse(404, {}, { message: 'Upload not found or expired.' });
+    }
+    if (upload.received < upload.length) {
+        return tusResponse(409, { 'Upload-Offset': String(upload.received) }, { message: 'Upload is not complete yet.' });
+    }
+
+    try {
+        const payload = await finishUpload(env, ctx, upload, env.CUSTOM_DOMAIN || new URL(request.url).origin);
+        if (!payload) {
+            return tusResponse(409, { 'Retry-After': String(FINISH_RETRY_AFTER) }, { message: 'The upload is still being processed.', retry_after: FINISH_RETRY_AFTER });
+        }
+        return tusResponse(200, {}, payload);
+    } catch (error) {
+        if (error instanceof StorageError) {
+            return tusResponse(error.status, retryAfterHeaders(error), { message: error.message, ...error.details });
+        }
+        console.error("tus 上传转存失败:", error);
+        return tusResponse(500, {}, { message: `An unexpected error occurred: ${error.message}` });
+    }
+}
+
+/**
+ * 终止上传 (DELETE /api/tus/:id)
+ * @param {Request} request
+ * @param {string} id
+ * @returns {Promise<Response>}
+ */
+export async function handleTusDelete(request, id) {
+    const { env } = getRequestContext();
+    const db = env.IMG;
+    if (!db || !(await getUpload(db, id))) {
+        return tusResponse(404);
+    }
+    await db.batch([
+        db.prepare(`DELETE FROM tuschunk WHERE upload_id = ?`).bind(id),
+        db.prepare(`DELETE FROM tusupload WHERE id = ?`).bind(id),
+    ]);
+    return tusResponse(204);
+}
@@ -0,0 +1,328 @@
+import { getRequestContext } from '@cloudflare/next-on-pages';
+import { getProvider, getPublicUrl, StorageError } from './storage';
+import { getClientIp, getReferer, jsonResponse } from './http';
+import { findImageByHash, insertImageData, updateImageRating } from './db';
+import { getRating, RATING_EXTERNAL } from './rating';
+import { fetchRemoteFile } from './remote';
+import { sha256StreamHex } from './crypto';
+import { assertSlugAvailable, createShortLink, findShortLink, getShortUrl } from './shortlink';
+import { isSigningEnabled, signUrl } from './signing';
+import { assertIpAllowed } from './ipban';
+import { consumeUploadRate, releaseDailyQuota, reserveDailyQuota, retryAfterHeaders } from './quota';
+import { getImageSize } from './imagesize';
+import { createDeleteToken, getDeleteLinkError, getDeleteUrl } from './delete';
+import { ensureSchema } from './migrations';
+import { isOriginalQuality } from './telegram';
+
+/**
+ * 获取上传后的内容评级
+ * @param {object} env
+ * @param {import('./storage').StorageProvider} provider
+ * @param {import('./storage').UploadResult} upload
+ * @returns {Promise<number>}
+ */
+async function rateUpload(env, provider, upload) {
+    if (!provider.getRatingUrl) {
+        return RATING_EXTERNAL;
+    }
+    const ratingUrl = await provider.getRatingUrl(env, upload);
+    if (!ratingUrl) {
+        return -1; // 获取文件地址失败
+    }
+    return getRating(env, ratingUrl);
+}
+
+/**
+ * 计算文件内容的 SHA-256，逐块读取，避免大文件 (分片上传、tus) 在内存中再复制一份
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+export async function hashFile(file) {
+    return sha256StreamHex(file.stream());
+}
+
+/**
+ * 上传模式，写入 imginfo.original 并作为去重条件
+ * @param {object} env
+ * @param {import('./storage').StorageProvider} provider
+ * @param {boolean} [requested] - 请求中指定的原图模式，未指定时使用 TG_ORIGINAL_QUALITY 的默认值
+ * @returns {boolean|null} 是否按原图上传，不会压缩文件的后端返回 null
+ */
+export function getOriginalMode(env, provider, requested) {
+    return provider.compressesImages ? isOriginalQuality(env, requested) : null;
+}
+
+/**
+ * 获取文件的短链接：指定了 slug 时新建，否则复用已有的或随机生成一个
+ * 未绑定 D1 时不生成短链接
+ * @param {object} env
+ * @param {string} src
+ * @param {string} fileName
+ * @param {string} origin
+ * @param {string} [slug]
+ * @returns {Promise<string|undefined>}
+ */
+export async function getUploadShortUrl(env, src, fileName, origin, slug) {
+    if (!env.IMG) {
+        return undefined;
+    }
+    if (slug) {
+        return getShortUrl(origin, await createShortLink(env.IMG, src, slug), fileName);
+    }
+    try {
+        const shortId = await findShortLink(env.IMG, src) || await createShortLink(env.IMG, src);
+        return getShortUrl(origin, shortId, fileName);
+    } catch (error) {
+        // 未创建 shortlink 表等情况下不影响上传本身
+        console.error("创建短链接失败:", error);
+        return undefined;
+    }
+}
+
+/**
+ * 整理写入 imginfo 的文件信息
+ * 尺寸优先从原文件头读取，读不到时使用后端返回的尺寸 (如 Telegram 转码后的视频)
+ * @param {File} file
+ * @param {import('./storage').StorageProvider} provider
+ * @param {import('./storage').UploadResult} result
+ * @param {boolean|null} original - 上传模式，见 getOriginalMode
+ * @returns {Promise<object>} insertImageData 的对应字段
+ */
+async function getFileMetadata(file, provider, result, original) {
+    const meta = result.meta || {};
+    const dimensions = (file.type || '').startsWith('image/') ? await getImageSize(file) : null;
+    return {
+        name: file.name || null,
+        mime: file.type || null,
+        size: file.size,
+        width: dimensions ? dimensions.width : meta.width ?? null,
+        height: dimensions ? dimensions.height : meta.height ?? null,
+        fileUniqueId: meta.file_unique_id ?? null,
+        messageId: meta.message_id ?? null,
+        chatId: meta.chat_id ?? null,
+        backend: provider.name,
+        original,
+    };
+}
+
+/**
+ * 解析表单、JSON 或查询参数中的布尔开关
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isEnabled(value) {
+    return value === true || ['1', 'true', 'on', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * 上传前自动升级数据库结构，失败时拒绝上传，避免文件已保存但 imginfo 记录因缺少列而丢失
+ * @param {D1Database} db
+ */
+export async function ensureUploadSchema(db) {
+    try {
+        await ensureSchema(db);
+    } catch (error) {
+        console.error("自动升级数据库失败:", error);
+        throw new StorageError(`The database schema is out of date and could not be upgraded automatically: ${error.message}`, 503);
+    }
+}
+
+/**
+ * 将文件存入指定后端并写入 imginfo 记录，评级在后台完成
+ * 内容相同的文件已上传过时，直接返回已有的地址，不再重复存储
+ * 私有文件不参与去重和评级，记录同步写入，返回带签名的地址
+ * 经本站读取的文件同时返回删除链接 (delete_url)，重复文件不返回，因为它可能属于其他上传者
+ * 无法返回删除链接时 delete_url 为 null，delete_url_error 说明原因
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {import('./storage').StorageProvider} provider
+ * @param {File} file
+ * @param {{origin: string, referer: string, clientIp: string, slug?: string, isPrivate?: boolean, original?: boolean}} options - 上传请求的来源信息、自定义短链接、是否私有及是否按原图上传 (未指定时使用默认设置)
+ * @returns {Promise<{url: string, short_url?: string, delete_url: string|null, delete_url_error?: string, code: number, name: string, duplicate?: boolean, private?: boolean, expires?: number}>} 返回给客户端的响应体
+ */
+export async function storeUpload(env, ctx, provider, file, { origin, referer, clientIp, slug, isPrivate = false, original }) {
+    if (env.IMG) {
+        await ensureUploadSchema(env.IMG);
+    }
+    if (slug) {
+        if (!env.IMG) {
+            throw new StorageError('Custom slugs require the D1 database (IMG) binding.', 400);
+        }
+        await assertSlugAvailable(env.IMG, slug);
+    }
+    if (isPrivate) {
+        if (!env.IMG || !isSigningEnabled(env)) {
+            throw new StorageError('Private uploads require the D1 database (IMG) binding and SIGNING_SECRET.', 400);
+        }
+        if (!provider.supportsPrivate) {
+            // telegra.ph 的文件既可以通过 /file/ 直接读取，也公开在 telegra.ph 上，签名无法保护
+            throw new StorageError(`Storage provider "${provider.name}" does not support private files.`, 400);
+        }
+    }
+
+    const hash = await hashFile(file);
+    const originalMode = getOriginalMode(env, provider, original);
+    const existing = env.IMG && !isPrivate ? await findImageByHash(env.IMG, hash, provider.name, originalMode) : null;
+    if (existing) {
+        return {
+            url: getPublicUrl(existing.url, origin),
+            short_url: await getUploadShortUrl(env, existing.url, file.name, origin, slug),
+            delete_url: null,
+            delete_url_error: 'The file was already uploaded, so no new delete link is issued.',
+            code: 200,
+            name: existing.url.split('/').pop(),
+            duplicate: true,
+        };
+    }
+
+    // 重复文件不占用额度；上传、创建短链接或写入私有记录失败时都归还
+    const reservation = await reserveDailyQuota(env, clientIp, file.size);
+    try {
+        const result = await provider.upload(env, file, { origin, original });
+        const metadata = await getFileMetadata(file, provider, result, originalMode);
+        // 短链接需要随响应返回，不能放到后台执行
+        const shortUrl = await getUploadShortUrl(env, result.src, file.name, origin, slug);
+        const deleteLinkError = getDeleteLinkError(env, provider);
+        const deleteToken = deleteLinkError ? null : await createDeleteToken();
+        const deleteLink = deleteToken
+            ? { delete_url: getDeleteUrl(origin, deleteToken.token) }
+            : { delete_url: null, delete_url_error: deleteLinkError };
+
+        if (isPrivate) {
+            // 私有标记必须在返回地址之前写入，否则在写入完成前文件可以被公开访问
+            // 私有文件不发送给评级 API，也不保存缩略图 (缩略图地址不受签名保护)
+            const saved = await insertImageData(env.IMG, {
+                src: result.src,
+                referer,
+                ip: clientIp,
+                rating: 0,
+                time: Date.now(),
+                hash,
+                isPrivate: true,
+                deleteToken: deleteToken?.hash,
+                ...metadata,
+            });
+            if (!saved) {
+                throw new StorageError('Failed to record the private file.', 500);
+            }
+            const signed = await signUrl(env, result.url, result.src);
+            return {
+                url: signed.url,
+                short_url: shortUrl && (await signUrl(env, shortUrl, result.src)).url,
+                ...deleteLink,
+                code: 200,
+                name: result.name,
+                private: true,
+                expires: signed.expires,
+            };
+        }
+
+        let publicDeleteLink = deleteLink;
+        if (env.IMG) {
+            // 记录在返回之前写入，删除链接返回后即可使用；评级 API 较慢，评级完成前按未评级 (0) 记录
+            const saved = await insertImageData(env.IMG, {
+                src: result.src,
+                referer,
+                ip: clientIp,
+                rating: provider.getRatingUrl ? 0 : RATING_EXTERNAL,
+                time: Date.now(),
+                hash,
+                thumb: result.thumb,
+                deleteToken: deleteToken?.hash,
+                ...metadata,
+            });
+            if (!saved) {
+                // 没有记录时删除链接无法使用，文件本身已保存，仍然返回地址
+                publicDeleteLink = { delete_url: null, delete_url_error: 'Failed to record the file, so no delete link is issued.' };
+            } else if (provider.getRatingUrl) {
+                // `ctx.waitUntil` 允许响应立即返回给客户端，而让评级在后台继续执行
+                ctx.waitUntil(rateUpload(env, provider, result).then((rating) => updateImageRating(env.IMG, result.src, rating)));
+            }
+        }
+
+        return {
+            url: result.url,
+            short_url: shortUrl,
+            ...publicDeleteLink,
+            code: 200,
+            name: result.name,
+        };
+    } catch (error) {
+        await releaseDailyQuota(env, reservation);
+        throw error;
+    }
+}
+
+/**
+ * 所有上传路由共用的处理函数
+ * 无论文件存到哪个后端，返回给客户端的响应和写入 imginfo 的记录格式都一致
+ * @param {Request} request
+ * @param {string} [providerName] - 存储后端名称，为空时使用默认后端
+ * @returns {Promise<Response>}
+ */
+export async function handleUpload(request, providerName) {
+    try {
+        const { env, ctx } = getRequestContext();
+        const origin = env.CUSTOM_DOMAIN || new URL(request.url).origin;
+
+        const clientIp = getClientIp(request);
+        const referer = getReferer(request);
+        await assertIpAllowed(env, clientIp);
+        await consumeUploadRate(env, clientIp);
+
+        const provider = getProvider(env, providerName);
+        if (!provider) {
+            return jsonResponse({ message: `Storage provider "${providerName}" is not enabled.` }, 404);
+        }
+
+        let file;
+        let remoteUrl;
+        // 自定义短链接、私有标记和原图模式，可通过查询参数或请求体中的 slug、private、original 字段指定
+        const searchParams = new URL(request.url).searchParams;
+        let slug = searchParams.get('slug');
+        let isPrivate = isEnabled(searchParams.get('private'));
+        let original = searchParams.get('original');
+        if ((request.headers.get('Content-Type') || '').includes('application/json')) {
+            const body = await request.json();
+            remoteUrl = body.url;
+            slug = body.slug || slug;
+            isPrivate = isPrivate || isEnabled(body.private);
+            original = body.original ?? original;
+        } else {
+            const formData = await request.formData();
+            // 兼容旧版 tencent 接口使用的 media 字段
+            file = formData.get('file') || formData.get('media');
+            remoteUrl = formData.get('url');
+            slug = formData.get('slug') || slug;
+            isPrivate = isPrivate || isEnabled(formData.get('private'));
+            original = formData.get('original') ?? original;
+        }
+
+        // 未提供文件时，从 url 字段指定的地址下载
+        if (!file && typeof remoteUrl === 'string' && remoteUrl) {
+            file = await fetchRemoteFile(remoteUrl);
+        }
+
+        if (!file || !(file instanceof File)) {
+            return jsonResponse({ message: 'File not provided or is invalid.' }, 400);
+        }
+
+        const payload = await storeUpload(env, ctx, provider, file, {
+            origin,
+            referer,
+            clientIp,
+            slug: slug || undefined,
+            isPrivate,
+            // 未指定时为 undefined，使用 TG_ORIGINAL_QUALITY 的默认值
+            original: original === null || original === undefined || original === '' ? undefined : isEnabled(original),
+        });
+        return jsonResponse(payload);
+
+    } catch (error) {
+        if (error instanceof StorageError) {
+            return jsonResponse({ message: error.message, ...error.details }, error.status, retryAfterHeaders(error));
+        }
+        console.error("An unexpected error occurred in the upload handler:", error);
+        return jsonResponse({ message: `An unexpected error occurred: ${error.message}` }, 500);
+    }
+}
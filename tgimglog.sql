@@ -1,12 +1,15 @@
-DROP TABLE IF EXISTS tgimglog;
+-- 当前的完整结构，重复执行不会删除已有数据
+-- 对已有的旧数据库执行时不会补充缺少的列，由 src/lib/migrations.js 补充缺少的表和列并记录版本：
+-- 首次上传时会自动执行未完成的迁移，也可以在管理后台点击“升级数据库” (或 POST /api/admin/migrate)；迁移可以重复执行
 CREATE TABLE IF NOT EXISTS tgimglog (
 	`id` integer PRIMARY KEY NOT NULL,
     `url` text,
     `referer` text,
 	`ip` varchar(255),
-	`time` DATE
+	`time` DATE,
+	`decision` text
 );
-DROP TABLE IF EXISTS imginfo;
+CREATE INDEX IF NOT EXISTS tgimglog_time ON tgimglog (`time`);
 CREATE TABLE IF NOT EXISTS imginfo (
 	`id` integer PRIMARY KEY NOT NULL,
     `url` text,
@@ -14,6 +17,122 @@ CREATE TABLE IF NOT EXISTS imginfo (
 	`ip` varchar(255),
 	`rating` integer,
 	`total` integer,
+	`time` DATE,
+	`hash` text,
+	`thumb` text,
+	`private` integer DEFAULT 0,
+	`name` text,
+	`mime` text,
+	`size` integer,
+	`width` integer,
+	`height` integer,
+	`file_unique_id` text,
+	`message_id` integer,
+	`chat_id` text,
+	`backend` text,
+	`deleted` integer,
+	`delete_token` text,
+	`original` integer
+);
+CREATE INDEX IF NOT EXISTS imginfo_hash ON imginfo (`hash`);
+CREATE INDEX IF NOT EXISTS imginfo_time ON imginfo (`time`);
+CREATE INDEX IF NOT EXISTS imginfo_deleted ON imginfo (`deleted`);
+CREATE INDEX IF NOT EXISTS imginfo_thumb ON imginfo (`thumb`);
+CREATE INDEX IF NOT EXISTS imginfo_delete_token ON imginfo (`delete_token`);
+CREATE TABLE IF NOT EXISTS chunkmanifest (
+	`id` text PRIMARY KEY NOT NULL,
+    `name` text,
+    `type` text,
+	`size` integer,
+	`chunks` text,
 	`time` DATE
 );
-
+CREATE TABLE IF NOT EXISTS tusupload (
+	`id` text PRIMARY KEY NOT NULL,
+	`length` integer,
+	`received` integer,
+	`metadata` text,
+    `referer` text,
+	`ip` varchar(255),
+	`result` text,
+	`expires` integer
+);
+CREATE TABLE IF NOT EXISTS tuschunk (
+	`id` integer PRIMARY KEY NOT NULL,
+	`upload_id` text,
+	`start` integer,
+	`data` blob,
+	UNIQUE (`upload_id`, `start`)
+);
+CREATE TABLE IF NOT EXISTS filepathcache (
+	`file_id` text PRIMARY KEY NOT NULL,
+	`file_path` text,
+	`expires` integer
+);
+CREATE TABLE IF NOT EXISTS shortlink (
+	`slug` text PRIMARY KEY NOT NULL,
+	`url` text,
+	`time` integer
+);
+CREATE INDEX IF NOT EXISTS shortlink_url ON shortlink (`url`);
+CREATE TABLE IF NOT EXISTS refererrule (
+	`id` integer PRIMARY KEY NOT NULL,
+	`pattern` text UNIQUE,
+	`action` text,
+	`note` text,
+	`time` integer
+);
+CREATE TABLE IF NOT EXISTS ipban (
+	`id` integer PRIMARY KEY NOT NULL,
+	`cidr` text UNIQUE,
+	`note` text,
+	`expires` integer,
+	`time` integer
+);
+CREATE TABLE IF NOT EXISTS uploadusage (
+	`ip` text NOT NULL,
+	`period` text NOT NULL,
+	`count` integer DEFAULT 0,
+	`bytes` integer DEFAULT 0,
+	`expires` integer,
+	PRIMARY KEY (`ip`, `period`)
+);
+CREATE TABLE IF NOT EXISTS tgsendslot (
+	`chat_id` text PRIMARY KEY NOT NULL,
+	`next` integer
+);
+CREATE TABLE IF NOT EXISTS viewstat (
+	`day` text NOT NULL,
+	`url` text NOT NULL,
+	`views` integer DEFAULT 0,
+	`denied` integer DEFAULT 0,
+	`visitors` integer DEFAULT 0,
+	PRIMARY KEY (`day`, `url`)
+);
+CREATE TABLE IF NOT EXISTS refererstat (
+	`day` text NOT NULL,
+	`url` text NOT NULL,
+	`referer` text NOT NULL,
+	`views` integer DEFAULT 0,
+	PRIMARY KEY (`day`, `url`, `referer`)
+);
+CREATE TABLE IF NOT EXISTS viewrollup (
+	`since` integer PRIMARY KEY NOT NULL,
+	`until` integer,
+	`time` integer
+);
+CREATE TABLE IF NOT EXISTS deletedfile (
+	`url` text PRIMARY KEY NOT NULL,
+	`time` integer
+);
+CREATE TABLE IF NOT EXISTS cachevariant (
+	`url` text NOT NULL,
+	`variant` text NOT NULL,
+	`time` integer,
+	PRIMARY KEY (`url`, `variant`)
+);
+CREATE TABLE IF NOT EXISTS schemaversion (
+	`version` integer PRIMARY KEY NOT NULL,
+	`name` text,
+	`time` integer
+);
@@ -0,0 +1,30 @@
+import { fileURLToPath } from 'node:url';
+
+/** @type {import('vitest/config').UserConfig} */
+const config = {
+    resolve: {
+        alias: {
+            '@': fileURLToPath(new URL('./src', import.meta.url)),
+        },
+    },
+    plugins: [
+        {
+            // src/lib/transform.js 以 `*.wasm?module` 导入 WebAssembly.Module，这是 Cloudflare 的构建约定，Node 中无法加载；
+            // 单元测试只覆盖参数解析等纯函数，不执行编解码，因此替换为空模块
+            name: 'wasm-module-stub',
+            enforce: 'pre',
+            resolveId(id) {
+                return id.endsWith('.wasm?module') ? `\0${id}` : null;
+            },
+            load(id) {
+                return id.startsWith('\0') && id.endsWith('.wasm?module') ? 'export default null;' : null;
+            },
+        },
+    ],
+    test: {
+        include: ['src/**/*.test.js'],
+        environment: 'node',
+    },
+};
+
+export default config;